@@ -0,0 +1,17 @@
+// req.signal aborts when the client goes away before the response is complete (the
+// extension stopped translating, or dropped a stale chunk). Handlers pass it to provider
+// calls so upstream work nobody will read is cancelled rather than waited for and billed.
+function abortOnDisconnect(req, res, next) {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  next();
+}
+
+module.exports = { abortOnDisconnect };
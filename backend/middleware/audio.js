@@ -0,0 +1,29 @@
+const { AUDIO_CONTAINERS, detectAudioFormat } = require('../utils/audioFormat');
+const { normalizeWav } = require('../utils/wav');
+
+const AUDIO_CONFIG = {
+  // Uploaded WAV is downmixed to mono 16-bit PCM at no more than this rate; 16 kHz is
+  // what Whisper works at internally, so higher rates only cost upload time
+  MAX_SAMPLE_RATE: parseInt(process.env.AUDIO_MAX_SAMPLE_RATE, 10) || 16000
+};
+
+// Prepare a validated upload (req.file) for the speech provider: the mime type is set from
+// the detected container, and WAV is normalized. WebM/Opus, Ogg, FLAC, MP3 and MP4 are
+// forwarded as they are, since the providers decode them. req.audioFormat names the container.
+function prepareAudio(req, res, next) {
+  const format = detectAudioFormat(req.file.buffer);
+  req.audioFormat = format;
+  req.file.mimetype = AUDIO_CONTAINERS[format].mimetype;
+
+  if (format === 'wav') {
+    const normalized = normalizeWav(req.file.buffer, AUDIO_CONFIG.MAX_SAMPLE_RATE);
+    // req.file.size keeps the uploaded size
+    if (normalized) {
+      req.file.buffer = normalized;
+    }
+  }
+
+  next();
+}
+
+module.exports = { AUDIO_CONFIG, prepareAudio };
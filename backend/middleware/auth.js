@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { verifyToken } = require('../services/clientTokens');
+const logger = require('../utils/logger');
+const { sendError } = require('./errors');
+
+// Client authentication defaults to on in production and off elsewhere
+const AUTH_ENABLED = process.env.AUTH_ENABLED
+  ? process.env.AUTH_ENABLED === 'true'
+  : process.env.NODE_ENV === 'production';
+
+function safeEqual(a, b) {
+  const expected = Buffer.from(a);
+  const actual = Buffer.from(b);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Bearer token from the Authorization header, or ?token= for WebSocket upgrades
+// (browsers cannot set headers on WebSocket connections)
+function extractToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  const { searchParams } = new URL(req.url, 'http://localhost');
+  return searchParams.get('token');
+}
+
+// Resolve the calling client for a request. Resolves to null when the token is missing or invalid.
+// With authentication disabled every caller is the anonymous client.
+async function authenticateRequest(req) {
+  if (!AUTH_ENABLED) {
+    return { id: 'anonymous', name: 'anonymous' };
+  }
+  return verifyToken(extractToken(req));
+}
+
+// Require a valid client token on /api/* routes. Admin routes use requireAdmin instead.
+async function requireClient(req, res, next) {
+  if (req.path.startsWith('/admin/')) {
+    return next();
+  }
+
+  try {
+    const client = await authenticateRequest(req);
+    if (!client) {
+      return sendError(res, 401, { error: 'Missing or invalid client token', code: 'UNAUTHORIZED' });
+    }
+
+    req.client = client;
+    next();
+  } catch (error) {
+    logger.error('Client authentication failed:', error.message);
+    sendError(res, 500, { error: 'Authentication failed', code: 'INTERNAL_ERROR' });
+  }
+}
+
+// Admin routes require the ADMIN_TOKEN from the environment
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return sendError(res, 403, { error: 'Admin routes are disabled (ADMIN_TOKEN not set)', code: 'FORBIDDEN' });
+  }
+
+  if (!safeEqual(adminToken, req.get('X-Admin-Token') || '')) {
+    return sendError(res, 401, { error: 'Invalid admin token', code: 'UNAUTHORIZED' });
+  }
+
+  next();
+}
+
+module.exports = { requireClient, requireAdmin, authenticateRequest, AUTH_ENABLED };
@@ -0,0 +1,57 @@
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Every API error uses the same envelope:
+//   { error, code, message?, details?, requestId, ...extra }
+// error is a human-readable summary and code a stable identifier clients can branch on.
+
+// Give each request an id for logs, error bodies and the X-Request-ID header
+function assignRequestId(req, res, next) {
+  res.locals.requestId = uuidv4();
+  res.set('X-Request-ID', res.locals.requestId);
+  next();
+}
+
+function sendError(res, status, body) {
+  res.status(status).json({ ...body, requestId: res.locals.requestId });
+}
+
+function notFound(req, res) {
+  sendError(res, 404, {
+    error: 'Endpoint not found',
+    code: 'NOT_FOUND',
+    path: req.originalUrl
+  });
+}
+
+// Express recognizes error handlers by their four arguments
+function errorHandler(error, req, res, next) {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 413, {
+        error: 'File too large',
+        code: 'PAYLOAD_TOO_LARGE',
+        maxSize: '25MB'
+      });
+    }
+    return sendError(res, 400, { error: error.message, code: 'VALIDATION_ERROR' });
+  }
+
+  // Malformed JSON bodies and oversized payloads from express.json()
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, { error: 'Malformed JSON body', code: 'VALIDATION_ERROR' });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, { error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  logger.error('Unhandled error:', error);
+  sendError(res, 500, {
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR',
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  });
+}
+
+module.exports = { assignRequestId, sendError, notFound, errorHandler };
@@ -0,0 +1,28 @@
+const { checkQuota, QuotaExceededError, USAGE_CONFIG } = require('../services/usage');
+const logger = require('../utils/logger');
+const { sendError } = require('./errors');
+
+// Respond with the structured quota error
+function sendQuotaExceeded(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  sendError(res, USAGE_CONFIG.EXCEEDED_STATUS, error.toJSON());
+}
+
+// Reject the request when the client has exhausted any of the given daily quotas
+function enforceQuota(...metrics) {
+  return async (req, res, next) => {
+    try {
+      await checkQuota(req.client.id, metrics);
+      next();
+    } catch (error) {
+      if (error instanceof QuotaExceededError) {
+        return sendQuotaExceeded(res, error);
+      }
+      // Metering problems should not take the service down
+      logger.error('Quota check failed:', error.message);
+      next();
+    }
+  };
+}
+
+module.exports = { enforceQuota, sendQuotaExceeded };
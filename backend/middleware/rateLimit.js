@@ -0,0 +1,184 @@
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const proxyaddr = require('proxy-addr');
+const { recordRateLimitRejection } = require('../services/metrics');
+const { sendError } = require('./errors');
+
+// Limits as JSON, e.g. RATE_LIMIT_ROUTES='{"transcribe":{"windowMs":60000,"max":40}}'
+function parseLimitConfig(name) {
+  const value = process.env[name];
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Express's "trust proxy" from TRUST_PROXY: a number of proxy hops, true, false, or
+// comma-separated proxy addresses and subnets. Defaults to one hop (the platform's load
+// balancer) in production and to none otherwise, so X-Forwarded-For cannot be forged.
+function parseTrustProxy(value = process.env.TRUST_PROXY) {
+  if (!value) return process.env.NODE_ENV === 'production' ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(address => address.trim());
+}
+
+const RATE_LIMIT_CONFIG = {
+  // Anonymous clients are told apart by the address the trusted proxies forwarded
+  TRUST_PROXY: parseTrustProxy(),
+  // Every /api request counts against the general limit
+  WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000,
+  MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 300,
+  // Per-route limits on top of the general one
+  ROUTES: parseLimitConfig('RATE_LIMIT_ROUTES'),
+  // Per-client overrides of any limit's max, by client token id:
+  // RATE_LIMIT_CLIENTS='{"<token id>":{"api":1000,"transcribe":120}}'
+  CLIENTS: parseLimitConfig('RATE_LIMIT_CLIENTS')
+};
+
+// Route limit defaults, sized for live meetings: the extension sends a chunk every 2.5 s
+// (24 a minute), followed by a translation and a synthesis
+const ROUTE_LIMITS = {
+  transcribe: { windowMs: 60 * 1000, max: 60 },
+  translate: { windowMs: 60 * 1000, max: 120 },
+  transliterate: { windowMs: 60 * 1000, max: 120 },
+  synthesize: { windowMs: 60 * 1000, max: 120 },
+  pipeline: { windowMs: 60 * 1000, max: 60 }
+};
+
+let redisClient = null;
+
+// Counters live in Redis when it is configured, so every instance enforces the same
+// limits; otherwise in process memory
+class RateLimitStore {
+  constructor(name) {
+    this.prefix = `ratelimit:${name}:`;
+    this.localKeys = false;
+    this.memory = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.memory.init(options);
+  }
+
+  async increment(key) {
+    if (!redisClient) return this.memory.increment(key);
+
+    const redisKey = this.prefix + key;
+    const [totalHits, ttl] = await redisClient.multi().incr(redisKey).pTTL(redisKey).exec();
+    let resetMs = Number(ttl);
+    // The first hit of a window starts its expiry
+    if (resetMs < 0) {
+      await redisClient.pExpire(redisKey, this.windowMs);
+      resetMs = this.windowMs;
+    }
+    return { totalHits: Number(totalHits), resetTime: new Date(Date.now() + resetMs) };
+  }
+
+  async decrement(key) {
+    if (!redisClient) return this.memory.decrement(key);
+    await redisClient.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    if (!redisClient) return this.memory.resetKey(key);
+    await redisClient.del(this.prefix + key);
+  }
+
+  shutdown() {
+    this.memory.shutdown();
+  }
+}
+
+// TRUST_PROXY as the function proxy-addr takes, compiled like Express does
+function compileTrust(value) {
+  if (typeof value === 'boolean') return () => value;
+  if (typeof value === 'number') return (address, hop) => hop < value;
+  return proxyaddr.compile(value);
+}
+
+const trustProxy = compileTrust(RATE_LIMIT_CONFIG.TRUST_PROXY);
+
+// Authenticated clients are limited per token; everyone else (including the shared
+// anonymous client when authentication is off) per IP. WebSocket upgrades are plain
+// Node requests without Express's req.ip, so their address is resolved the same way.
+function clientKey(req) {
+  return req.client && req.client.id !== 'anonymous' ? `client:${req.client.id}` : `ip:${req.ip ?? proxyaddr(req, trustProxy)}`;
+}
+
+// Store and max of each limiter, for requests that do not pass through Express
+const limits = new Map();
+
+function clientLimit(name, req) {
+  return RATE_LIMIT_CONFIG.CLIENTS[req.client?.id]?.[name] ?? limits.get(name).max;
+}
+
+function createRateLimiter(name, { windowMs, max }) {
+  const store = new RateLimitStore(name);
+  limits.set(name, { store, max });
+
+  return rateLimit({
+    windowMs,
+    limit: (req) => clientLimit(name, req),
+    keyGenerator: clientKey,
+    store,
+    standardHeaders: true,
+    legacyHeaders: false,
+    // A store failure lets the request through rather than failing it
+    passOnStoreError: true,
+    handler: (req, res, next, options) => {
+      recordRateLimitRejection(name);
+      const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      sendError(res, options.statusCode, {
+        error: 'Too many requests, please try again later.',
+        code: 'RATE_LIMITED',
+        limiter: name,
+        limit: req.rateLimit.limit,
+        retryAfter
+      });
+    }
+  });
+}
+
+// General limiter for /api plus one per rate-limited route group
+const rateLimiters = {
+  api: createRateLimiter('api', { windowMs: RATE_LIMIT_CONFIG.WINDOW_MS, max: RATE_LIMIT_CONFIG.MAX_REQUESTS }),
+  ...Object.fromEntries(Object.entries(ROUTE_LIMITS).map(([name, defaults]) => [
+    name,
+    createRateLimiter(name, { ...defaults, ...RATE_LIMIT_CONFIG.ROUTES[name] })
+  ]))
+};
+
+// Count a request that does not pass through Express (a WebSocket upgrade) against the
+// named limiters. Resolves to null when it is allowed, or { limiter, limit, retryAfter }
+// for the first limit it exceeds. Like the middleware, a store failure lets it through.
+async function consumeRateLimit(req, names) {
+  for (const name of names) {
+    const { store } = limits.get(name);
+    let counter;
+    try {
+      counter = await store.increment(clientKey(req));
+    } catch (error) {
+      continue;
+    }
+
+    const limit = clientLimit(name, req);
+    if (counter.totalHits > limit) {
+      recordRateLimitRejection(name);
+      const retryAfter = Math.max(1, Math.ceil((counter.resetTime - Date.now()) / 1000));
+      return { limiter: name, limit, retryAfter };
+    }
+  }
+  return null;
+}
+
+// Share counters through Redis; returns the backend name
+function configureRateLimiting(client) {
+  redisClient = client;
+  return client ? 'redis' : 'memory';
+}
+
+module.exports = { RATE_LIMIT_CONFIG, ROUTE_LIMITS, rateLimiters, consumeRateLimit, configureRateLimiting };
@@ -0,0 +1,26 @@
+const { getSession } = require('../services/sessions');
+const logger = require('../utils/logger');
+const { sendError } = require('./errors');
+
+// Attach requests to the transcript session named by the X-Session-ID header.
+// The session must belong to the calling client; its id is set as req.transcriptSessionId.
+async function loadTranscriptSession(req, res, next) {
+  const sessionId = req.get('X-Session-ID');
+  if (!sessionId) return next();
+
+  try {
+    const session = await getSession(req.client.id, sessionId);
+    if (!session) {
+      return sendError(res, 404, { error: 'Session not found', code: 'NOT_FOUND' });
+    }
+
+    req.transcriptSessionId = session.id;
+    next();
+  } catch (error) {
+    // A transcript problem should not fail the translation itself
+    logger.error('Session lookup failed:', error.message);
+    next();
+  }
+}
+
+module.exports = { loadTranscriptSession };
@@ -0,0 +1,257 @@
+const { body, header, param, query, validationResult } = require('express-validator');
+const { SUPPORTED_LANGUAGES } = require('../utils/languages');
+const { VOICE_GENDERS, VOICE_CONFIG, validateVoice } = require('../services/voices');
+const { METRICS, USAGE_CONFIG } = require('../services/usage');
+const { CACHE_SCOPES } = require('../services/cache');
+const { EXPORT_FORMATS } = require('../services/sessions');
+const { detectAudioFormat, AUDIO_CONTAINERS } = require('../utils/audioFormat');
+const { sendError } = require('./errors');
+
+const VALIDATION_CONFIG = {
+  MAX_TEXT_LENGTH: parseInt(process.env.MAX_TEXT_LENGTH, 10) || 5000,
+  MAX_TOKEN_NAME_LENGTH: 100,
+  // Declared upload types let through to content detection. Browsers label audio-only
+  // recordings inconsistently, so generic and video types of the same containers pass too.
+  AUDIO_FORMATS: [
+    'audio/wav', 'audio/x-wav', 'audio/wave',
+    'audio/webm', 'video/webm',
+    'audio/ogg', 'audio/opus', 'application/ogg',
+    'audio/flac', 'audio/x-flac',
+    'audio/mpeg', 'audio/mp3',
+    'audio/mp4', 'audio/m4a', 'audio/x-m4a',
+    'application/octet-stream'
+  ],
+  SYNTHESIS_FORMATS: ['pcm', 'mp3']
+};
+
+const LANGUAGE_CODES = Object.keys(SUPPORTED_LANGUAGES);
+
+// Mime type without parameters, e.g. "audio/webm;codecs=opus" -> "audio/webm"
+function baseMimeType(mimetype = '') {
+  return mimetype.split(';')[0].trim().toLowerCase();
+}
+
+// multer fileFilter: unsupported formats are skipped and reported by audioFile()
+function audioFileFilter(req, file, cb) {
+  if (VALIDATION_CONFIG.AUDIO_FORMATS.includes(baseMimeType(file.mimetype))) {
+    return cb(null, true);
+  }
+  req.audioFormatError = `Unsupported audio format: ${file.mimetype}`;
+  cb(null, false);
+}
+
+// Field builders
+
+function audioFile() {
+  return body('audio').custom((value, { req }) => {
+    if (req.audioFormatError) {
+      throw new Error(`${req.audioFormatError}; expected one of: ${VALIDATION_CONFIG.AUDIO_FORMATS.join(', ')}`);
+    }
+    if (!req.file) {
+      throw new Error('No audio file provided');
+    }
+    if (!detectAudioFormat(req.file.buffer)) {
+      throw new Error(`Unrecognized audio data; expected one of: ${Object.keys(AUDIO_CONTAINERS).join(', ')}`);
+    }
+    return true;
+  });
+}
+
+function languageCode(chain, { allowAuto = false } = {}) {
+  const codes = allowAuto ? ['auto', ...LANGUAGE_CODES] : LANGUAGE_CODES;
+  return chain.isIn(codes).withMessage(`must be one of: ${codes.join(', ')}`);
+}
+
+function text(field = 'text') {
+  return body(field)
+    .exists().withMessage('is required').bail()
+    .isString().withMessage('must be a string').bail()
+    .isLength({ min: 1, max: VALIDATION_CONFIG.MAX_TEXT_LENGTH })
+    .withMessage(`must be between 1 and ${VALIDATION_CONFIG.MAX_TEXT_LENGTH} characters`);
+}
+
+// Voice id format is checked here; unknown ids are rejected against the provider's voice list
+function voice(voiceField = 'voiceId', genderField = 'gender') {
+  return [
+    body(voiceField).optional()
+      .isString().matches(VOICE_CONFIG.ID_PATTERN).withMessage('is not a valid voice id').bail()
+      .custom(async (voiceId) => {
+        const error = await validateVoice({ voiceId });
+        if (error) throw new Error(error);
+      }),
+    body(genderField).optional()
+      .isIn(VOICE_GENDERS).withMessage(`must be one of: ${VOICE_GENDERS.join(', ')}`)
+  ];
+}
+
+// Optional transcript session the request is recorded in
+function sessionHeader() {
+  return header('x-session-id').optional().isUUID().withMessage('must be a session id');
+}
+
+// Segment of the session that a translation belongs to
+function sessionSegment() {
+  return body('sessionSegment').optional()
+    .isInt({ min: 0 }).withMessage('must be a segment index').bail()
+    .toInt()
+    .custom((value, { req }) => {
+      if (!req.get('X-Session-ID')) throw new Error('requires an X-Session-ID header');
+      return true;
+    });
+}
+
+function days() {
+  return query('days').optional()
+    .isInt({ min: 1, max: USAGE_CONFIG.RETENTION_DAYS })
+    .withMessage(`must be an integer between 1 and ${USAGE_CONFIG.RETENTION_DAYS}`);
+}
+
+// Run the given rules and answer 400 with every failure, or continue to the handler
+function validate(...rules) {
+  return [
+    ...rules.flat(Infinity),
+    (req, res, next) => {
+      const result = validationResult(req);
+      if (result.isEmpty()) return next();
+
+      sendError(res, 400, {
+        error: 'Invalid request',
+        code: 'VALIDATION_ERROR',
+        details: result.array().map(({ path, location, msg }) => ({ field: path, location, message: msg }))
+      });
+    }
+  ];
+}
+
+const glossaryPair = [
+  languageCode(param('source')),
+  languageCode(param('target'))
+];
+
+const glossaryTerm = (field) => body(field)
+  .isString().withMessage('must be a string').bail()
+  .trim().notEmpty().withMessage('is required');
+
+// Route rules
+const rules = {
+  transcribe: [
+    audioFile(),
+    languageCode(body('language').optional(), { allowAuto: true }),
+    body('diarize').optional().isBoolean().withMessage('must be true or false').toBoolean(),
+    sessionHeader()
+  ],
+
+  translate: [
+    text(),
+    sessionHeader(),
+    sessionSegment(),
+    languageCode(body('sourceLanguage')),
+    languageCode(body('targetLanguage')),
+    body('context').optional().isArray().withMessage('must be an array of { text, translation } pairs'),
+    body('context.*.text').isString().withMessage('must be a string'),
+    body('context.*.translation').isString().withMessage('must be a string')
+  ],
+
+  transliterate: [
+    text(),
+    languageCode(body('language').optional(), { allowAuto: true })
+  ],
+
+  synthesize: [
+    text(),
+    languageCode(body('language').optional()),
+    voice()
+  ],
+
+  synthesizeStream: [
+    text(),
+    languageCode(body('language').optional()),
+    voice(),
+    body('format').optional()
+      .isIn(VALIDATION_CONFIG.SYNTHESIS_FORMATS)
+      .withMessage(`must be one of: ${VALIDATION_CONFIG.SYNTHESIS_FORMATS.join(', ')}`)
+  ],
+
+  voices: [
+    languageCode(query('language').optional())
+  ],
+
+  // Multipart fields arrive as strings
+  pipeline: [
+    audioFile(),
+    sessionHeader(),
+    languageCode(body('sourceLanguage').optional()),
+    languageCode(body('targetLanguage').optional()),
+    body(['autoDetectLanguage', 'bidirectional', 'synthesize', 'diarize']).optional()
+      .isBoolean().withMessage('must be true or false'),
+    voice('voiceId', 'voiceGender')
+  ],
+
+  usage: [days()],
+
+  createSession: [
+    languageCode(body('sourceLanguage').optional()),
+    languageCode(body('targetLanguage').optional())
+  ],
+
+  session: [
+    param('sessionId').isUUID().withMessage('must be a session id')
+  ],
+
+  exportSession: [
+    param('sessionId').isUUID().withMessage('must be a session id'),
+    query('format').optional()
+      .isIn(EXPORT_FORMATS).withMessage(`must be one of: ${EXPORT_FORMATS.join(', ')}`)
+  ],
+
+  glossary: glossaryPair,
+
+  glossaryEntries: [
+    ...glossaryPair,
+    body('entries').isArray().withMessage('must be an array of { source, target, note? } entries'),
+    glossaryTerm('entries.*.source'),
+    glossaryTerm('entries.*.target')
+  ],
+
+  glossaryEntry: [
+    ...glossaryPair,
+    glossaryTerm('source'),
+    glossaryTerm('target'),
+    body('note').optional().isString().withMessage('must be a string')
+  ],
+
+  glossaryEntryId: [
+    ...glossaryPair,
+    param('entryId').isUUID().withMessage('must be a glossary entry id')
+  ],
+
+  adminUsage: [days()],
+
+  adminQuotas: [
+    body(METRICS).optional().isInt({ min: 0 }).withMessage('must be a non-negative integer'),
+    body().custom((value) => {
+      if (!METRICS.some(metric => value[metric] !== undefined)) {
+        throw new Error(`Provide at least one of: ${METRICS.join(', ')}`);
+      }
+      return true;
+    })
+  ],
+
+  createToken: [
+    body('name')
+      .isString().withMessage('Token name is required').bail()
+      .trim().isLength({ min: 1, max: VALIDATION_CONFIG.MAX_TOKEN_NAME_LENGTH })
+      .withMessage(`must be between 1 and ${VALIDATION_CONFIG.MAX_TOKEN_NAME_LENGTH} characters`)
+  ],
+
+  revokeToken: [
+    param('id').matches(/^[0-9a-f]{16}$/).withMessage('must be a token id')
+  ],
+
+  purgeCache: [
+    query('scope').optional()
+      .isIn(CACHE_SCOPES).withMessage(`must be one of: ${CACHE_SCOPES.join(', ')}`)
+  ]
+};
+
+module.exports = { VALIDATION_CONFIG, LANGUAGE_CODES, audioFileFilter, validate, rules };
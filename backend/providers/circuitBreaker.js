@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const { TranslationOutputError } = require('../utils/translationOutput');
+
+const CIRCUIT_CONFIG = {
+  // Consecutive upstream failures that open a provider's circuit
+  FAILURE_THRESHOLD: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  // How long an open circuit rejects calls before a trial call is let through
+  OPEN_MS: parseInt(process.env.CIRCUIT_OPEN_MS, 10) || 30 * 1000
+};
+
+const CIRCUIT_STATES = ['closed', 'half_open', 'open'];
+
+// A provider cannot serve this request, e.g. a language it does not support. It is
+// refused before any upstream call, so it says nothing about the vendor's health; the
+// next provider in the chain is tried.
+class UnsupportedRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedRequestError';
+    this.status = 400;
+  }
+}
+
+// Whether an error says the upstream is unhealthy. Rejections of the request itself
+// (4xx other than auth and rate limits) and malformed model output mean the vendor is
+// up; cancelled calls and requests refused before reaching the vendor say nothing
+// either way (null).
+function isUpstreamFailure(error) {
+  if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') return null;
+  if (error instanceof UnsupportedRequestError) return null;
+  if (error instanceof TranslationOutputError) return false;
+
+  const status = error.response?.status;
+  if (status >= 400 && status < 500) {
+    return [401, 403, 408, 429].includes(status);
+  }
+  return true;
+}
+
+// Every provider for a capability is unavailable: their circuits are open
+class ProviderUnavailableError extends Error {
+  constructor(capability, retryAfterMs) {
+    super(`No ${capability} provider available`);
+    this.name = 'ProviderUnavailableError';
+    this.status = 503;
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  }
+}
+
+// Circuit breaker for one provider.
+//   closed     calls go through; FAILURE_THRESHOLD consecutive failures open it
+//   open       calls are refused until OPEN_MS has passed
+//   half_open  one trial call at a time; success closes the circuit, failure reopens it
+class CircuitBreaker {
+  constructor(name, { failureThreshold = CIRCUIT_CONFIG.FAILURE_THRESHOLD, openMs = CIRCUIT_CONFIG.OPEN_MS } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.openMs = openMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call would be let through now, without claiming the half-open trial
+  isAvailable() {
+    if (this.state === 'open') return Date.now() - this.openedAt >= this.openMs;
+    if (this.state === 'half_open') return !this.trialInFlight;
+    return true;
+  }
+
+  // Claim permission for a call. Pair with release() when the call may not reach the
+  // provider (e.g. served from cache), so a half-open circuit is not left waiting.
+  tryAcquire() {
+    if (!this.isAvailable()) return false;
+    if (this.state === 'open') {
+      this.transition('half_open');
+    }
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  release() {
+    this.trialInFlight = false;
+  }
+
+  // Outcome of a provider call
+  record(error) {
+    const failure = error ? isUpstreamFailure(error) : false;
+    this.trialInFlight = false;
+    if (failure === null) return;
+
+    if (!failure) {
+      this.failures = 0;
+      if (this.state !== 'closed') this.transition('closed');
+      return;
+    }
+
+    this.failures += 1;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== 'open') this.transition('open');
+    }
+  }
+
+  // Milliseconds until an open circuit lets a trial call through
+  retryAfterMs() {
+    return this.state === 'open' ? Math.max(0, this.openedAt + this.openMs - Date.now()) : 0;
+  }
+
+  transition(state) {
+    logger.warn(`Circuit for provider ${this.name}: ${this.state} -> ${state}`);
+    this.state = state;
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.openMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_CONFIG,
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  ProviderUnavailableError,
+  UnsupportedRequestError,
+  isUpstreamFailure
+};
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const { getBaseLanguage } = require('../utils/languages');
+const { UnsupportedRequestError } = require('./circuitBreaker');
+
+// DeepL uses upper-case target codes and has no Kurdish support. It has no dialects
+// either; they are translated as their base language.
+const DEEPL_LANGUAGES = {
+  'ar': 'AR',
+  'tr': 'TR',
+  'he': 'HE',
+  'fa': 'FA',
+  'en': 'EN-US'
+};
+
+// DeepL provider - alternative translation vendor
+function createDeepLProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.DEEPL_API_KEY;
+  // Free-tier keys end in ":fx" and must use the free API host
+  const baseUrl = config.baseUrl || process.env.DEEPL_BASE_URL ||
+    (apiKey && apiKey.endsWith(':fx') ? 'https://api-free.deepl.com/v2' : 'https://api.deepl.com/v2');
+  const timeout = config.timeout || 30000;
+
+  return {
+    name: 'deepl',
+    capabilities: ['translate'],
+    // Glossary entries are not sent; DeepL glossaries are a separate resource
+    appliesGlossary: false,
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    // Readiness check; /usage reports the account's character quota
+    async probe({ timeout: probeTimeout }) {
+      const response = await axios.get(`${baseUrl}/usage`, {
+        headers: { 'Authorization': `DeepL-Auth-Key ${apiKey}` },
+        timeout: probeTimeout
+      });
+
+      const { character_count: used, character_limit: limit } = response.data;
+      return {
+        quota: {
+          unit: 'characters',
+          used,
+          limit,
+          remaining: Math.max(0, limit - used),
+          resetsAt: null
+        }
+      };
+    },
+
+    async translate({ text, sourceLanguage, targetLanguage, context = [], signal }) {
+      const targetLang = DEEPL_LANGUAGES[getBaseLanguage(targetLanguage)];
+      if (!targetLang) {
+        throw new UnsupportedRequestError(`DeepL does not support target language: ${targetLanguage}`);
+      }
+
+      const body = {
+        text: [text],
+        target_lang: targetLang
+      };
+      const sourceLang = DEEPL_LANGUAGES[getBaseLanguage(sourceLanguage)];
+      if (sourceLang) {
+        body.source_lang = sourceLang.split('-')[0];
+      }
+      // DeepL uses context to disambiguate but does not translate it
+      if (context.length > 0) {
+        body.context = context.map(entry => entry.text).join('\n');
+      }
+
+      const response = await axios.post(`${baseUrl}/translate`, body, {
+        headers: {
+          'Authorization': `DeepL-Auth-Key ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout,
+        signal
+      });
+
+      // DeepL does not report the register of the source or untranslatable terms
+      return {
+        translatedText: response.data.translations?.[0]?.text || '',
+        confidence: 0.9,
+        formality: null,
+        untranslatableTerms: []
+      };
+    }
+  };
+}
+
+module.exports = { createDeepLProvider };
@@ -0,0 +1,157 @@
+const axios = require('axios');
+const { getBaseLanguage } = require('../utils/languages');
+
+const ELEVENLABS_BASE_URL = process.env.ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io/v1';
+const MODEL_ID = 'eleven_multilingual_v2';
+
+// The multilingual model speaks every supported language with any voice,
+// so one premade voice per gender is the default everywhere
+const DEFAULT_VOICES = {
+  male: 'pNInz6obpgDQGcFmaJgB', // Adam
+  female: '21m00Tcm4TlvDq8ikWAM' // Rachel
+};
+
+// Encodings for streamed synthesis. PCM is 16-bit little-endian mono, which
+// clients can play chunk by chunk without a decoder.
+const STREAM_FORMATS = {
+  pcm: { outputFormat: 'pcm_22050', contentType: 'audio/pcm', sampleRate: 22050 },
+  mp3: { outputFormat: 'mp3_44100_128', contentType: 'audio/mpeg', sampleRate: null }
+};
+
+const VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.75,
+  style: 0.0,
+  use_speaker_boost: true
+};
+
+// Per-language overrides, e.g. ELEVENLABS_VOICES='{"ar":{"female":"<voice id>"}}'
+function parseVoiceConfig(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`ELEVENLABS_VOICES is not valid JSON: ${error.message}`);
+  }
+}
+
+// ElevenLabs provider - multilingual text-to-speech
+function createElevenLabsProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.ELEVENLABS_API_KEY;
+  const baseUrl = config.baseUrl || ELEVENLABS_BASE_URL;
+  const timeout = config.timeout || 30000;
+  const voices = config.voices || parseVoiceConfig(process.env.ELEVENLABS_VOICES);
+
+  return {
+    name: 'elevenlabs',
+    capabilities: ['synthesize'],
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    // Voice and model used for a language; also part of the synthesis cache key.
+    // An explicit voiceId wins over the configured voice for the language and gender;
+    // dialects and variants fall back to the voices of their base language.
+    resolveVoice(language = 'en', { voiceId, gender = 'male' } = {}) {
+      return {
+        voiceId: voiceId || voices[language]?.[gender] || voices[getBaseLanguage(language)]?.[gender] ||
+          DEFAULT_VOICES[gender] || DEFAULT_VOICES.male,
+        model: MODEL_ID
+      };
+    },
+
+    // Readiness check; the subscription reports the account's character quota
+    async probe({ timeout: probeTimeout }) {
+      const response = await axios.get(`${baseUrl}/user/subscription`, {
+        headers: { 'xi-api-key': apiKey },
+        timeout: probeTimeout
+      });
+
+      const { character_count: used, character_limit: limit, next_character_count_reset_unix: resetUnix } = response.data;
+      return {
+        quota: {
+          unit: 'characters',
+          used,
+          limit,
+          remaining: Math.max(0, limit - used),
+          resetsAt: resetUnix ? new Date(resetUnix * 1000).toISOString() : null
+        }
+      };
+    },
+
+    // Voices available to the account, including premade ones
+    async listVoices() {
+      const response = await axios.get(`${baseUrl}/voices`, {
+        headers: { 'xi-api-key': apiKey },
+        timeout
+      });
+
+      return (response.data.voices || []).map(voice => ({
+        id: voice.voice_id,
+        name: voice.name,
+        gender: voice.labels?.gender || null,
+        accent: voice.labels?.accent || null,
+        category: voice.category || null,
+        previewUrl: voice.preview_url || null
+      }));
+    },
+
+    async synthesize({ text, language = 'en', voiceId: requestedVoiceId, gender, signal }) {
+      const { voiceId, model } = this.resolveVoice(language, { voiceId: requestedVoiceId, gender });
+
+      const response = await axios.post(
+        `${baseUrl}/text-to-speech/${voiceId}`,
+        {
+          text: text,
+          model_id: model,
+          voice_settings: VOICE_SETTINGS
+        },
+        {
+          headers: {
+            'xi-api-key': apiKey,
+            'Content-Type': 'application/json'
+          },
+          responseType: 'arraybuffer',
+          timeout,
+          signal
+        }
+      );
+
+      return {
+        audio: Buffer.from(response.data),
+        contentType: 'audio/mpeg'
+      };
+    },
+
+    // Stream audio as ElevenLabs generates it.
+    // Resolves to { contentType, sampleRate, chunks } where chunks is an async iterable of Buffers.
+    async synthesizeStream({ text, language = 'en', voiceId: requestedVoiceId, gender, format = 'pcm', signal }) {
+      const { voiceId, model } = this.resolveVoice(language, { voiceId: requestedVoiceId, gender });
+      const { outputFormat, contentType, sampleRate } = STREAM_FORMATS[format] || STREAM_FORMATS.pcm;
+
+      const response = await axios.post(
+        `${baseUrl}/text-to-speech/${voiceId}/stream`,
+        {
+          text: text,
+          model_id: model,
+          voice_settings: VOICE_SETTINGS
+        },
+        {
+          headers: {
+            'xi-api-key': apiKey,
+            'Content-Type': 'application/json'
+          },
+          params: { output_format: outputFormat },
+          responseType: 'stream',
+          timeout,
+          signal
+        }
+      );
+
+      return { contentType, sampleRate, chunks: response.data };
+    }
+  };
+}
+
+module.exports = { createElevenLabsProvider };
@@ -0,0 +1,233 @@
+const { createOpenAIProvider } = require('./openai');
+const { createElevenLabsProvider } = require('./elevenlabs');
+const { createDeepLProvider } = require('./deepl');
+const { createLocalProvider } = require('./local');
+const { CircuitBreaker, ProviderUnavailableError, UnsupportedRequestError, isUpstreamFailure } = require('./circuitBreaker');
+const logger = require('../utils/logger');
+
+const CAPABILITIES = ['transcribe', 'translate', 'synthesize'];
+
+// Provider methods that call an upstream vendor and are reported to observers
+const OBSERVED_METHODS = ['transcribe', 'translate', 'translateStream', 'transliterate', 'synthesize', 'synthesizeStream', 'listVoices'];
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  elevenlabs: createElevenLabsProvider,
+  deepl: createDeepLProvider,
+  local: createLocalProvider
+};
+
+// Provider used for each capability when nothing is configured
+const DEFAULT_PROVIDERS = {
+  transcribe: 'openai',
+  translate: 'openai',
+  synthesize: 'elevenlabs'
+};
+
+// Resolve the ordered provider names for a capability: the primary, then fallbacks
+// tried when it fails or its circuit is open, e.g. TRANSLATE_PROVIDER=openai,deepl.
+// Precedence: <CAPABILITY>_PROVIDER, then PROVIDER, then the built-in default.
+function resolveProviderNames(capability, env = process.env) {
+  const specific = env[`${capability.toUpperCase()}_PROVIDER`];
+  return (specific || env.PROVIDER || DEFAULT_PROVIDERS[capability])
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.factories = { ...PROVIDER_FACTORIES };
+    this.instances = new Map();
+    this.breakers = new Map();
+    // Capability -> ordered providers (primary first)
+    this.selected = {};
+    this.observers = [];
+  }
+
+  // Call listener({ provider, operation, durationSeconds, error }) after every upstream call
+  observe(listener) {
+    this.observers.push(listener);
+  }
+
+  notify(event) {
+    for (const listener of this.observers) {
+      try {
+        listener(event);
+      } catch (error) {
+        // Observers must never break provider calls
+      }
+    }
+  }
+
+  // Wrap the vendor-calling methods of a provider instance with timing, and feed their
+  // outcome to the provider's circuit breaker.
+  // Originals run against the raw instance so internal calls are not reported twice.
+  instrument(instance) {
+    const breaker = this.getBreaker(instance.name);
+    const instrumented = Object.create(instance);
+
+    for (const operation of OBSERVED_METHODS) {
+      if (typeof instance[operation] !== 'function') continue;
+
+      const original = instance[operation];
+      instrumented[operation] = async (...args) => {
+        const startedAt = process.hrtime.bigint();
+        const report = (error) => this.notify({
+          provider: instance.name,
+          operation,
+          durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9,
+          error
+        });
+
+        try {
+          const result = await original.apply(instance, args);
+          breaker.record(null);
+          report(null);
+          return result;
+        } catch (error) {
+          breaker.record(error);
+          report(error);
+          throw error;
+        }
+      };
+    }
+
+    return instrumented;
+  }
+
+  // Register an additional provider factory under a name
+  register(name, factory) {
+    this.factories[name] = factory;
+    this.instances.delete(name);
+    this.breakers.delete(name);
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name));
+    }
+    return this.breakers.get(name);
+  }
+
+  getInstance(name) {
+    if (!this.instances.has(name)) {
+      const factory = this.factories[name];
+      if (!factory) {
+        throw new Error(`Unknown provider: ${name}`);
+      }
+      this.instances.set(name, this.instrument(factory()));
+    }
+    return this.instances.get(name);
+  }
+
+  // Select the providers for a capability (a name, or names in failover order),
+  // validating that each supports it and is configured
+  select(capability, names) {
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(`Unknown capability: ${capability}`);
+    }
+
+    const chain = [].concat(names).map((name) => {
+      const provider = this.getInstance(name);
+      if (!provider.capabilities.includes(capability)) {
+        throw new Error(`Provider "${name}" does not support ${capability}`);
+      }
+      if (!provider.isConfigured()) {
+        throw new Error(`Provider "${name}" is not configured (missing API key?)`);
+      }
+      return provider;
+    });
+
+    this.selected[capability] = chain;
+    return chain[0];
+  }
+
+  // Select providers for every capability from environment configuration.
+  // Returns capability -> provider names in failover order.
+  configure(env = process.env) {
+    for (const capability of CAPABILITIES) {
+      this.select(capability, resolveProviderNames(capability, env));
+    }
+    return Object.fromEntries(
+      Object.entries(this.selected).map(([capability, chain]) => [capability, chain.map(provider => provider.name)])
+    );
+  }
+
+  chain(capability) {
+    const chain = this.selected[capability];
+    if (!chain) {
+      throw new Error(`No provider configured for ${capability}`);
+    }
+    return chain;
+  }
+
+  // The provider currently serving a capability: the first whose circuit is not open,
+  // or the primary when all are
+  get(capability) {
+    const chain = this.chain(capability);
+    return chain.find(provider => this.getBreaker(provider.name).isAvailable()) || chain[0];
+  }
+
+  // Run fn(provider) with the first provider for the capability whose circuit lets the
+  // call through. When it fails with an upstream error, or cannot serve the request, the
+  // next provider is tried, unless shouldFailover() says the attempt already had visible
+  // effects (e.g. streamed output).
+  // Providers for which prefer(provider) is true are tried before the rest of the chain.
+  // Rejects with ProviderUnavailableError when every circuit is open.
+  async withFailover(capability, fn, { shouldFailover = () => true, prefer = null } = {}) {
+    const chain = this.chain(capability);
+    const ordered = prefer
+      ? [...chain.filter(provider => prefer(provider)), ...chain.filter(provider => !prefer(provider))]
+      : chain;
+    let lastError = null;
+
+    for (const [index, provider] of ordered.entries()) {
+      const breaker = this.getBreaker(provider.name);
+      if (!breaker.tryAcquire()) continue;
+      const trial = breaker.state === 'half_open';
+
+      try {
+        return await fn(provider);
+      } catch (error) {
+        const unsupported = error instanceof UnsupportedRequestError;
+        if (!(isUpstreamFailure(error) || unsupported) || !shouldFailover()) throw error;
+        if (index < ordered.length - 1) {
+          logger.warn(`${capability} via ${provider.name} failed, trying the next provider: ${error.message}`);
+        }
+        lastError = error;
+      } finally {
+        // The call may have been served without reaching the provider (cache hit)
+        if (trial) breaker.release();
+      }
+    }
+
+    if (lastError) throw lastError;
+    const retryAfterMs = Math.min(...chain.map(provider => this.getBreaker(provider.name).retryAfterMs()));
+    throw new ProviderUnavailableError(capability, retryAfterMs);
+  }
+
+  // Map of capability -> provider currently serving it
+  describe() {
+    return Object.fromEntries(
+      Object.keys(this.selected).map(capability => [capability, this.get(capability).name])
+    );
+  }
+
+  // Circuit state of every selected provider: { state, failures, retryAt }
+  describeCircuits() {
+    const names = new Set(Object.values(this.selected).flat().map(provider => provider.name));
+    return Object.fromEntries([...names].map(name => [name, this.getBreaker(name).describe()]));
+  }
+}
+
+const providers = new ProviderRegistry();
+
+module.exports = {
+  providers,
+  ProviderRegistry,
+  ProviderUnavailableError,
+  UnsupportedRequestError,
+  CAPABILITIES,
+  resolveProviderNames
+};
@@ -0,0 +1,165 @@
+// Local provider - deterministic, offline implementations of every capability.
+// Used in CI and local development where no API keys or network are available.
+
+const { pcmToWav } = require('../utils/wav');
+const { audioDuration } = require('../utils/audioFormat');
+
+const TRANSCRIPTIONS = {
+  'ar': 'مرحبا، كيف حالك؟',
+  'fa': 'سلام، چطور هستید؟',
+  'tr': 'Merhaba, nasılsın?',
+  'he': 'שלום, איך אתה?',
+  'ku': 'سڵاو، چۆنیت؟',
+  'en': 'Hello, how are you?'
+};
+
+// Known phrases translate to a fixed English sentence; anything else is echoed with a marker
+const TRANSLATIONS = Object.fromEntries(
+  Object.entries(TRANSCRIPTIONS).map(([language, text]) => [text, TRANSCRIPTIONS.en])
+);
+
+const SAMPLE_RATE = 22050;
+
+function createPcmTone(durationSeconds, frequency = 440) {
+  const samples = Math.floor(SAMPLE_RATE * durationSeconds);
+  const pcm = Buffer.alloc(samples * 2);
+
+  for (let i = 0; i < samples; i++) {
+    const sample = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 0.1;
+    pcm.writeInt16LE(Math.round(sample * 0x7FFF), i * 2);
+  }
+
+  return pcm;
+}
+
+function createWavTone(durationSeconds, frequency = 440) {
+  return pcmToWav(createPcmTone(durationSeconds, frequency), SAMPLE_RATE);
+}
+
+// Yield PCM in 100ms chunks, like a streaming TTS vendor; an aborted signal ends the stream
+async function* chunkPcm(pcm, signal) {
+  const chunkBytes = SAMPLE_RATE * 2 / 10;
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    signal?.throwIfAborted();
+    yield pcm.subarray(offset, offset + chunkBytes);
+  }
+}
+
+// Segment and word timings spread evenly over the audio, like a provider's verbose output
+function timeText(text, duration) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const step = duration / Math.max(words.length, 1);
+  return {
+    segments: [{ text, start: 0, end: duration, confidence: 1.0, noSpeechProb: 0 }],
+    words: words.map((word, i) => ({
+      word,
+      start: Math.round(i * step * 1000) / 1000,
+      end: Math.round((i + 1) * step * 1000) / 1000
+    }))
+  };
+}
+
+// 100ms of tone per character, capped at 3 seconds
+function toneDuration(text) {
+  return Math.min(Math.max(text.length, 1) * 0.1, 3);
+}
+
+// Test tones standing in for voices
+const LOCAL_VOICES = [
+  { id: 'tone-low', name: 'Low tone', gender: 'male', frequency: 220 },
+  { id: 'tone-high', name: 'High tone', gender: 'female', frequency: 440 }
+];
+
+function createLocalProvider() {
+  return {
+    name: 'local',
+    capabilities: ['transcribe', 'translate', 'synthesize'],
+    appliesGlossary: true,
+
+    isConfigured() {
+      return true;
+    },
+
+    // The phrase spans the whole chunk (2.5 seconds when its length is unknown).
+    // Diarization stub: the whole chunk is one speaker, the first known speaker when
+    // there is one, so speaker handling across chunks is testable offline.
+    async transcribe({ buffer, language = 'auto', diarize = false, knownSpeakers = [] }) {
+      const detected = TRANSCRIPTIONS[language] ? language : 'ar';
+      const text = TRANSCRIPTIONS[detected];
+      const duration = (buffer && audioDuration(buffer)) || 2.5;
+      const { segments, words } = timeText(text, duration);
+      return {
+        text,
+        language: detected,
+        duration,
+        segments: diarize
+          ? segments.map(segment => ({ ...segment, speaker: knownSpeakers[0]?.name || 'A' }))
+          : segments,
+        words
+      };
+    },
+
+    async translate({ text, sourceLanguage, targetLanguage, glossary = [] }) {
+      if (targetLanguage === 'en' && TRANSLATIONS[text]) {
+        return { translatedText: TRANSLATIONS[text], confidence: 1.0, formality: 'neutral', untranslatableTerms: [] };
+      }
+
+      // Apply glossary terms literally so terminology handling is testable offline
+      const translated = glossary.reduce(
+        (result, entry) => result.split(entry.source).join(entry.target),
+        text
+      );
+      return {
+        translatedText: `[${sourceLanguage}→${targetLanguage}] ${translated}`,
+        confidence: 0.5,
+        formality: 'neutral',
+        untranslatableTerms: []
+      };
+    },
+
+    // Emit the translation word by word to exercise streaming clients
+    async translateStream(params, onDelta) {
+      const result = await this.translate(params);
+      for (const word of result.translatedText.match(/\S+\s*/g) || []) {
+        onDelta(word);
+      }
+      return result;
+    },
+
+    async probe() {
+      return { quota: null };
+    },
+
+    resolveVoice(language, { voiceId, gender = 'male' } = {}) {
+      const voice = LOCAL_VOICES.find(item => item.id === voiceId) ||
+        LOCAL_VOICES.find(item => item.gender === gender) ||
+        LOCAL_VOICES[0];
+      return { voiceId: voice.id, model: 'local' };
+    },
+
+    async listVoices() {
+      return LOCAL_VOICES.map(({ frequency, ...voice }) => voice);
+    },
+
+    async synthesize({ text, language, voiceId, gender }) {
+      const voice = LOCAL_VOICES.find(item => item.id === this.resolveVoice(language, { voiceId, gender }).voiceId);
+      return {
+        audio: createWavTone(toneDuration(text), voice.frequency),
+        contentType: 'audio/wav'
+      };
+    },
+
+    // PCM is streamed in chunks; other formats get the WAV in one piece
+    async synthesizeStream({ text, language, voiceId, gender, format = 'pcm', signal }) {
+      const voice = LOCAL_VOICES.find(item => item.id === this.resolveVoice(language, { voiceId, gender }).voiceId);
+      const pcm = createPcmTone(toneDuration(text), voice.frequency);
+
+      if (format !== 'pcm') {
+        return { contentType: 'audio/wav', sampleRate: SAMPLE_RATE, chunks: [pcmToWav(pcm, SAMPLE_RATE)] };
+      }
+      return { contentType: 'audio/pcm', sampleRate: SAMPLE_RATE, chunks: chunkPcm(pcm, signal) };
+    }
+  };
+}
+
+module.exports = { createLocalProvider, createWavTone };
@@ -0,0 +1,243 @@
+const axios = require('axios');
+const { buildTranslationMessages, buildTransliterationMessages } = require('../utils/prompts');
+const { findLanguageCode } = require('../utils/languages');
+const { readEventData } = require('../utils/sse');
+const {
+  TRANSLATION_OUTPUT_SCHEMA,
+  TranslationOutputError,
+  parseTranslationOutput,
+  TRANSLITERATION_OUTPUT_SCHEMA,
+  parseTransliterationOutput,
+  TranslationFieldReader
+} = require('../utils/translationOutput');
+
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+// Transcription model used when speakers are to be told apart
+const DIARIZATION_MODEL = process.env.OPENAI_DIARIZATION_MODEL || 'gpt-4o-transcribe-diarize';
+
+// Whisper infers the container format from the upload's file extension
+const AUDIO_EXTENSIONS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/flac': 'flac'
+};
+
+// Supported languages Whisper accepts as a language code. Kurdish is not one of them, so
+// its audio is sent without a language, primed only by the variety's sample text.
+const WHISPER_LANGUAGES = new Set(['ar', 'fa', 'tr', 'he', 'en']);
+
+function audioFilename(mimetype = 'audio/wav') {
+  const baseType = mimetype.split(';')[0].trim();
+  return `audio.${AUDIO_EXTENSIONS[baseType] || 'wav'}`;
+}
+
+// Whisper's average token log-probability of a segment as a 0-1 confidence
+function logprobConfidence(avgLogprob) {
+  if (typeof avgLogprob !== 'number') return null;
+  return Math.round(Math.min(1, Math.exp(avgLogprob)) * 1000) / 1000;
+}
+
+// Chat completion body for a translation. Structured outputs constrain the reply
+// to TRANSLATION_OUTPUT_SCHEMA; it is still validated before use.
+function translationRequest(params) {
+  return {
+    model: 'gpt-4o',
+    messages: buildTranslationMessages(params),
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'translation', strict: true, schema: TRANSLATION_OUTPUT_SCHEMA }
+    },
+    max_tokens: 1000,
+    temperature: 0.3
+  };
+}
+
+// OpenAI provider - Whisper for speech-to-text, GPT-4o for translation and transliteration
+function createOpenAIProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  const baseUrl = config.baseUrl || OPENAI_BASE_URL;
+  const timeout = config.timeout || 30000;
+
+  return {
+    name: 'openai',
+    capabilities: ['transcribe', 'translate'],
+    appliesGlossary: true,
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    // Cheap authenticated request used by readiness checks. OpenAI exposes no quota endpoint.
+    async probe({ timeout: probeTimeout }) {
+      await axios.get(`${baseUrl}/models/gpt-4o`, {
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        timeout: probeTimeout
+      });
+      return { quota: null };
+    },
+
+    // Whisper's verbose output gives segment and word timings in seconds from the start
+    // of the audio, and per segment a confidence and the probability it is not speech.
+    // With diarize, the diarization model labels who said what instead (no confidence or
+    // word timings). knownSpeakers ({ name, reference } with a data URL of their voice)
+    // are labelled by name; other speakers get letters (A, B, ...). prompt primes Whisper
+    // with sample text, e.g. of a dialect; the diarization model takes none.
+    async transcribe({ buffer, mimetype, language = 'auto', prompt = null, diarize = false, knownSpeakers = [], signal }) {
+      const formData = new FormData();
+      formData.append('file', new Blob([buffer], { type: mimetype }), audioFilename(mimetype));
+      formData.append('model', diarize ? DIARIZATION_MODEL : 'whisper-1');
+      const whisperLanguage = WHISPER_LANGUAGES.has(language);
+      if (whisperLanguage) {
+        formData.append('language', language);
+      }
+      if (diarize) {
+        formData.append('response_format', 'diarized_json');
+        formData.append('chunking_strategy', 'auto');
+        for (const { name, reference } of knownSpeakers) {
+          formData.append('known_speaker_names[]', name);
+          formData.append('known_speaker_references[]', reference);
+        }
+      } else {
+        if (prompt) {
+          formData.append('prompt', prompt);
+        }
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'segment');
+        formData.append('timestamp_granularities[]', 'word');
+      }
+
+      const response = await axios.post(`${baseUrl}/audio/transcriptions`, formData, {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`
+        },
+        timeout,
+        signal
+      });
+
+      const { data } = response;
+      if (diarize) {
+        return {
+          text: data.text,
+          language,
+          duration: data.duration ?? null,
+          segments: (data.segments || []).map(({ speaker, text, start, end }) => ({
+            speaker, text, start, end, confidence: null, noSpeechProb: null
+          })),
+          words: []
+        };
+      }
+
+      // Verbose output names the language ("arabic"); a language Whisper was not told
+      // about is reported as requested rather than as whatever it guessed
+      return {
+        text: data.text,
+        language: language === 'auto' || whisperLanguage ? findLanguageCode(data.language) || language : language,
+        duration: data.duration ?? null,
+        segments: (data.segments || []).map(segment => ({
+          text: segment.text.trim(),
+          start: segment.start,
+          end: segment.end,
+          confidence: logprobConfidence(segment.avg_logprob),
+          noSpeechProb: segment.no_speech_prob ?? null
+        })),
+        words: (data.words || []).map(({ word, start, end }) => ({ word, start, end }))
+      };
+    },
+
+    async translate(params) {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        translationRequest(params),
+        {
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout,
+          signal: params.signal
+        }
+      );
+
+      const message = response.data.choices[0]?.message;
+      if (message?.refusal) {
+        throw new TranslationOutputError(`Translation refused: ${message.refusal}`);
+      }
+
+      return { ...parseTranslationOutput(message?.content), confidence: 0.9 };
+    },
+
+    // Same as translate, calling onDelta(text) as the translation field of the output forms
+    async translateStream(params, onDelta) {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        { ...translationRequest(params), stream: true },
+        {
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          responseType: 'stream',
+          timeout,
+          signal: params.signal
+        }
+      );
+
+      const reader = new TranslationFieldReader();
+      let refusal = '';
+      for await (const data of readEventData(response.data)) {
+        if (data === '[DONE]') break;
+
+        const delta = JSON.parse(data).choices[0]?.delta;
+        if (delta?.refusal) {
+          refusal += delta.refusal;
+        }
+        if (delta?.content) {
+          const text = reader.push(delta.content);
+          if (text) onDelta(text);
+        }
+      }
+
+      if (refusal) {
+        throw new TranslationOutputError(`Translation refused: ${refusal}`);
+      }
+      return { ...parseTranslationOutput(reader.raw), confidence: 0.9 };
+    },
+
+    // Romanize text with the translation model; resolves to { transliteration }
+    async transliterate({ text, language, signal }) {
+      const response = await axios.post(
+        `${baseUrl}/chat/completions`,
+        {
+          model: 'gpt-4o',
+          messages: buildTransliterationMessages({ text, language }),
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'transliteration', strict: true, schema: TRANSLITERATION_OUTPUT_SCHEMA }
+          },
+          max_tokens: 1000,
+          temperature: 0
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout,
+          signal
+        }
+      );
+
+      const message = response.data.choices[0]?.message;
+      if (message?.refusal) {
+        throw new TranslationOutputError(`Transliteration refused: ${message.refusal}`);
+      }
+      return parseTransliterationOutput(message?.content);
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Manage client tokens from the command line.
+//
+//   npm run tokens -- create <name>
+//   npm run tokens -- list
+//   npm run tokens -- revoke <id>
+//
+// Uses the same storage as the server: Redis when REDIS_URL is set, otherwise STORAGE_DIR.
+require('dotenv').config();
+const { connectRedis, getRedisClient } = require('../services/redis');
+const { configureStorage } = require('../services/storage');
+const { createToken, revokeToken, listTokens } = require('../services/clientTokens');
+
+async function main([command, arg]) {
+  configureStorage(await connectRedis());
+
+  switch (command) {
+    case 'create': {
+      if (!arg) throw new Error('Usage: tokens create <name>');
+      const token = await createToken(arg);
+      console.log(`Created token ${token.id} for ${token.name}`);
+      console.log(`Token (shown once): ${token.token}`);
+      break;
+    }
+    case 'list': {
+      const tokens = await listTokens();
+      if (tokens.length === 0) {
+        console.log('No tokens issued');
+      }
+      tokens.forEach(token => {
+        const status = token.revokedAt ? `revoked ${token.revokedAt}` : 'active';
+        console.log(`${token.id}  ${token.name}  created ${token.createdAt}  ${status}`);
+      });
+      break;
+    }
+    case 'revoke': {
+      if (!arg) throw new Error('Usage: tokens revoke <id>');
+      const token = await revokeToken(arg);
+      if (!token) throw new Error(`Token not found: ${arg}`);
+      console.log(`Revoked token ${token.id} (${token.name})`);
+      break;
+    }
+    default:
+      throw new Error('Usage: tokens <create|list|revoke> [name|id]');
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    const client = getRedisClient();
+    if (client) client.quit();
+  });
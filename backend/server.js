@@ -2,32 +2,67 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 const multer = require('multer');
-const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
-const winston = require('winston');
 require('dotenv').config();
+const logger = require('./utils/logger');
+const { providers, ProviderUnavailableError, UnsupportedRequestError } = require('./providers');
+const { attachTranscriptionStream, stopTranscriptionStreams } = require('./services/transcriptionStream');
+const { runPipeline, parsePipelineSettings } = require('./services/pipeline');
+const { transcribeAudio, speechSpan, offsetTimings, translateText, synthesizeSpeech, streamSpeech } = require('./services/speech');
+const { DIARIZATION_CONFIG, forgetSpeakers, configureDiarization } = require('./services/diarization');
+const { TRANSLITERATION_CONFIG, transliterateText } = require('./services/transliteration');
+const { listVoices, getDefaultVoices } = require('./services/voices');
+const { checkReadiness } = require('./services/health');
+const { version } = require('./package.json');
+const { buildOpenApiSpec } = require('./utils/openapi');
+const { startEventStream, writeEvent } = require('./utils/sse');
+const { TranslationOutputError } = require('./utils/translationOutput');
+const {
+  METRICS_CONFIG,
+  httpMetrics,
+  metricsHandler,
+  recordUpstreamCall,
+  recordAudioBytes
+} = require('./services/metrics');
+const { cache } = require('./services/cache');
+const { connectRedis } = require('./services/redis');
+const { isShuttingDown, closeConnectionsWhenDraining, handleShutdown } = require('./services/shutdown');
+const { configureStorage } = require('./services/storage');
+const { createToken, revokeToken, listTokens } = require('./services/clientTokens');
+const glossaries = require('./services/glossary');
+const sessions = require('./services/sessions');
+const { requireClient, requireAdmin, authenticateRequest, AUTH_ENABLED } = require('./middleware/auth');
+const { enforceQuota, sendQuotaExceeded } = require('./middleware/quota');
+const { assignRequestId, sendError, notFound, errorHandler } = require('./middleware/errors');
+const { abortOnDisconnect } = require('./middleware/abort');
+const { audioFileFilter, validate, rules } = require('./middleware/validation');
+const { loadTranscriptSession } = require('./middleware/session');
+const { prepareAudio } = require('./middleware/audio');
+const { RATE_LIMIT_CONFIG, rateLimiters, configureRateLimiting } = require('./middleware/rateLimit');
+const {
+  QuotaExceededError,
+  measureAudioSeconds,
+  recordUsage,
+  flushUsage,
+  purgeExpiredUsage,
+  checkQuota,
+  setQuotas,
+  getUsageReport
+} = require('./services/usage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure logging
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ]
-});
+// req.ip is the client's address as forwarded by the proxies in front of the server
+app.set('trust proxy', RATE_LIMIT_CONFIG.TRUST_PROXY);
 
 // Middleware
+if (METRICS_CONFIG.ENABLED) {
+  app.use(httpMetrics);
+}
+app.use(assignRequestId);
+app.use(abortOnDisconnect);
+app.use(closeConnectionsWhenDraining);
 app.use(helmet());
 app.use(compression());
 app.use(cors({
@@ -37,19 +72,11 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: 15 * 60
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+// Client token authentication
+app.use('/api/', requireClient);
 
-app.use('/api/', limiter);
+// Rate limiting, per client token once authenticated (see middleware/rateLimit.js)
+app.use('/api/', rateLimiters.api);
 
 // Configure multer for file uploads
 const upload = multer({
@@ -57,313 +84,797 @@ const upload = multer({
   limits: {
     fileSize: 25 * 1024 * 1024, // 25MB limit
   },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('audio/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only audio files are allowed'), false);
-    }
-  }
+  fileFilter: audioFileFilter
 });
 
-// API Configuration
-const API_CONFIG = {
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  ELEVENLABS_API_KEY: process.env.ELEVENLABS_API_KEY,
-  OPENAI_BASE_URL: 'https://api.openai.com/v1',
-  ELEVENLABS_BASE_URL: 'https://api.elevenlabs.io/v1'
-};
-
-// Validate API keys
-if (!API_CONFIG.OPENAI_API_KEY) {
-  logger.error('OPENAI_API_KEY is required');
+// Provider selection - each capability can run against a different vendor
+providers.observe(recordUpstreamCall);
+try {
+  const selected = providers.configure();
+  logger.info(`Providers: ${JSON.stringify(selected)}`);
+} catch (error) {
+  logger.error(`Provider configuration failed: ${error.message}`);
   process.exit(1);
 }
 
-if (!API_CONFIG.ELEVENLABS_API_KEY) {
-  logger.error('ELEVENLABS_API_KEY is required');
-  process.exit(1);
+// Map an upstream provider failure to a status code and error body
+function describeProviderError(error, fallbackMessage) {
+  if (error.response?.status === 401) {
+    return { status: 401, body: { error: 'Invalid API key', code: 'UPSTREAM_AUTH_FAILED' } };
+  }
+
+  if (error.response?.status === 429) {
+    return {
+      status: 429,
+      body: {
+        error: 'Rate limit exceeded',
+        code: 'UPSTREAM_RATE_LIMITED',
+        retryAfter: error.response.headers['retry-after'] || 60
+      }
+    };
+  }
+
+  // Every provider's circuit is open; retryAfter is when the first one is tried again
+  if (error instanceof ProviderUnavailableError) {
+    return {
+      status: 503,
+      body: { error: fallbackMessage, code: 'UPSTREAM_UNAVAILABLE', message: error.message, retryAfter: error.retryAfter }
+    };
+  }
+
+  // No provider for the capability can serve this request (e.g. DeepL and a Kurdish target)
+  if (error instanceof UnsupportedRequestError) {
+    return { status: 400, body: { error: fallbackMessage, code: 'VALIDATION_ERROR', message: error.message } };
+  }
+
+  // The model answered, but not with a well-formed translation
+  if (error instanceof TranslationOutputError) {
+    return { status: 502, body: { error: fallbackMessage, code: 'UPSTREAM_INVALID_RESPONSE', message: error.message } };
+  }
+
+  return { status: 500, body: { error: fallbackMessage, code: 'UPSTREAM_ERROR', message: error.message } };
+}
+
+// Translate upstream provider failures into API responses
+function sendProviderError(res, error, fallbackMessage) {
+  const { status, body } = describeProviderError(error, fallbackMessage);
+  if (body.retryAfter) {
+    res.set('Retry-After', String(body.retryAfter));
+  }
+  sendError(res, status, body);
+}
+
+// True when the request failed because its client disconnected and the upstream call was
+// cancelled; nobody is left to answer, so handlers just log it
+function cancelledByClient(req, description) {
+  if (!req.signal.aborted) return false;
+  logger.info(`${description} cancelled: client disconnected`);
+  return true;
+}
+
+// Record metered usage for the calling client without failing the request
+function meterUsage(req, deltas) {
+  recordUsage(req.client.id, deltas).catch((error) => {
+    logger.error(`Usage recording failed for ${req.client.id}:`, error.message);
+  });
+}
+
+// Record a result in the request's transcript session (X-Session-ID). With an index the
+// translation of that segment is filled in, otherwise a segment is appended.
+// A transcript problem never fails the request; resolves to the segment index, or null.
+async function recordSegment(req, segment, index) {
+  if (index === undefined) {
+    return (await appendSegment(req, segment))?.index ?? null;
+  }
+  if (!req.transcriptSessionId) return null;
+
+  try {
+    return await sessions.setTranslation(req.client.id, req.transcriptSessionId, index, segment);
+  } catch (error) {
+    logger.error(`Session ${req.transcriptSessionId} update failed:`, error.message);
+    return null;
+  }
 }
 
+// Append a transcription to the request's transcript session; resolves to
+// { index, offsetMs }, or null when there is no session or it could not be updated
+async function appendSegment(req, segment) {
+  if (!req.transcriptSessionId) return null;
+
+  try {
+    return await sessions.addSegment(req.client.id, req.transcriptSessionId, segment);
+  } catch (error) {
+    logger.error(`Session ${req.transcriptSessionId} update failed:`, error.message);
+    return null;
+  }
+}
+
+// Prometheus metrics
+if (METRICS_CONFIG.ENABLED) {
+  app.get('/metrics', metricsHandler);
+}
+
+// OpenAPI description of the HTTP API
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version,
+    providers: providers.describe(),
+    circuits: providers.describeCircuits(),
+    cache: cache.describe()
   });
 });
 
-// Speech-to-Text endpoint
-app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
-  const requestId = uuidv4();
-  logger.info(`Transcription request ${requestId} started`);
+// Readiness: probes each configured provider (cached briefly).
+// 503 when any capability is down or out of vendor quota.
+app.get('/health/ready', async (req, res) => {
+  // Draining instances take no new traffic
+  if (isShuttingDown()) {
+    return res.status(503).json({ version, status: 'shutting_down' });
+  }
 
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'No audio file provided',
-        requestId
-      });
-    }
+    const readiness = await checkReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json({ version, ...readiness });
+  } catch (error) {
+    logger.error('Readiness check failed:', error.message);
+    sendError(res, 503, { status: 'not_ready', error: 'Readiness check failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
 
-    const { language = 'auto' } = req.body;
-    
-    // Call OpenAI Whisper API
-    const formData = new FormData();
-    formData.append('file', req.file.buffer, {
-      filename: 'audio.wav',
-      contentType: req.file.mimetype
-    });
-    formData.append('model', 'whisper-1');
-    if (language !== 'auto') {
-      formData.append('language', language);
-    }
+// Speech-to-Text endpoint
+app.post('/api/transcribe', rateLimiters.transcribe, enforceQuota('audioSeconds'), upload.single('audio'), validate(rules.transcribe), prepareAudio, loadTranscriptSession, async (req, res) => {
+  const { requestId } = res.locals;
+  logger.info(`Transcription request ${requestId} started (${req.audioFormat})`);
 
-    const response = await axios.post(
-      `${API_CONFIG.OPENAI_BASE_URL}/audio/transcriptions`,
-      formData,
-      {
-        headers: {
-          'Authorization': `Bearer ${API_CONFIG.OPENAI_API_KEY}`,
-          'Content-Type': 'multipart/form-data'
-        },
-        timeout: 30000
-      }
-    );
+  try {
+    const { language = 'auto', diarize = false } = req.body;
+    recordAudioBytes('in', req.file.size);
+
+    const result = await transcribeAudio({
+      audio: req.file,
+      language,
+      diarize,
+      clientId: req.client.id,
+      transcriptSessionId: req.transcriptSessionId,
+      signal: req.signal
+    });
 
     logger.info(`Transcription request ${requestId} completed successfully`);
-    
+    const audioSeconds = measureAudioSeconds(req.file.buffer);
+    meterUsage(req, { audioSeconds });
+
+    const recorded = await appendSegment(req, {
+      text: result.text,
+      language: result.language || language,
+      speaker: result.speaker,
+      durationMs: audioSeconds * 1000,
+      speech: speechSpan(result.segments)
+    });
+    // In a transcript session, timings count from the start of the session
+    const offset = recorded ? recorded.offsetMs / 1000 : null;
+
     res.json({
-      text: response.data.text,
-      language: response.data.language || language,
-      confidence: 1.0,
+      text: result.text,
+      language: result.language || language,
+      confidence: result.confidence,
+      duration: result.duration ?? audioSeconds,
+      offset,
+      ...offsetTimings(result, offset ?? 0),
+      ...(result.speaker !== undefined && { speaker: result.speaker }),
+      sessionSegment: recorded?.index ?? null,
       requestId
     });
 
   } catch (error) {
+    if (cancelledByClient(req, `Transcription request ${requestId}`)) return;
     logger.error(`Transcription request ${requestId} failed:`, error.message);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        error: 'Invalid API key',
-        requestId
-      });
-    }
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        retryAfter: error.response.headers['retry-after'] || 60,
-        requestId
-      });
-    }
-
-    res.status(500).json({
-      error: 'Transcription failed',
-      message: error.message,
-      requestId
-    });
+    sendProviderError(res, error, 'Transcription failed');
   }
 });
 
 // Translation endpoint
-app.post('/api/translate', async (req, res) => {
-  const requestId = uuidv4();
+app.post('/api/translate', rateLimiters.translate, validate(rules.translate), loadTranscriptSession, enforceQuota('translatedCharacters'), async (req, res) => {
+  const { requestId } = res.locals;
   logger.info(`Translation request ${requestId} started`);
 
   try {
-    const { text, sourceLanguage, targetLanguage } = req.body;
+    const { text, sourceLanguage, targetLanguage, context = [] } = req.body;
 
-    if (!text || !sourceLanguage || !targetLanguage) {
-      return res.status(400).json({
-        error: 'Missing required fields: text, sourceLanguage, targetLanguage',
-        requestId
-      });
-    }
+    const { result, cacheHit, glossaryTerms, glossaryIgnored, contextEntries } = await translateText({
+      text,
+      sourceLanguage,
+      targetLanguage,
+      clientId: req.client.id,
+      context,
+      signal: req.signal
+    });
 
-    // Call OpenAI GPT-4o API
-    const response = await axios.post(
-      `${API_CONFIG.OPENAI_BASE_URL}/chat/completions`,
-      {
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a professional translator specializing in Middle Eastern languages. Translate accurately while preserving tone, context, and cultural nuances.'
-          },
-          {
-            role: 'user',
-            content: `Translate the following ${sourceLanguage} text to ${targetLanguage}. Preserve the tone, formality level, and cultural context. Text: "${text}"`
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.3
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${API_CONFIG.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
+    logger.info(`Translation request ${requestId} completed successfully`);
+    meterUsage(req, { translatedCharacters: text.length });
 
-    const translatedText = response.data.choices[0]?.message?.content?.trim() || '';
+    const sessionSegment = await recordSegment(req, {
+      text,
+      language: sourceLanguage,
+      translatedText: result.translatedText,
+      sourceLanguage,
+      targetLanguage
+    }, req.body.sessionSegment);
 
-    logger.info(`Translation request ${requestId} completed successfully`);
-    
+    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
     res.json({
-      translatedText,
+      translatedText: result.translatedText,
       sourceLanguage,
       targetLanguage,
-      confidence: 0.9,
+      confidence: result.confidence,
+      formality: result.formality,
+      untranslatableTerms: result.untranslatableTerms,
+      glossaryTerms,
+      glossaryIgnored,
+      contextEntries,
+      sessionSegment,
       requestId
     });
 
   } catch (error) {
+    if (cancelledByClient(req, `Translation request ${requestId}`)) return;
     logger.error(`Translation request ${requestId} failed:`, error.message);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        error: 'Invalid API key',
-        requestId
-      });
-    }
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        retryAfter: error.response.headers['retry-after'] || 60,
-        requestId
-      });
-    }
+    sendProviderError(res, error, 'Translation failed');
+  }
+});
+
+// Streaming translation endpoint.
+// Same body as /api/translate; responds with Server-Sent Events:
+//   delta  { text }   the next piece of the translation
+//   done   { translatedText, confidence, ..., cached }
+//   error  { error, status }
+app.post('/api/translate/stream', rateLimiters.translate, validate(rules.translate), loadTranscriptSession, enforceQuota('translatedCharacters'), async (req, res) => {
+  const { requestId } = res.locals;
+  logger.info(`Streaming translation request ${requestId} started`);
+
+  const { text, sourceLanguage, targetLanguage, context = [] } = req.body;
+
+  startEventStream(res);
+
+  try {
+    const { result, cacheHit, glossaryTerms, glossaryIgnored, contextEntries } = await translateText({
+      text,
+      sourceLanguage,
+      targetLanguage,
+      clientId: req.client.id,
+      context,
+      onDelta: (delta) => writeEvent(res, 'delta', { text: delta }),
+      signal: req.signal
+    });
+
+    logger.info(`Streaming translation request ${requestId} completed successfully`);
+    meterUsage(req, { translatedCharacters: text.length });
 
-    res.status(500).json({
-      error: 'Translation failed',
-      message: error.message,
+    const sessionSegment = await recordSegment(req, {
+      text,
+      language: sourceLanguage,
+      translatedText: result.translatedText,
+      sourceLanguage,
+      targetLanguage
+    }, req.body.sessionSegment);
+
+    writeEvent(res, 'done', {
+      translatedText: result.translatedText,
+      sourceLanguage,
+      targetLanguage,
+      confidence: result.confidence,
+      formality: result.formality,
+      untranslatableTerms: result.untranslatableTerms,
+      glossaryTerms,
+      glossaryIgnored,
+      contextEntries,
+      cached: cacheHit,
+      sessionSegment,
       requestId
     });
+  } catch (error) {
+    if (cancelledByClient(req, `Streaming translation request ${requestId}`)) return;
+    logger.error(`Streaming translation request ${requestId} failed:`, error.message);
+    const { status, body } = describeProviderError(error, 'Translation failed');
+    writeEvent(res, 'error', { ...body, status, requestId });
   }
+
+  res.end();
 });
 
-// Text-to-Speech endpoint
-app.post('/api/synthesize', async (req, res) => {
-  const requestId = uuidv4();
-  logger.info(`TTS request ${requestId} started`);
+// Transliteration endpoint: the original text in Latin letters, from the translation
+// model or, when it is unavailable, from rules
+app.post('/api/transliterate', rateLimiters.transliterate, validate(rules.transliterate), async (req, res) => {
+  const { requestId } = res.locals;
+  logger.info(`Transliteration request ${requestId} started`);
 
   try {
-    const { text, language = 'en' } = req.body;
+    const { text, language = 'auto' } = req.body;
+    const result = await transliterateText({ text, language, clientId: req.client.id, signal: req.signal });
+
+    logger.info(`Transliteration request ${requestId} completed (${result.method})`);
+    // Like translations, model output is metered whether or not it came from the cache;
+    // the rules are free
+    if (result.method === 'model') {
+      meterUsage(req, { translatedCharacters: text.length });
+    }
+    res.set('X-Cache', result.cacheHit ? 'HIT' : 'MISS');
+    res.json({
+      transliteration: result.transliteration,
+      language: result.language,
+      method: result.method,
+      requestId
+    });
 
-    if (!text) {
-      return res.status(400).json({
-        error: 'Text is required',
-        requestId
-      });
+  } catch (error) {
+    if (cancelledByClient(req, `Transliteration request ${requestId}`)) return;
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
     }
+    logger.error(`Transliteration request ${requestId} failed:`, error.message);
+    sendProviderError(res, error, 'Transliteration failed');
+  }
+});
 
-    // Map language to voice ID
-    const voiceMap = {
-      'ar': 'pNInz6obpgDQGcFmaJgB', // Adam voice for Arabic
-      'fa': 'pNInz6obpgDQGcFmaJgB', // Adam voice for Persian
-      'tr': 'pNInz6obpgDQGcFmaJgB', // Adam voice for Turkish
-      'he': 'pNInz6obpgDQGcFmaJgB', // Adam voice for Hebrew
-      'ku': 'pNInz6obpgDQGcFmaJgB', // Adam voice for Kurdish
-      'en': 'pNInz6obpgDQGcFmaJgB'  // Adam voice for English
-    };
+// Text-to-Speech endpoint
+app.post('/api/synthesize', rateLimiters.synthesize, validate(rules.synthesize), enforceQuota('ttsCharacters'), async (req, res) => {
+  const { requestId } = res.locals;
+  logger.info(`TTS request ${requestId} started`);
 
-    const voiceId = voiceMap[language] || voiceMap['en'];
-
-    // Call ElevenLabs API
-    const response = await axios.post(
-      `${API_CONFIG.ELEVENLABS_BASE_URL}/text-to-speech/${voiceId}`,
-      {
-        text: text,
-        model_id: 'eleven_multilingual_v2',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75,
-          style: 0.0,
-          use_speaker_boost: true
-        }
-      },
-      {
-        headers: {
-          'xi-api-key': API_CONFIG.ELEVENLABS_API_KEY,
-          'Content-Type': 'application/json'
-        },
-        responseType: 'arraybuffer',
-        timeout: 30000
-      }
-    );
+  try {
+    const { text, language = 'en', voiceId, gender } = req.body;
+
+    const { result, cacheHit } = await synthesizeSpeech({ text, language, voiceId, gender, signal: req.signal });
 
     logger.info(`TTS request ${requestId} completed successfully`);
+    meterUsage(req, { ttsCharacters: text.length });
+    recordAudioBytes('out', result.audio.length);
     
     res.set({
-      'Content-Type': 'audio/mpeg',
-      'Content-Length': response.data.length,
-      'X-Request-ID': requestId
+      'Content-Type': result.contentType,
+      'Content-Length': result.audio.length,
+      'X-Cache': cacheHit ? 'HIT' : 'MISS'
     });
     
-    res.send(response.data);
+    res.send(result.audio);
 
   } catch (error) {
+    if (cancelledByClient(req, `TTS request ${requestId}`)) return;
     logger.error(`TTS request ${requestId} failed:`, error.message);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({
-        error: 'Invalid API key',
-        requestId
-      });
-    }
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        retryAfter: error.response.headers['retry-after'] || 60,
-        requestId
-      });
+    sendProviderError(res, error, 'TTS synthesis failed');
+  }
+});
+
+// Streaming Text-to-Speech endpoint.
+// Audio is written as the provider produces it so clients can start playback early.
+// With format "pcm" the body is 16-bit little-endian mono PCM at X-Sample-Rate.
+app.post('/api/synthesize/stream', rateLimiters.synthesize, validate(rules.synthesizeStream), enforceQuota('ttsCharacters'), async (req, res) => {
+  const { requestId } = res.locals;
+  logger.info(`Streaming TTS request ${requestId} started`);
+
+  const { text, language = 'en', voiceId, gender, format = 'pcm' } = req.body;
+
+  let speech;
+  try {
+    speech = await streamSpeech({ text, language, voiceId, gender, format, signal: req.signal });
+  } catch (error) {
+    if (cancelledByClient(req, `Streaming TTS request ${requestId}`)) return;
+    logger.error(`Streaming TTS request ${requestId} failed:`, error.message);
+    return sendProviderError(res, error, 'TTS synthesis failed');
+  }
+
+  res.status(200).set({
+    'Content-Type': speech.contentType,
+    'X-Cache': speech.cacheHit ? 'HIT' : 'MISS'
+  });
+  if (speech.sampleRate) {
+    res.set('X-Sample-Rate', String(speech.sampleRate));
+  }
+
+  try {
+    for await (const chunk of speech.chunks) {
+      res.write(chunk);
+      recordAudioBytes('out', chunk.length);
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
     }
+    res.end();
 
-    res.status(500).json({
-      error: 'TTS synthesis failed',
-      message: error.message,
-      requestId
+    logger.info(`Streaming TTS request ${requestId} completed successfully`);
+    meterUsage(req, { ttsCharacters: text.length });
+  } catch (error) {
+    if (cancelledByClient(req, `Streaming TTS request ${requestId}`)) return;
+    // Headers are already sent; cut the response short so the client sees the failure
+    logger.error(`Streaming TTS request ${requestId} failed mid-stream:`, error.message);
+    res.destroy(error);
+  }
+});
+
+// Voices available for synthesis, with the configured default per gender for a language
+app.get('/api/voices', validate(rules.voices), async (req, res) => {
+  const language = req.query.language || 'en';
+
+  try {
+    const { provider, voices, cacheHit } = await listVoices();
+
+    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    res.json({
+      provider,
+      language,
+      defaults: getDefaultVoices(language),
+      voices
     });
+  } catch (error) {
+    logger.error('Voice listing failed:', error.message);
+    sendProviderError(res, error, 'Voice listing failed');
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  logger.error('Unhandled error:', error);
-  
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        error: 'File too large',
-        maxSize: '25MB'
-      });
+// Combined transcribe -> translate -> synthesize endpoint.
+// Streams newline-delimited JSON events so clients can show text before audio is ready.
+app.post('/api/pipeline', rateLimiters.pipeline, upload.single('audio'), validate(rules.pipeline), prepareAudio, loadTranscriptSession, async (req, res) => {
+  const { requestId } = res.locals;
+  logger.info(`Pipeline request ${requestId} started`);
+
+  const settings = parsePipelineSettings(req.body);
+  recordAudioBytes('in', req.file.size);
+
+  try {
+    const metrics = ['audioSeconds', 'translatedCharacters'];
+    await checkQuota(req.client.id, settings.synthesize ? [...metrics, 'ttsCharacters'] : metrics);
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
     }
+    logger.error('Quota check failed:', error.message);
   }
-  
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
   });
+
+  const emit = (type, data) => {
+    res.write(JSON.stringify({ type, ...data }) + '\n');
+    // compression buffers output until flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  try {
+    const result = await runPipeline({
+      audio: req.file,
+      settings,
+      clientId: req.client.id,
+      transcriptSessionId: req.transcriptSessionId,
+      signal: req.signal
+    }, emit);
+    const audioSeconds = measureAudioSeconds(req.file.buffer);
+    meterUsage(req, { audioSeconds, ...result.usage });
+
+    const recorded = result.transcript.text
+      ? await appendSegment(req, { ...result.transcript, durationMs: audioSeconds * 1000 })
+      : null;
+    emit('done', {
+      requestId,
+      skipped: result.skipped,
+      sessionSegment: recorded?.index ?? null,
+      offset: recorded ? recorded.offsetMs / 1000 : null
+    });
+    logger.info(`Pipeline request ${requestId} completed successfully`);
+  } catch (error) {
+    if (cancelledByClient(req, `Pipeline request ${requestId}`)) return;
+    logger.error(`Pipeline request ${requestId} failed at ${error.stage}:`, error.message);
+    const { status, body } = describeProviderError(error, 'Pipeline failed');
+    emit('error', { ...body, status, stage: error.stage, requestId });
+  }
+
+  res.end();
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found',
-    path: req.originalUrl
-  });
+// Usage and remaining quota for the calling client
+app.get('/api/usage', validate(rules.usage), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 1;
+    res.json(await getUsageReport(req.client.id, days));
+  } catch (error) {
+    logger.error(`Usage report failed for ${req.client.id}:`, error.message);
+    sendError(res, 500, { error: 'Usage report failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+// Transcript sessions: the ordered bilingual segments of one translation run.
+// Requests carrying X-Session-ID are recorded in the session.
+function sendSessionError(res, error, action) {
+  if (error instanceof sessions.SessionError) {
+    return sendError(res, error.status, {
+      error: error.message,
+      code: error.status === 404 ? 'NOT_FOUND' : 'VALIDATION_ERROR'
+    });
+  }
+  logger.error(`Session ${action} failed:`, error.message);
+  sendError(res, 500, { error: `Session ${action} failed`, code: 'INTERNAL_ERROR', message: error.message });
+}
+
+function sendSessionNotFound(res) {
+  sendError(res, 404, { error: 'Session not found', code: 'NOT_FOUND' });
+}
+
+app.post('/api/sessions', validate(rules.createSession), async (req, res) => {
+  try {
+    const session = await sessions.createSession(req.client.id, req.body);
+    logger.info(`Session ${session.id} created for ${req.client.id}`);
+    res.status(201).json(sessions.summarize(session));
+  } catch (error) {
+    sendSessionError(res, error, 'creation');
+  }
+});
+
+app.get('/api/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await sessions.listSessions(req.client.id) });
+  } catch (error) {
+    sendSessionError(res, error, 'listing');
+  }
+});
+
+// The full transcript
+app.get('/api/sessions/:sessionId', validate(rules.session), async (req, res) => {
+  try {
+    const session = await sessions.getSession(req.client.id, req.params.sessionId);
+    if (!session) return sendSessionNotFound(res);
+    res.json(session);
+  } catch (error) {
+    sendSessionError(res, error, 'lookup');
+  }
+});
+
+// Mark the session as ended (the extension stopped translating)
+app.post('/api/sessions/:sessionId/end', validate(rules.session), async (req, res) => {
+  try {
+    res.json(sessions.summarize(await sessions.endSession(req.client.id, req.params.sessionId)));
+  } catch (error) {
+    sendSessionError(res, error, 'update');
+  }
+});
+
+// Download the transcript as JSON, SRT or WebVTT subtitles
+app.get('/api/sessions/:sessionId/export', validate(rules.exportSession), async (req, res) => {
+  try {
+    const session = await sessions.getSession(req.client.id, req.params.sessionId);
+    if (!session) return sendSessionNotFound(res);
+
+    const { body, contentType, extension } = sessions.exportSession(session, req.query.format || 'json');
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="transcript-${session.id}.${extension}"`
+    });
+    res.send(body);
+  } catch (error) {
+    sendSessionError(res, error, 'export');
+  }
+});
+
+app.delete('/api/sessions/:sessionId', validate(rules.session), async (req, res) => {
+  try {
+    const deleted = await sessions.deleteSession(req.client.id, req.params.sessionId);
+    if (!deleted) return sendSessionNotFound(res);
+    // Speaker references are voice recordings; they go with the session
+    await forgetSpeakers(req.client.id, req.params.sessionId);
+    logger.info(`Session ${req.params.sessionId} deleted`);
+    res.status(204).end();
+  } catch (error) {
+    sendSessionError(res, error, 'deletion');
+  }
+});
+
+// Glossaries: per-client terminology enforced during translation
+function glossaryPair(req) {
+  return [req.params.source, req.params.target];
+}
+
+function sendGlossaryError(res, error, action) {
+  if (error instanceof glossaries.GlossaryError) {
+    return sendError(res, error.status, {
+      error: error.message,
+      code: error.status === 404 ? 'NOT_FOUND' : 'VALIDATION_ERROR'
+    });
+  }
+  logger.error(`Glossary ${action} failed:`, error.message);
+  sendError(res, 500, { error: `Glossary ${action} failed`, code: 'INTERNAL_ERROR', message: error.message });
+}
+
+app.get('/api/glossaries', async (req, res) => {
+  try {
+    res.json({ glossaries: await glossaries.listGlossaries(req.client.id) });
+  } catch (error) {
+    sendGlossaryError(res, error, 'listing');
+  }
+});
+
+app.get('/api/glossaries/:source/:target', validate(rules.glossary), async (req, res) => {
+  const pair = glossaryPair(req);
+
+  try {
+    res.json(await glossaries.getGlossary(req.client.id, ...pair));
+  } catch (error) {
+    sendGlossaryError(res, error, 'lookup');
+  }
+});
+
+// Replace the whole entry list
+app.put('/api/glossaries/:source/:target', validate(rules.glossaryEntries), async (req, res) => {
+  const pair = glossaryPair(req);
+
+  try {
+    res.json(await glossaries.replaceEntries(req.client.id, ...pair, req.body.entries));
+  } catch (error) {
+    sendGlossaryError(res, error, 'update');
+  }
+});
+
+// Add or update a single term
+app.post('/api/glossaries/:source/:target/entries', validate(rules.glossaryEntry), async (req, res) => {
+  const pair = glossaryPair(req);
+
+  try {
+    res.status(201).json(await glossaries.addEntry(req.client.id, ...pair, req.body));
+  } catch (error) {
+    sendGlossaryError(res, error, 'update');
+  }
+});
+
+app.delete('/api/glossaries/:source/:target/entries/:entryId', validate(rules.glossaryEntryId), async (req, res) => {
+  const pair = glossaryPair(req);
+
+  try {
+    res.json(await glossaries.removeEntry(req.client.id, ...pair, req.params.entryId));
+  } catch (error) {
+    sendGlossaryError(res, error, 'update');
+  }
+});
+
+app.delete('/api/glossaries/:source/:target', validate(rules.glossary), async (req, res) => {
+  const pair = glossaryPair(req);
+
+  try {
+    await glossaries.deleteGlossary(req.client.id, ...pair);
+    res.status(204).end();
+  } catch (error) {
+    sendGlossaryError(res, error, 'deletion');
+  }
+});
+
+app.get('/api/admin/usage/:clientId', requireAdmin, validate(rules.adminUsage), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 7;
+    res.json(await getUsageReport(req.params.clientId, days));
+  } catch (error) {
+    logger.error('Usage report failed:', error.message);
+    sendError(res, 500, { error: 'Usage report failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
+
+// Override a client's daily quotas (0 = unlimited)
+app.put('/api/admin/quotas/:clientId', requireAdmin, validate(rules.adminQuotas), async (req, res) => {
+  const quotas = Object.fromEntries(
+    Object.entries(req.body).map(([metric, limit]) => [metric, Number(limit)])
+  );
+
+  try {
+    res.json({ clientId: req.params.clientId, quotas: await setQuotas(req.params.clientId, quotas) });
+  } catch (error) {
+    logger.error('Quota update failed:', error.message);
+    sendError(res, 500, { error: 'Quota update failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
+
+// Issue a client token. The plaintext token is only shown in this response.
+app.post('/api/admin/tokens', requireAdmin, validate(rules.createToken), async (req, res) => {
+  try {
+    const token = await createToken(req.body.name);
+    logger.info(`Client token ${token.id} created for ${token.name}`);
+    res.status(201).json(token);
+  } catch (error) {
+    logger.error('Token creation failed:', error.message);
+    sendError(res, 500, { error: 'Token creation failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
+
+app.get('/api/admin/tokens', requireAdmin, async (req, res) => {
+  try {
+    res.json({ tokens: await listTokens() });
+  } catch (error) {
+    logger.error('Token listing failed:', error.message);
+    sendError(res, 500, { error: 'Token listing failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
+
+app.delete('/api/admin/tokens/:id', requireAdmin, validate(rules.revokeToken), async (req, res) => {
+  try {
+    const token = await revokeToken(req.params.id);
+    if (!token) {
+      return sendError(res, 404, { error: 'Token not found', code: 'NOT_FOUND' });
+    }
+
+    logger.info(`Client token ${token.id} revoked`);
+    res.json(token);
+  } catch (error) {
+    logger.error('Token revocation failed:', error.message);
+    sendError(res, 500, { error: 'Token revocation failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
 });
 
+// Purge cached translations and/or synthesized audio
+app.delete('/api/admin/cache', requireAdmin, validate(rules.purgeCache), async (req, res) => {
+  const { scope } = req.query;
+
+  try {
+    const removed = await cache.purge(scope);
+    logger.info(`Cache purged (${scope || 'all'}): ${removed} entries`);
+    res.json({ scope: scope || 'all', removed });
+  } catch (error) {
+    logger.error('Cache purge failed:', error.message);
+    sendError(res, 500, { error: 'Cache purge failed', code: 'INTERNAL_ERROR', message: error.message });
+  }
+});
+
+// Error handling middleware
+app.use(errorHandler);
+
+// 404 handler
+app.use('*', notFound);
+
+// Start server
+if (require.main === module) {
+  connectRedis().then(async (redisClient) => {
+    logger.info(`Storage: ${configureStorage(redisClient)}`);
+    logger.info(`Rate limiting: ${configureRateLimiting(redisClient)}`);
+    logger.info(`Diarization: ${DIARIZATION_CONFIG.ENABLED ? `enabled, speakers in ${configureDiarization(redisClient)}` : 'disabled'}`);
+    logger.info(`Transliteration: ${TRANSLITERATION_CONFIG.USE_MODEL ? 'translation model, rules as fallback' : 'rules only'}`);
+    logger.info(`Client authentication: ${AUTH_ENABLED ? 'enabled' : 'disabled'}`);
+
+    const cacheInfo = cache.configure(redisClient);
+    logger.info(`Cache: ${cacheInfo.enabled ? cacheInfo.backend : 'disabled'}`);
+
+    const server = app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+
+    // Streaming transcription over WebSocket
+    attachTranscriptionStream(server, { logger, authenticate: authenticateRequest });
+
+    // Expired transcript sessions and usage history are swept hourly; Redis also expires
+    // them by TTL
+    setInterval(() => {
+      sessions.purgeExpiredSessions()
+        .then(removed => removed > 0 && logger.info(`Expired sessions removed: ${removed}`))
+        .catch(error => logger.error('Session cleanup failed:', error.message));
+      purgeExpiredUsage()
+        .then(removed => removed > 0 && logger.info(`Expired usage days removed: ${removed}`))
+        .catch(error => logger.error('Usage cleanup failed:', error.message));
+    }, 60 * 60 * 1000).unref();
+
+    // Railway and other platforms send SIGTERM before replacing an instance
+    handleShutdown(server, {
+      logger,
+      drain: stopTranscriptionStreams,
+      cleanup: async () => {
+        // Usage of the last requests is recorded after their responses
+        await flushUsage();
+        if (redisClient) await redisClient.quit();
+      }
+    });
+  });
+}
+
 module.exports = app;
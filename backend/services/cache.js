@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const CACHE_CONFIG = {
+  ENABLED: process.env.CACHE_ENABLED !== 'false',
+  TTL_SECONDS: parseInt(process.env.CACHE_TTL_SECONDS, 10) || 24 * 60 * 60,
+  MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+  MAX_BYTES: parseInt(process.env.CACHE_MAX_BYTES, 10) || 50 * 1024 * 1024,
+  KEY_PREFIX: 'cache:'
+};
+
+// Bump when the translation prompt changes so stale translations are not served
+const TRANSLATION_PROMPT_VERSION = 4;
+// Likewise for the transliteration prompt
+const TRANSLITERATION_PROMPT_VERSION = 1;
+
+function hashKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function cacheKey(scope, keyParts) {
+  return `${CACHE_CONFIG.KEY_PREFIX}${scope}:${hashKey(keyParts)}`;
+}
+
+// In-process LRU cache, bounded by entry count and approximate size
+class MemoryCache {
+  constructor({ maxEntries = CACHE_CONFIG.MAX_ENTRIES, maxBytes = CACHE_CONFIG.MAX_BYTES } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const size = JSON.stringify(value).length;
+    if (size > this.maxBytes) return;
+
+    this.delete(key);
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlSeconds * 1000 });
+    this.bytes += size;
+
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  async purge(prefix) {
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+// Redis-backed cache shared between instances
+class RedisCache {
+  constructor(client) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, JSON.stringify(value), { EX: ttlSeconds });
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  async purge(prefix) {
+    let removed = 0;
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      removed += await this.client.del(key);
+    }
+    return removed;
+  }
+}
+
+// Response cache with hit/miss accounting. Cache failures never fail a request.
+class ResponseCache {
+  constructor() {
+    this.store = new MemoryCache();
+    this.enabled = CACHE_CONFIG.ENABLED;
+    this.ttlSeconds = CACHE_CONFIG.TTL_SECONDS;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  // Use the shared Redis client when one is connected, otherwise the in-process LRU
+  configure(redisClient) {
+    if (this.enabled && redisClient) {
+      this.store = new RedisCache(redisClient);
+    }
+    return this.describe();
+  }
+
+  // Cached value for key, or null. Counts a hit or a miss.
+  async get(scope, keyParts) {
+    if (!this.enabled) return null;
+
+    try {
+      const cached = await this.store.get(cacheKey(scope, keyParts));
+      if (cached !== null) {
+        this.stats.hits++;
+        return cached;
+      }
+    } catch (error) {
+      logger.warn(`Cache read failed for ${scope}: ${error.message}`);
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(scope, keyParts, value) {
+    if (!this.enabled) return;
+
+    try {
+      await this.store.set(cacheKey(scope, keyParts), value, this.ttlSeconds);
+    } catch (error) {
+      logger.warn(`Cache write failed for ${scope}: ${error.message}`);
+    }
+  }
+
+  // Return the cached value for key, or compute and store it.
+  // Resolves to { value, hit }.
+  async getOrSet(scope, keyParts, compute) {
+    const cached = await this.get(scope, keyParts);
+    if (cached !== null) {
+      return { value: cached, hit: true };
+    }
+
+    const value = await compute();
+    await this.set(scope, keyParts, value);
+    return { value, hit: false };
+  }
+
+  // Remove cached entries for one scope, or everything when scope is omitted
+  async purge(scope) {
+    const prefix = scope ? `${CACHE_CONFIG.KEY_PREFIX}${scope}:` : CACHE_CONFIG.KEY_PREFIX;
+    return this.store.purge(prefix);
+  }
+
+  describe() {
+    return {
+      enabled: this.enabled,
+      backend: this.store.name,
+      hits: this.stats.hits,
+      misses: this.stats.misses
+    };
+  }
+}
+
+// Cache key parts for a translation
+function translationCacheKey({ provider, text, sourceLanguage, targetLanguage, glossaryVersion = null, contextVersion = null }) {
+  return [provider, TRANSLATION_PROMPT_VERSION, text, sourceLanguage, targetLanguage, glossaryVersion, contextVersion];
+}
+
+// Cache key parts for a transliteration
+function transliterationCacheKey({ provider, text, language }) {
+  return [provider, TRANSLITERATION_PROMPT_VERSION, text, language];
+}
+
+// Cache key parts for synthesized speech. Streamed audio is cached separately
+// because its encoding differs from the buffered response.
+function synthesisCacheKey({ provider, text, voiceId, model, format = null }) {
+  return format ? [provider, text, voiceId, model, format] : [provider, text, voiceId, model];
+}
+
+const cache = new ResponseCache();
+
+module.exports = {
+  cache,
+  MemoryCache,
+  RedisCache,
+  translationCacheKey,
+  transliterationCacheKey,
+  synthesisCacheKey,
+  CACHE_SCOPES: ['translate', 'transliterate', 'synthesize', 'voices']
+};
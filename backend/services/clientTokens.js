@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+// Issued client tokens look like mt_<id>_<secret>. Only a hash of the secret is stored.
+const TOKEN_PREFIX = 'mt';
+const store = createStore('client-tokens');
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseToken(token) {
+  const match = /^mt_([a-f0-9]{16})_([A-Za-z0-9_-]{32,})$/.exec(token || '');
+  return match ? { id: match[1], secret: match[2] } : null;
+}
+
+// Public view of a token record (never includes the secret hash)
+function toClient(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    createdAt: record.createdAt,
+    revokedAt: record.revokedAt || null
+  };
+}
+
+// Issue a new token. The plaintext token is only returned here.
+async function createToken(name) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id,
+    name,
+    secretHash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  await store.set(id, record);
+  return { ...toClient(record), token: `${TOKEN_PREFIX}_${id}_${secret}` };
+}
+
+async function revokeToken(id) {
+  const record = await store.get(id);
+  if (!record) return null;
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await store.set(id, record);
+  }
+  return toClient(record);
+}
+
+async function listTokens() {
+  const entries = await store.list();
+  return entries
+    .map(({ value }) => toClient(value))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Resolve a presented token to its client, or null if unknown or revoked
+async function verifyToken(token) {
+  const parsed = parseToken(token);
+  if (!parsed) return null;
+
+  const record = await store.get(parsed.id);
+  if (!record || record.revokedAt) return null;
+
+  const expected = Buffer.from(record.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return { id: record.id, name: record.name };
+}
+
+module.exports = { createToken, revokeToken, listTokens, verifyToken };
@@ -0,0 +1,140 @@
+const { MemoryCache, RedisCache } = require('./cache');
+const { SESSION_CONFIG } = require('./sessions');
+const { audioDuration } = require('../utils/audioFormat');
+const logger = require('../utils/logger');
+
+const DIARIZATION_CONFIG = {
+  // Clients ask for diarization per request; this turns it off for everyone
+  ENABLED: process.env.DIARIZATION_ENABLED !== 'false',
+  // Speakers of a transcript session sent to the provider as references (it accepts up to 4)
+  MAX_KNOWN_SPEAKERS: Math.min(parseInt(process.env.DIARIZATION_MAX_KNOWN_SPEAKERS, 10) || 4, 4),
+  // Length the provider accepts for a reference clip
+  MIN_REFERENCE_SECONDS: 2,
+  MAX_REFERENCE_SECONDS: 10,
+  KEY_PREFIX: 'speakers:'
+};
+
+// Speakers of each transcript session: { count, speakers: [{ id, reference }] }, where
+// reference is a data URL of a chunk in which only that speaker was heard. Shared
+// through Redis when it is configured, so every instance labels speakers alike.
+let store = new MemoryCache();
+
+// Speaker updates are read-modify-write; serialize them per session like session segments
+const updateQueues = new Map();
+
+function speakersKey(clientId, sessionId) {
+  return `${DIARIZATION_CONFIG.KEY_PREFIX}${clientId}:${sessionId}`;
+}
+
+// Speakers are kept as long as their transcript session
+function retentionSeconds() {
+  return SESSION_CONFIG.RETENTION_DAYS * 24 * 60 * 60;
+}
+
+// Known speakers of a session as { name, reference } for the provider
+async function getKnownSpeakers(clientId, sessionId) {
+  if (!sessionId) return [];
+
+  try {
+    const state = await store.get(speakersKey(clientId, sessionId));
+    return (state?.speakers || [])
+      .filter(speaker => speaker.reference)
+      .slice(0, DIARIZATION_CONFIG.MAX_KNOWN_SPEAKERS)
+      .map(({ id, reference }) => ({ name: id, reference }));
+  } catch (error) {
+    logger.warn(`Speaker lookup failed for session ${sessionId}: ${error.message}`);
+    return [];
+  }
+}
+
+// A chunk can serve as a speaker reference when its length is right, or unknown
+// (WebM carries no duration in its header)
+function referenceClip(audio) {
+  const duration = audioDuration(audio.buffer);
+  if (duration !== null &&
+      (duration < DIARIZATION_CONFIG.MIN_REFERENCE_SECONDS || duration > DIARIZATION_CONFIG.MAX_REFERENCE_SECONDS)) {
+    return null;
+  }
+  return `data:${audio.mimetype};base64,${audio.buffer.toString('base64')}`;
+}
+
+// Replace the provider's speaker labels with ids that stay the same across the chunks of
+// a transcript session. Known speakers come back under their id; every other label is a
+// new speaker. A new speaker heard alone in the chunk keeps the chunk as a reference, so
+// the provider recognizes them next time. Without a session the provider's labels are
+// returned as they are and only hold within the chunk.
+function assignSpeakers({ clientId, sessionId, segments, audio }) {
+  if (!sessionId) return Promise.resolve(segments);
+
+  const key = speakersKey(clientId, sessionId);
+  const previous = updateQueues.get(key) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const state = await store.get(key) || { count: 0, speakers: [] };
+    const labels = [...new Set(segments.map(segment => segment.speaker))];
+    const ids = new Map();
+
+    for (const label of labels) {
+      if (state.speakers.some(speaker => speaker.id === label)) {
+        ids.set(label, label);
+        continue;
+      }
+      state.count += 1;
+      const speaker = { id: `speaker_${state.count}`, reference: null };
+      if (labels.length === 1 &&
+          state.speakers.filter(item => item.reference).length < DIARIZATION_CONFIG.MAX_KNOWN_SPEAKERS) {
+        speaker.reference = referenceClip(audio);
+      }
+      state.speakers.push(speaker);
+      ids.set(label, speaker.id);
+    }
+
+    await store.set(key, state, retentionSeconds());
+    return segments.map(segment => ({ ...segment, speaker: ids.get(segment.speaker) }));
+  });
+
+  updateQueues.set(key, next);
+  next.catch(() => {}).then(() => {
+    if (updateQueues.get(key) === next) updateQueues.delete(key);
+  });
+
+  // Keep the provider's labels rather than fail the transcription
+  return next.catch((error) => {
+    logger.warn(`Speaker assignment failed for session ${sessionId}: ${error.message}`);
+    return segments;
+  });
+}
+
+// The speaker who said the most in a chunk, or null
+function mainSpeaker(segments = []) {
+  const characters = new Map();
+  for (const { speaker, text } of segments) {
+    characters.set(speaker, (characters.get(speaker) || 0) + text.length);
+  }
+  let main = null;
+  for (const [speaker, count] of characters) {
+    if (main === null || count > characters.get(main)) main = speaker;
+  }
+  return main;
+}
+
+async function forgetSpeakers(clientId, sessionId) {
+  await store.delete(speakersKey(clientId, sessionId));
+}
+
+// Share speakers through Redis; returns the backend name
+function configureDiarization(client) {
+  if (client) {
+    store = new RedisCache(client);
+  }
+  return store.name;
+}
+
+module.exports = {
+  DIARIZATION_CONFIG,
+  getKnownSpeakers,
+  assignSpeakers,
+  mainSpeaker,
+  forgetSpeakers,
+  configureDiarization
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const GLOSSARY_CONFIG = {
+  MAX_ENTRIES: parseInt(process.env.GLOSSARY_MAX_ENTRIES, 10) || 500,
+  MAX_TERM_LENGTH: 200
+};
+
+// One glossary per client and language pair, keyed <clientId>:<source>-<target>
+const store = createStore('glossaries');
+
+class GlossaryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GlossaryError';
+    this.status = status;
+  }
+}
+
+function glossaryKey(clientId, sourceLanguage, targetLanguage) {
+  return `${clientId}:${sourceLanguage}-${targetLanguage}`;
+}
+
+function emptyGlossary(sourceLanguage, targetLanguage) {
+  return { sourceLanguage, targetLanguage, entries: [], version: 0, updatedAt: null };
+}
+
+function normalizeEntry({ source, target, note }) {
+  const entry = {
+    source: typeof source === 'string' ? source.trim() : '',
+    target: typeof target === 'string' ? target.trim() : ''
+  };
+
+  if (!entry.source || !entry.target) {
+    throw new GlossaryError('Glossary entries need a source and a target term');
+  }
+  if (entry.source.length > GLOSSARY_CONFIG.MAX_TERM_LENGTH || entry.target.length > GLOSSARY_CONFIG.MAX_TERM_LENGTH) {
+    throw new GlossaryError(`Glossary terms are limited to ${GLOSSARY_CONFIG.MAX_TERM_LENGTH} characters`);
+  }
+  if (typeof note === 'string' && note.trim()) {
+    entry.note = note.trim().slice(0, GLOSSARY_CONFIG.MAX_TERM_LENGTH);
+  }
+
+  return entry;
+}
+
+async function getGlossary(clientId, sourceLanguage, targetLanguage) {
+  const glossary = await store.get(glossaryKey(clientId, sourceLanguage, targetLanguage));
+  return glossary || emptyGlossary(sourceLanguage, targetLanguage);
+}
+
+async function saveGlossary(clientId, glossary) {
+  if (glossary.entries.length > GLOSSARY_CONFIG.MAX_ENTRIES) {
+    throw new GlossaryError(`Glossaries are limited to ${GLOSSARY_CONFIG.MAX_ENTRIES} entries`);
+  }
+
+  const updated = {
+    ...glossary,
+    version: glossary.version + 1,
+    updatedAt: new Date().toISOString()
+  };
+  await store.set(glossaryKey(clientId, glossary.sourceLanguage, glossary.targetLanguage), updated);
+  return updated;
+}
+
+async function listGlossaries(clientId) {
+  const entries = await store.list(`${clientId}:`);
+  return entries.map(({ value }) => ({
+    sourceLanguage: value.sourceLanguage,
+    targetLanguage: value.targetLanguage,
+    entryCount: value.entries.length,
+    version: value.version,
+    updatedAt: value.updatedAt
+  }));
+}
+
+// Replace every entry of a glossary (used by clients that sync a whole list)
+async function replaceEntries(clientId, sourceLanguage, targetLanguage, entries) {
+  if (!Array.isArray(entries)) {
+    throw new GlossaryError('entries must be an array');
+  }
+
+  const glossary = await getGlossary(clientId, sourceLanguage, targetLanguage);
+  glossary.entries = entries.map(entry => ({ id: crypto.randomUUID(), ...normalizeEntry(entry) }));
+  return saveGlossary(clientId, glossary);
+}
+
+// Add an entry, replacing any existing entry for the same source term
+async function addEntry(clientId, sourceLanguage, targetLanguage, entry) {
+  const glossary = await getGlossary(clientId, sourceLanguage, targetLanguage);
+  const normalized = normalizeEntry(entry);
+  const existing = glossary.entries.find(item => item.source.toLowerCase() === normalized.source.toLowerCase());
+
+  if (existing) {
+    Object.assign(existing, normalized);
+  } else {
+    glossary.entries.push({ id: crypto.randomUUID(), ...normalized });
+  }
+  return saveGlossary(clientId, glossary);
+}
+
+async function removeEntry(clientId, sourceLanguage, targetLanguage, entryId) {
+  const glossary = await getGlossary(clientId, sourceLanguage, targetLanguage);
+  const remaining = glossary.entries.filter(entry => entry.id !== entryId);
+
+  if (remaining.length === glossary.entries.length) {
+    throw new GlossaryError('Glossary entry not found', 404);
+  }
+
+  glossary.entries = remaining;
+  return saveGlossary(clientId, glossary);
+}
+
+async function deleteGlossary(clientId, sourceLanguage, targetLanguage) {
+  return store.delete(glossaryKey(clientId, sourceLanguage, targetLanguage));
+}
+
+// Entries whose source term occurs in the text; only these are sent to the model
+function findMatchingEntries(glossary, text) {
+  const haystack = text.toLowerCase();
+  return glossary.entries.filter(entry => haystack.includes(entry.source.toLowerCase()));
+}
+
+module.exports = {
+  GlossaryError,
+  getGlossary,
+  listGlossaries,
+  replaceEntries,
+  addEntry,
+  removeEntry,
+  deleteGlossary,
+  findMatchingEntries
+};
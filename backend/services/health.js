@@ -0,0 +1,92 @@
+const { providers, CAPABILITIES } = require('../providers');
+
+const HEALTH_CONFIG = {
+  PROBE_TIMEOUT_MS: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS, 10) || 3000,
+  CACHE_SECONDS: parseInt(process.env.HEALTH_CACHE_SECONDS, 10) || 30
+};
+
+let cached = null;
+let inFlight = null;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Probe timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Probe one provider: { status: 'up' | 'down' | 'quota_exhausted', latencyMs, quota, error? }
+async function probeProvider(provider) {
+  const startedAt = Date.now();
+
+  if (typeof provider.probe !== 'function') {
+    return { status: 'up', latencyMs: null, quota: null };
+  }
+
+  try {
+    const { quota = null } = await withTimeout(
+      provider.probe({ timeout: HEALTH_CONFIG.PROBE_TIMEOUT_MS }),
+      HEALTH_CONFIG.PROBE_TIMEOUT_MS
+    );
+    return {
+      status: quota && quota.remaining === 0 ? 'quota_exhausted' : 'up',
+      latencyMs: Date.now() - startedAt,
+      quota
+    };
+  } catch (error) {
+    const status = error.response?.status;
+    return {
+      status: 'down',
+      latencyMs: Date.now() - startedAt,
+      quota: null,
+      error: status ? `Upstream responded ${status}` : error.message
+    };
+  }
+}
+
+async function runChecks() {
+  // Providers serving several capabilities are probed once
+  const probes = new Map();
+  for (const capability of CAPABILITIES) {
+    const provider = providers.get(capability);
+    if (!probes.has(provider.name)) {
+      probes.set(provider.name, probeProvider(provider));
+    }
+  }
+
+  const capabilities = {};
+  for (const capability of CAPABILITIES) {
+    const provider = providers.get(capability);
+    capabilities[capability] = { provider: provider.name, ...(await probes.get(provider.name)) };
+  }
+
+  return {
+    status: Object.values(capabilities).every(check => check.status === 'up') ? 'ready' : 'not_ready',
+    checkedAt: new Date().toISOString(),
+    capabilities
+  };
+}
+
+// Readiness of every capability. Results are cached for HEALTH_CACHE_SECONDS so
+// frequent polling does not hit the vendors; concurrent callers share one probe run.
+async function checkReadiness() {
+  if (cached && cached.expiresAt > Date.now()) {
+    return { ...cached.result, cached: true };
+  }
+
+  if (!inFlight) {
+    inFlight = runChecks()
+      .then((result) => {
+        cached = { result, expiresAt: Date.now() + HEALTH_CONFIG.CACHE_SECONDS * 1000 };
+        return result;
+      })
+      .finally(() => {
+        inFlight = null;
+      });
+  }
+
+  return { ...(await inFlight), cached: false };
+}
+
+module.exports = { HEALTH_CONFIG, checkReadiness };
@@ -0,0 +1,147 @@
+const client = require('prom-client');
+const { sendError } = require('../middleware/errors');
+const { TranslationOutputError } = require('../utils/translationOutput');
+const { providers } = require('../providers');
+const { CIRCUIT_STATES } = require('../providers/circuitBreaker');
+
+const METRICS_CONFIG = {
+  ENABLED: process.env.METRICS_ENABLED !== 'false',
+  // When set, scrapers must send "Authorization: Bearer <token>"
+  TOKEN: process.env.METRICS_TOKEN || null,
+  PREFIX: 'translator_'
+};
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: METRICS_CONFIG.PREFIX });
+
+const httpRequests = new client.Counter({
+  name: `${METRICS_CONFIG.PREFIX}http_requests_total`,
+  help: 'HTTP requests by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: `${METRICS_CONFIG.PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+const upstreamRequests = new client.Counter({
+  name: `${METRICS_CONFIG.PREFIX}upstream_requests_total`,
+  help: 'Calls to upstream providers',
+  labelNames: ['provider', 'operation'],
+  registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+  name: `${METRICS_CONFIG.PREFIX}upstream_errors_total`,
+  help: 'Failed calls to upstream providers by status (401, 429, 4xx, 5xx, timeout, canceled, network, invalid_output)',
+  labelNames: ['provider', 'operation', 'status'],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: `${METRICS_CONFIG.PREFIX}upstream_request_duration_seconds`,
+  help: 'Upstream provider latency; for streaming operations, the time until the stream starts',
+  labelNames: ['provider', 'operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+});
+
+// Read from the provider registry at scrape time
+new client.Gauge({
+  name: `${METRICS_CONFIG.PREFIX}circuit_state`,
+  help: 'Provider circuit breaker state (0 closed, 1 half-open, 2 open)',
+  labelNames: ['provider'],
+  registers: [register],
+  collect() {
+    for (const [provider, circuit] of Object.entries(providers.describeCircuits())) {
+      this.set({ provider }, CIRCUIT_STATES.indexOf(circuit.state));
+    }
+  }
+});
+
+const audioBytes = new client.Counter({
+  name: `${METRICS_CONFIG.PREFIX}audio_bytes_total`,
+  help: 'Audio bytes received for transcription (in) and returned from synthesis (out)',
+  labelNames: ['direction'],
+  registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: `${METRICS_CONFIG.PREFIX}rate_limit_rejections_total`,
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+// Bucket an upstream failure by the status the vendor returned
+function upstreamStatus(error) {
+  const status = error.response?.status;
+  if (status === 401 || status === 429) return String(status);
+  if (status >= 500) return '5xx';
+  if (status >= 400) return '4xx';
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  // Cancelled because the client disconnected
+  if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') return 'canceled';
+  if (error instanceof TranslationOutputError) return 'invalid_output';
+  return 'network';
+}
+
+// Listener for ProviderRegistry.observe
+function recordUpstreamCall({ provider, operation, durationSeconds, error }) {
+  upstreamRequests.inc({ provider, operation });
+  upstreamDuration.observe({ provider, operation }, durationSeconds);
+  if (error) {
+    upstreamErrors.inc({ provider, operation, status: upstreamStatus(error) });
+  }
+}
+
+function recordAudioBytes(direction, bytes) {
+  if (bytes > 0) {
+    audioBytes.inc({ direction }, bytes);
+  }
+}
+
+function recordRateLimitRejection(limiter) {
+  rateLimitRejections.inc({ limiter });
+}
+
+// Count and time every HTTP request. Routes are labelled by their pattern
+// (e.g. /api/glossaries/:source/:target) to keep label cardinality bounded.
+function httpMetrics(req, res, next) {
+  const endTimer = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    endTimer({ method: req.method, route });
+  });
+
+  next();
+}
+
+// GET /metrics in the Prometheus text format
+async function metricsHandler(req, res) {
+  if (METRICS_CONFIG.TOKEN && req.headers.authorization !== `Bearer ${METRICS_CONFIG.TOKEN}`) {
+    return sendError(res, 401, { error: 'Metrics token required', code: 'UNAUTHORIZED' });
+  }
+
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+}
+
+module.exports = {
+  METRICS_CONFIG,
+  register,
+  httpMetrics,
+  metricsHandler,
+  recordUpstreamCall,
+  recordAudioBytes,
+  recordRateLimitRejection
+};
@@ -0,0 +1,136 @@
+const { transcribeAudio, speechSpan, translateText, synthesizeSpeech } = require('./speech');
+const { recordAudioBytes } = require('./metrics');
+const {
+  SUPPORTED_LANGUAGES,
+  detectLanguage,
+  preferVariant,
+  resolveTranslationDirection,
+  needsTranslation
+} = require('../utils/languages');
+
+// Multipart form fields arrive as strings
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || value === 'true' || value === '1';
+}
+
+function parsePipelineSettings(body = {}) {
+  return {
+    sourceLanguage: body.sourceLanguage || 'ar',
+    targetLanguage: body.targetLanguage || 'en',
+    autoDetectLanguage: parseBoolean(body.autoDetectLanguage, true),
+    bidirectional: parseBoolean(body.bidirectional, false),
+    synthesize: parseBoolean(body.synthesize, true),
+    diarize: parseBoolean(body.diarize, false),
+    voiceId: body.voiceId || undefined,
+    voiceGender: body.voiceGender || undefined
+  };
+}
+
+// Run transcribe -> translate -> synthesize for one audio chunk.
+// Each completed stage is reported through emit(type, data) as soon as it is available.
+// Resolves to { skipped, usage, transcript } where usage counts the characters translated and
+// synthesized and transcript holds the text and translation for session recording.
+// Segment and word times in the transcription event are seconds from the start of the chunk.
+// signal cancels the stage in progress and skips the rest. Speakers keep their ids
+// across the chunks of transcriptSessionId.
+async function runPipeline({ audio, settings, clientId, transcriptSessionId = null, signal }, emit) {
+  let stage = 'transcribe';
+
+  try {
+    const transcription = await transcribeAudio({
+      audio,
+      language: settings.autoDetectLanguage ? 'auto' : settings.sourceLanguage,
+      diarize: settings.diarize,
+      clientId,
+      transcriptSessionId,
+      signal
+    });
+
+    const text = (transcription.text || '').trim();
+    let language = transcription.language;
+    if (settings.autoDetectLanguage || !SUPPORTED_LANGUAGES[language]) {
+      language = preferVariant(detectLanguage(text), settings.sourceLanguage);
+    }
+
+    emit('transcription', {
+      text,
+      language,
+      confidence: transcription.confidence,
+      duration: transcription.duration ?? null,
+      segments: transcription.segments,
+      words: transcription.words,
+      ...(transcription.speaker !== undefined && { speaker: transcription.speaker })
+    });
+
+    const usage = { translatedCharacters: 0, ttsCharacters: 0 };
+    const transcript = {
+      text,
+      language,
+      speaker: transcription.speaker ?? null,
+      speech: speechSpan(transcription.segments),
+      translatedText: null,
+      sourceLanguage: null,
+      targetLanguage: null
+    };
+
+    const { source, target } = resolveTranslationDirection(language, settings);
+    if (!needsTranslation(text, target)) {
+      return { skipped: true, usage, transcript };
+    }
+
+    stage = 'translate';
+    const { result: translation, glossaryIgnored } = await translateText({
+      text,
+      sourceLanguage: source,
+      targetLanguage: target,
+      clientId,
+      signal
+    });
+
+    usage.translatedCharacters = text.length;
+    Object.assign(transcript, {
+      translatedText: translation.translatedText,
+      sourceLanguage: source,
+      targetLanguage: target
+    });
+
+    emit('translation', {
+      translatedText: translation.translatedText,
+      sourceLanguage: source,
+      targetLanguage: target,
+      confidence: translation.confidence,
+      formality: translation.formality,
+      untranslatableTerms: translation.untranslatableTerms,
+      glossaryIgnored
+    });
+
+    if (!settings.synthesize || !translation.translatedText) {
+      return { skipped: false, usage, transcript };
+    }
+
+    stage = 'synthesize';
+    const { result: speech } = await synthesizeSpeech({
+      text: translation.translatedText,
+      language: target,
+      voiceId: settings.voiceId,
+      gender: settings.voiceGender,
+      signal
+    });
+
+    usage.ttsCharacters = translation.translatedText.length;
+    recordAudioBytes('out', speech.audio.length);
+
+    emit('audio', {
+      contentType: speech.contentType,
+      audio: speech.audio.toString('base64')
+    });
+
+    return { skipped: false, usage, transcript };
+  } catch (error) {
+    error.stage = stage;
+    throw error;
+  }
+}
+
+module.exports = { runPipeline, parsePipelineSettings };
@@ -0,0 +1,49 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+let client = null;
+let connection = null;
+
+// Connect the shared Redis client used by the cache and persistent stores.
+// Resolves to the client, or null when REDIS_URL is unset or Redis is unreachable.
+// Only the first call connects; later calls share its outcome, so an unreachable Redis
+// costs one connect timeout.
+function connectRedis(url = process.env.REDIS_URL) {
+  if (!connection) {
+    connection = connect(url);
+  }
+  return connection;
+}
+
+async function connect(url) {
+  if (!url) return null;
+
+  const candidate = createClient({ url });
+  candidate.on('error', (error) => {
+    logger.error('Redis error:', error.message);
+  });
+
+  try {
+    // The client keeps retrying in the background, so bound the initial connect
+    await Promise.race([
+      candidate.connect(),
+      new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('connection timed out')), CONNECT_TIMEOUT_MS).unref();
+      })
+    ]);
+    client = candidate;
+  } catch (error) {
+    logger.warn(`Redis unavailable: ${error.message}`);
+    candidate.disconnect().catch(() => {});
+  }
+
+  return client;
+}
+
+function getRedisClient() {
+  return client;
+}
+
+module.exports = { connectRedis, getRedisClient };
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const SESSION_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.SESSION_RETENTION_DAYS, 10) || 7,
+  MAX_SEGMENTS: parseInt(process.env.SESSION_MAX_SEGMENTS, 10) || 5000,
+  // Cue length of a segment without audio (e.g. a text-only translation); it does not
+  // move the session's audio time on
+  DEFAULT_SEGMENT_MS: 3000
+};
+
+const EXPORT_FORMATS = ['json', 'srt', 'vtt'];
+
+// Transcript sessions, keyed <clientId>:<sessionId>. A session collects the ordered
+// segments (original text and translation) of one translation run in the extension.
+const store = createStore('sessions');
+
+// Segment updates are read-modify-write; serialize them per session so concurrent
+// requests of the same session cannot drop each other's segments
+const updateQueues = new Map();
+
+class SessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+function sessionKey(clientId, sessionId) {
+  return `${clientId}:${sessionId}`;
+}
+
+function retentionSeconds() {
+  return SESSION_CONFIG.RETENTION_DAYS * 24 * 60 * 60;
+}
+
+function isExpired(session) {
+  return Date.parse(session.expiresAt) <= Date.now();
+}
+
+function summarize(session) {
+  const { segments, ...summary } = session;
+  return { ...summary, segmentCount: segments.length };
+}
+
+async function save(clientId, session) {
+  const now = new Date();
+  const updated = {
+    ...session,
+    updatedAt: now.toISOString(),
+    // Retention counts from the last activity
+    expiresAt: new Date(now.getTime() + retentionSeconds() * 1000).toISOString()
+  };
+  await store.set(sessionKey(clientId, session.id), updated, retentionSeconds());
+  return updated;
+}
+
+async function createSession(clientId, { sourceLanguage = null, targetLanguage = null } = {}) {
+  return save(clientId, {
+    id: crypto.randomUUID(),
+    sourceLanguage,
+    targetLanguage,
+    createdAt: new Date().toISOString(),
+    endedAt: null,
+    audioMs: 0,
+    segments: []
+  });
+}
+
+// The session, or null when it does not exist, belongs to another client or has expired
+async function getSession(clientId, sessionId) {
+  const session = await store.get(sessionKey(clientId, sessionId));
+  if (!session) return null;
+
+  if (isExpired(session)) {
+    await store.delete(sessionKey(clientId, sessionId));
+    return null;
+  }
+  return session;
+}
+
+async function listSessions(clientId) {
+  const entries = await store.list(`${clientId}:`);
+  return entries
+    .map(({ value }) => value)
+    .filter(session => !isExpired(session))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(summarize);
+}
+
+async function deleteSession(clientId, sessionId) {
+  return store.delete(sessionKey(clientId, sessionId));
+}
+
+function updateSession(clientId, sessionId, update) {
+  const key = sessionKey(clientId, sessionId);
+  const previous = updateQueues.get(key) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    const session = await getSession(clientId, sessionId);
+    if (!session) {
+      throw new SessionError('Session not found', 404);
+    }
+    const result = update(session);
+    await save(clientId, session);
+    return result;
+  });
+
+  updateQueues.set(key, next);
+  next.catch(() => {}).then(() => {
+    if (updateQueues.get(key) === next) updateQueues.delete(key);
+  });
+  return next;
+}
+
+async function endSession(clientId, sessionId) {
+  await updateSession(clientId, sessionId, (session) => {
+    session.endedAt = session.endedAt || new Date().toISOString();
+  });
+  return getSession(clientId, sessionId);
+}
+
+// Append a segment. Timings are offsets from the session start in milliseconds, taken
+// from the audio: each segment's audio follows the previous segment's and lasts
+// durationMs, so session.audioMs is the length of the audio recorded so far. A segment
+// without durationMs has no audio: it starts where the audio is and lasts
+// DEFAULT_SEGMENT_MS, but later segments start at the same point. With speech
+// ({ start, end } in seconds from the start of the audio, as the provider timed it), the
+// segment is narrowed to the part of the audio that was speech.
+// Resolves to { index, offsetMs }, where offsetMs is where the audio starts in the session.
+// speaker is the main speaker of the segment when it was diarized.
+function addSegment(clientId, sessionId, { text, language = null, speaker = null, translatedText = null, sourceLanguage = null, targetLanguage = null, durationMs = null, speech = null }) {
+  return updateSession(clientId, sessionId, (session) => {
+    if (session.segments.length >= SESSION_CONFIG.MAX_SEGMENTS) {
+      throw new SessionError(`Sessions are limited to ${SESSION_CONFIG.MAX_SEGMENTS} segments`, 409);
+    }
+
+    const offsetMs = session.audioMs;
+    const audioEndMs = offsetMs + Math.round(durationMs ?? SESSION_CONFIG.DEFAULT_SEGMENT_MS);
+    if (durationMs !== null) {
+      session.audioMs = audioEndMs;
+    }
+
+    let startMs = offsetMs;
+    let endMs = audioEndMs;
+    if (speech) {
+      startMs = Math.min(offsetMs + Math.round(speech.start * 1000), audioEndMs);
+      endMs = Math.max(startMs, Math.min(offsetMs + Math.round(speech.end * 1000), audioEndMs));
+    }
+
+    const segment = {
+      index: session.segments.length,
+      startMs,
+      endMs,
+      text,
+      language,
+      speaker,
+      translatedText,
+      sourceLanguage,
+      targetLanguage
+    };
+    session.segments.push(segment);
+    return { index: segment.index, offsetMs };
+  });
+}
+
+// Attach a translation to an existing segment
+function setTranslation(clientId, sessionId, index, { translatedText, sourceLanguage, targetLanguage }) {
+  return updateSession(clientId, sessionId, (session) => {
+    const segment = session.segments[index];
+    if (!segment) {
+      throw new SessionError('Session segment not found', 404);
+    }
+    Object.assign(segment, { translatedText, sourceLanguage, targetLanguage });
+    return segment.index;
+  });
+}
+
+// Remove expired sessions. Redis expires them itself; the file store needs sweeping.
+async function purgeExpiredSessions() {
+  let removed = 0;
+  for (const { key, value } of await store.list('')) {
+    if (isExpired(value)) {
+      await store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Export formats
+
+function formatTimestamp(ms, separator) {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Original line followed by the translation, when there is one
+function cueText(segment) {
+  return segment.translatedText ? `${segment.text}\n${segment.translatedText}` : segment.text;
+}
+
+// SRT has no speaker markup; the speaker is written before the text
+function srtCueText(segment) {
+  return segment.speaker ? `[${segment.speaker}] ${cueText(segment)}` : cueText(segment);
+}
+
+// WebVTT voice span naming the speaker
+function vttCueText(segment) {
+  return segment.speaker ? `<v ${segment.speaker}>${cueText(segment)}` : cueText(segment);
+}
+
+function toSrt(session) {
+  return session.segments.map((segment, i) => [
+    i + 1,
+    `${formatTimestamp(segment.startMs, ',')} --> ${formatTimestamp(segment.endMs, ',')}`,
+    srtCueText(segment)
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function toVtt(session) {
+  const cues = session.segments.map(segment => [
+    `${formatTimestamp(segment.startMs, '.')} --> ${formatTimestamp(segment.endMs, '.')}`,
+    vttCueText(segment)
+  ].join('\n'));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// Returns { body, contentType, extension }
+function exportSession(session, format) {
+  switch (format) {
+    case 'srt':
+      return { body: toSrt(session), contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' };
+    case 'vtt':
+      return { body: toVtt(session), contentType: 'text/vtt; charset=utf-8', extension: 'vtt' };
+    default:
+      return { body: JSON.stringify(session, null, 2), contentType: 'application/json; charset=utf-8', extension: 'json' };
+  }
+}
+
+module.exports = {
+  SESSION_CONFIG,
+  EXPORT_FORMATS,
+  SessionError,
+  createSession,
+  getSession,
+  listSessions,
+  deleteSession,
+  endSession,
+  addSegment,
+  setTranslation,
+  purgeExpiredSessions,
+  exportSession,
+  summarize
+};
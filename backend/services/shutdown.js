@@ -0,0 +1,56 @@
+const SHUTDOWN_CONFIG = {
+  // How long in-flight requests and streams get to finish after SIGTERM. Keep it below
+  // the platform's grace period (Railway: RAILWAY_DEPLOYMENT_DRAINING_SECONDS).
+  TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000
+};
+
+let shuttingDown = false;
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+// Connections are closed once their response is sent while draining, so keep-alive
+// clients reconnect to another instance and server.close() can complete
+function closeConnectionsWhenDraining(req, res, next) {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+  }
+  res.on('finish', () => {
+    if (shuttingDown) req.socket.end();
+  });
+  next();
+}
+
+// On SIGTERM or SIGINT: stop accepting connections, wait for in-flight requests and for
+// drain() (e.g. finishing open streams), then run cleanup() and exit. Whatever is still
+// running after SHUTDOWN_CONFIG.TIMEOUT_MS is cut off.
+function handleShutdown(server, { logger, drain = async () => {}, cleanup = async () => {} }) {
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} received, draining in-flight requests`);
+
+    setTimeout(() => {
+      logger.warn(`Shutdown timed out after ${SHUTDOWN_CONFIG.TIMEOUT_MS}ms, exiting`);
+      process.exit(1);
+    }, SHUTDOWN_CONFIG.TIMEOUT_MS).unref();
+
+    try {
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections();
+      await Promise.all([closed, drain()]);
+      await cleanup();
+      logger.info('Shutdown complete');
+      process.exit(0);
+    } catch (error) {
+      logger.error('Shutdown failed:', error.message);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { SHUTDOWN_CONFIG, isShuttingDown, closeConnectionsWhenDraining, handleShutdown };
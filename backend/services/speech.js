@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { providers } = require('../providers');
+const { cache, translationCacheKey, synthesisCacheKey } = require('./cache');
+const { getGlossary, findMatchingEntries } = require('./glossary');
+const { VOICE_CONFIG } = require('./voices');
+const { DIARIZATION_CONFIG, getKnownSpeakers, assignSpeakers, mainSpeaker } = require('./diarization');
+const { getSpeechHints, preferVariant } = require('../utils/languages');
+const logger = require('../utils/logger');
+
+const CONTEXT_CONFIG = {
+  MAX_ENTRIES: parseInt(process.env.TRANSLATION_CONTEXT_MAX_ENTRIES, 10) || 10,
+  MAX_ENTRY_LENGTH: 1000
+};
+
+// Stable identifier for the glossary terms or context applied to a translation
+function fingerprint(items) {
+  if (items.length === 0) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex').slice(0, 16);
+}
+
+// Keep the most recent well-formed { text, translation } pairs of prior conversation
+function normalizeContext(context = []) {
+  return context
+    .filter(entry => entry && typeof entry.text === 'string' && typeof entry.translation === 'string')
+    .slice(-CONTEXT_CONFIG.MAX_ENTRIES)
+    .map(entry => ({
+      text: entry.text.slice(0, CONTEXT_CONFIG.MAX_ENTRY_LENGTH),
+      translation: entry.translation.slice(0, CONTEXT_CONFIG.MAX_ENTRY_LENGTH)
+    }));
+}
+
+// Confidence of a transcription: its segments' confidences weighted by their length,
+// or null when the provider does not report them
+function transcriptionConfidence(segments = []) {
+  const scored = segments.filter(segment => typeof segment.confidence === 'number');
+  if (scored.length === 0) return null;
+
+  const weight = segment => Math.max(segment.end - segment.start, 0.01);
+  const total = scored.reduce((sum, segment) => sum + weight(segment), 0);
+  const confidence = scored.reduce((sum, segment) => sum + segment.confidence * weight(segment), 0) / total;
+  return Math.round(confidence * 1000) / 1000;
+}
+
+// Part of a chunk that was speech, { start, end } in seconds, or null when untimed
+function speechSpan(segments = []) {
+  if (segments.length === 0) return null;
+  return { start: segments[0].start, end: segments[segments.length - 1].end };
+}
+
+// Shift segment and word timings (seconds from the start of the chunk) by the chunk's
+// position in its session
+function offsetTimings({ segments = [], words = [] }, offsetSeconds) {
+  const shift = time => (typeof time === 'number' ? Math.round((time + offsetSeconds) * 1000) / 1000 : time);
+  return {
+    segments: segments.map(segment => ({ ...segment, start: shift(segment.start), end: shift(segment.end) })),
+    words: words.map(word => ({ ...word, start: shift(word.start), end: shift(word.end) }))
+  };
+}
+
+// Transcribe an audio upload ({ buffer, mimetype }) with the first available provider.
+// The result has the provider's segments ({ text, start, end, confidence, noSpeechProb })
+// and words ({ word, start, end }), timed in seconds from the start of the chunk, and an
+// overall confidence. With diarize, segments also name their speaker and the result the
+// main speaker; in a transcript session, speakers keep their ids from chunk to chunk.
+// Providers that cannot diarize return no speakers. For a dialect or variant the provider
+// is asked for its base language, primed with a sample of the variety, and the variant is
+// reported back when the base language was heard.
+async function transcribeAudio({ audio, language = 'auto', diarize = false, clientId, transcriptSessionId = null, signal }) {
+  const withSpeakers = diarize && DIARIZATION_CONFIG.ENABLED;
+  const knownSpeakers = withSpeakers ? await getKnownSpeakers(clientId, transcriptSessionId) : [];
+
+  const hints = getSpeechHints(language);
+
+  const result = await providers.withFailover('transcribe', provider => provider.transcribe({
+    buffer: audio.buffer,
+    mimetype: audio.mimetype,
+    language: hints.language,
+    prompt: hints.prompt,
+    diarize: withSpeakers,
+    knownSpeakers,
+    signal
+  }));
+
+  const transcription = {
+    ...result,
+    language: preferVariant(result.language, language),
+    segments: result.segments || [],
+    words: result.words || [],
+    confidence: transcriptionConfidence(result.segments)
+  };
+  if (!withSpeakers || !transcription.segments.some(segment => segment.speaker)) {
+    return transcription;
+  }
+
+  const segments = await assignSpeakers({ clientId, sessionId: transcriptSessionId, segments: transcription.segments, audio });
+  return { ...transcription, segments, speaker: mainSpeaker(segments) };
+}
+
+// Translate text with the configured provider, serving repeats from the cache.
+// The client's glossary for the language pair constrains terminology, and the
+// preceding conversation (oldest first) is passed as context only.
+// With onDelta, the translation is also reported incrementally as it is produced;
+// cached results and providers that cannot stream report it in one piece.
+// signal (an AbortSignal) cancels the provider call, e.g. when the client disconnects.
+// A failing provider is replaced by the next in the translate chain, unless part of
+// the translation has already been streamed. When glossary terms match, providers that
+// apply glossaries are tried first; glossaryIgnored reports that the terms could not be
+// enforced because only a provider without glossary support was available.
+// Resolves to { result, cacheHit, glossaryTerms, glossaryIgnored, contextEntries }.
+async function translateText({ text, sourceLanguage, targetLanguage, clientId, context = [], onDelta, signal }) {
+  const glossary = clientId
+    ? findMatchingEntries(await getGlossary(clientId, sourceLanguage, targetLanguage), text)
+    : [];
+  const history = normalizeContext(context);
+  const params = { text, sourceLanguage, targetLanguage, glossary, context: history, signal };
+  let deltasSent = false;
+  const reportDelta = onDelta && ((delta) => {
+    deltasSent = true;
+    onDelta(delta);
+  });
+
+  return providers.withFailover('translate', async (provider) => {
+    const keyParts = translationCacheKey({
+      provider: provider.name,
+      text,
+      sourceLanguage,
+      targetLanguage,
+      glossaryVersion: fingerprint(glossary.map(({ source, target }) => [source, target])),
+      contextVersion: fingerprint(history)
+    });
+
+    let streamed = false;
+    const { value, hit } = await cache.getOrSet('translate', keyParts, () => {
+      if (reportDelta && provider.translateStream) {
+        streamed = true;
+        return provider.translateStream(params, reportDelta);
+      }
+      return provider.translate(params);
+    });
+
+    if (reportDelta && !streamed && value.translatedText) {
+      reportDelta(value.translatedText);
+    }
+
+    const glossaryIgnored = glossary.length > 0 && !provider.appliesGlossary;
+    if (glossaryIgnored) {
+      logger.warn(`Translation via ${provider.name} ignored ${glossary.length} glossary terms`);
+    }
+
+    return { result: value, cacheHit: hit, glossaryTerms: glossary.length, glossaryIgnored, contextEntries: history.length };
+  }, {
+    shouldFailover: () => !deltasSent,
+    prefer: glossary.length > 0 ? provider => provider.appliesGlossary : null
+  });
+}
+
+// Synthesize speech with the configured provider, serving repeats from the cache.
+// voiceId picks a specific voice; otherwise the configured voice for the language
+// and gender is used. A failing provider is replaced by the next in the synthesize chain.
+// Resolves to { result: { audio: Buffer, contentType }, cacheHit }.
+async function synthesizeSpeech({ text, language, voiceId, gender = VOICE_CONFIG.DEFAULT_GENDER, signal }) {
+  return providers.withFailover('synthesize', provider =>
+    synthesizeWith(provider, { text, language, voiceId, gender, signal })
+  );
+}
+
+async function synthesizeWith(provider, { text, language, voiceId: requestedVoiceId, gender, signal }) {
+  const { voiceId, model } = provider.resolveVoice(language, { voiceId: requestedVoiceId, gender });
+  const keyParts = synthesisCacheKey({ provider: provider.name, text, voiceId, model });
+
+  // Audio is cached base64-encoded so it survives JSON serialization
+  const { value, hit } = await cache.getOrSet('synthesize', keyParts, async () => {
+    const speech = await provider.synthesize({ text, language, voiceId, signal });
+    return { audio: speech.audio.toString('base64'), contentType: speech.contentType };
+  });
+
+  return {
+    result: { audio: Buffer.from(value.audio, 'base64'), contentType: value.contentType },
+    cacheHit: hit
+  };
+}
+
+// Stream synthesized speech as the provider produces it; the complete audio is cached
+// once the stream has been consumed. format is 'pcm' (16-bit little-endian mono) or 'mp3';
+// providers that cannot stream return their regular encoding in a single chunk.
+// Failover to the next synthesize provider covers starting the stream, not failures mid-stream.
+// Resolves to { contentType, sampleRate, chunks, cacheHit } where chunks is an async iterable.
+async function streamSpeech({ text, language, voiceId, gender = VOICE_CONFIG.DEFAULT_GENDER, format = 'pcm', signal }) {
+  return providers.withFailover('synthesize', provider =>
+    streamSpeechWith(provider, { text, language, voiceId, gender, format, signal })
+  );
+}
+
+async function streamSpeechWith(provider, { text, language, voiceId: requestedVoiceId, gender, format, signal }) {
+  if (!provider.synthesizeStream) {
+    const { result, cacheHit } = await synthesizeWith(provider, { text, language, voiceId: requestedVoiceId, gender, signal });
+    return { contentType: result.contentType, sampleRate: null, chunks: [result.audio], cacheHit };
+  }
+
+  const { voiceId, model } = provider.resolveVoice(language, { voiceId: requestedVoiceId, gender });
+  const keyParts = synthesisCacheKey({ provider: provider.name, text, voiceId, model, format });
+
+  const cached = await cache.get('synthesize', keyParts);
+  if (cached) {
+    return {
+      contentType: cached.contentType,
+      sampleRate: cached.sampleRate,
+      chunks: [Buffer.from(cached.audio, 'base64')],
+      cacheHit: true
+    };
+  }
+
+  const stream = await provider.synthesizeStream({ text, language, voiceId, format, signal });
+
+  async function* collect() {
+    const parts = [];
+    for await (const chunk of stream.chunks) {
+      parts.push(chunk);
+      yield chunk;
+    }
+    await cache.set('synthesize', keyParts, {
+      audio: Buffer.concat(parts).toString('base64'),
+      contentType: stream.contentType,
+      sampleRate: stream.sampleRate
+    });
+  }
+
+  return { contentType: stream.contentType, sampleRate: stream.sampleRate, chunks: collect(), cacheHit: false };
+}
+
+module.exports = { CONTEXT_CONFIG, transcribeAudio, transcriptionConfidence, speechSpan, offsetTimings, translateText, synthesizeSpeech, streamSpeech };
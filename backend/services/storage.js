@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', 'data');
+
+// JSON files on local disk, one per namespace. Suitable for single-instance deploys.
+// Other processes, such as the tokens CLI, may write the same files: a namespace is read
+// again whenever its file's modification time or size changes.
+class FileBackend {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = dir;
+    // namespace -> { data, stamp } with the stamp of the file the data was read from
+    this.namespaces = new Map();
+    this.writes = new Map();
+    this.pendingWrites = new Map();
+  }
+
+  load(namespace) {
+    const cached = this.namespaces.get(namespace);
+    // Changes not yet written would be lost by reading the file again
+    if (cached && this.pendingWrites.get(namespace)) return cached.data;
+
+    const stamp = this.fileStamp(namespace);
+    if (cached && cached.stamp === stamp) return cached.data;
+
+    const data = this.readFile(namespace);
+    this.namespaces.set(namespace, { data, stamp });
+    return data;
+  }
+
+  filePath(namespace) {
+    return path.join(this.dir, `${namespace}.json`);
+  }
+
+  fileStamp(namespace) {
+    try {
+      const stats = fs.statSync(this.filePath(namespace));
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // A file that cannot be parsed is an error, not an empty store that the next write
+  // would save over it
+  readFile(namespace) {
+    let text;
+    try {
+      text = fs.readFileSync(this.filePath(namespace), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Corrupt ${namespace} store at ${this.filePath(namespace)}: ${error.message}`);
+    }
+  }
+
+  // Writes to the same file are serialized so a slower write cannot clobber a newer one
+  persist(namespace) {
+    this.pendingWrites.set(namespace, (this.pendingWrites.get(namespace) || 0) + 1);
+    const previous = this.writes.get(namespace) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.writeFile(namespace)).finally(() => {
+      this.pendingWrites.set(namespace, this.pendingWrites.get(namespace) - 1);
+    });
+    this.writes.set(namespace, next);
+    return next;
+  }
+
+  async writeFile(namespace) {
+    const cached = this.namespaces.get(namespace);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tmpPath = `${this.filePath(namespace)}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(cached.data, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath(namespace));
+    // Our own write is not a change to read back
+    cached.stamp = this.fileStamp(namespace);
+  }
+
+  async get(namespace, key) {
+    return this.load(namespace)[key] ?? null;
+  }
+
+  // Entries do not expire on disk; stores that set a TTL also check expiry themselves
+  async set(namespace, key, value) {
+    this.load(namespace)[key] = value;
+    await this.persist(namespace);
+  }
+
+  async delete(namespace, key) {
+    const data = this.load(namespace);
+    if (!(key in data)) return false;
+    delete data[key];
+    await this.persist(namespace);
+    return true;
+  }
+
+  async increment(namespace, key, deltas) {
+    const data = this.load(namespace);
+    const counters = data[key] || {};
+    for (const [field, amount] of Object.entries(deltas)) {
+      counters[field] = (counters[field] || 0) + amount;
+    }
+    data[key] = counters;
+    await this.persist(namespace);
+    return { ...counters };
+  }
+
+  async list(namespace, prefix = '') {
+    return Object.entries(this.load(namespace))
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, value]) => ({ key, value }));
+  }
+}
+
+// Redis keys of the form store:<namespace>:<key>. Shared between instances.
+class RedisBackend {
+  constructor(client) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  redisKey(namespace, key) {
+    return `store:${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    const value = await this.client.get(this.redisKey(namespace, key));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(namespace, key, value, ttlSeconds) {
+    await this.client.set(this.redisKey(namespace, key), JSON.stringify(value), ttlSeconds ? { EX: ttlSeconds } : undefined);
+  }
+
+  async delete(namespace, key) {
+    return (await this.client.del(this.redisKey(namespace, key))) > 0;
+  }
+
+  // Counters are Redis hashes so concurrent increments from several instances are atomic
+  async increment(namespace, key, deltas, ttlSeconds) {
+    const redisKey = this.redisKey(namespace, key);
+    const multi = this.client.multi();
+    for (const [field, amount] of Object.entries(deltas)) {
+      multi.hIncrByFloat(redisKey, field, amount);
+    }
+    if (ttlSeconds) {
+      multi.expire(redisKey, ttlSeconds);
+    }
+    await multi.exec();
+    return this.getCounters(namespace, key);
+  }
+
+  async getCounters(namespace, key) {
+    const hash = await this.client.hGetAll(this.redisKey(namespace, key));
+    if (Object.keys(hash).length === 0) return null;
+    return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, parseFloat(value)]));
+  }
+
+  async list(namespace, prefix = '') {
+    const namespacePrefix = this.redisKey(namespace, '');
+    const entries = [];
+    for await (const redisKey of this.client.scanIterator({ MATCH: `${namespacePrefix}${prefix}*`, COUNT: 100 })) {
+      const value = await this.client.get(redisKey);
+      if (value) {
+        entries.push({ key: redisKey.slice(namespacePrefix.length), value: JSON.parse(value) });
+      }
+    }
+    return entries;
+  }
+}
+
+let backend = new FileBackend(STORAGE_DIR);
+
+// Switch every store to Redis when a client is available
+function configureStorage(redisClient) {
+  if (redisClient) {
+    backend = new RedisBackend(redisClient);
+  }
+  return backend.name;
+}
+
+// A namespaced key-value store for JSON-serializable records
+function createStore(namespace) {
+  return {
+    get: (key) => backend.get(namespace, key),
+    // ttlSeconds is optional and only enforced by Redis
+    set: (key, value, ttlSeconds) => backend.set(namespace, key, value, ttlSeconds),
+    delete: (key) => backend.delete(namespace, key),
+    list: (prefix) => backend.list(namespace, prefix),
+    // Numeric counters: increment(key, { field: amount }, ttlSeconds?) resolves to the new totals
+    increment: (key, deltas, ttlSeconds) => backend.increment(namespace, key, deltas, ttlSeconds),
+    getCounters: (key) => (backend.getCounters ? backend.getCounters(namespace, key) : backend.get(namespace, key)),
+    // Whether entries set with a ttlSeconds expire by themselves; otherwise the owner sweeps them
+    expiresEntries: () => backend.name === 'redis'
+  };
+}
+
+module.exports = { createStore, configureStorage, FileBackend, RedisBackend };
@@ -0,0 +1,502 @@
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { providers } = require('../providers');
+const { pcmToWav, pcmLevel } = require('../utils/wav');
+const { checkQuota, recordUsage, measureAudioSeconds, QuotaExceededError } = require('./usage');
+const { recordAudioBytes, recordRateLimitRejection } = require('./metrics');
+const { consumeRateLimit } = require('../middleware/rateLimit');
+const sessions = require('./sessions');
+const { transcriptionConfidence, speechSpan, offsetTimings } = require('./speech');
+const { SUPPORTED_LANGUAGES, getSpeechHints, preferVariant } = require('../utils/languages');
+
+const STREAM_PATH = '/api/transcribe/stream';
+
+const STREAM_CONFIG = {
+  INTERIM_INTERVAL_MS: parseInt(process.env.STREAM_INTERIM_INTERVAL_MS, 10) || 1000,
+  MAX_SEGMENT_MS: parseInt(process.env.STREAM_MAX_SEGMENT_MS, 10) || 6000,
+  SILENCE_MS: parseInt(process.env.STREAM_SILENCE_MS, 10) || 600,
+  SILENCE_THRESHOLD: parseFloat(process.env.STREAM_SILENCE_THRESHOLD) || 0.01,
+  MAX_FRAME_BYTES: 1024 * 1024,
+  // pcm16 sample rates a stream may declare
+  MIN_SAMPLE_RATE: 8000,
+  MAX_SAMPLE_RATE: 48000,
+  // A webm-opus stream must start its first Cluster within this many bytes
+  MAX_CONTAINER_HEADER_BYTES: 64 * 1024,
+  // Frames (audio or control) a socket may send per second; the extension sends about 12
+  MAX_FRAMES_PER_SECOND: parseInt(process.env.STREAM_MAX_FRAMES_PER_SECOND, 10) || 50
+};
+
+// Opening a stream counts as one request against these limiters (see middleware/rateLimit.js)
+const STREAM_RATE_LIMITERS = ['api', 'transcribe'];
+
+// Supported stream encodings
+// pcm16: raw little-endian 16-bit mono PCM, wrapped in WAV per segment
+// webm-opus: MediaRecorder output; the first frame carries the container header
+const ENCODINGS = ['pcm16', 'webm-opus'];
+
+// EBML ID of a WebM Cluster; the container header is everything before the first one
+const WEBM_CLUSTER_ID = Buffer.from([0x1F, 0x43, 0xB6, 0x75]);
+
+// One streaming transcription session per WebSocket connection.
+//
+// Client -> server:
+//   { "type": "start", "language": "fa", "encoding": "pcm16", "sampleRate": 16000,
+//     "transcriptSessionId"? }   finals are recorded in that transcript session
+//   <binary audio frames>
+//   { "type": "flush" }   finalize the current segment
+//   { "type": "stop" }    finalize, wait for pending results and close
+//
+// Server -> client:
+//   { "type": "ready", "sessionId" }
+//   { "type": "interim", "segmentId", "text", "language" }
+//   { "type": "final", "segmentId", "text", "language", "confidence", "segments", "words", "sessionSegment"? }
+//       segment and word times are seconds from the start of the transcript session when
+//       the final was recorded in one, otherwise from the start of the segment
+//   { "type": "error", "error", "segmentId"? }
+//   { "type": "error", "code": "QUOTA_EXCEEDED", ... }   sent before the stream is closed
+//   { "type": "error", "code": "RATE_LIMITED", ... }     too many frames; sent before the stream is closed
+//
+// Every transcription is metered against the client's audioSeconds quota, interims
+// included: each interim sends the segment so far again.
+
+// Open streams, so they can be finished on shutdown
+const activeSessions = new Set();
+
+// A text frame as a control message: a JSON object with a string type, or null
+function parseControlMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return null;
+  }
+  const isObject = message !== null && typeof message === 'object' && !Array.isArray(message);
+  return isObject && typeof message.type === 'string' ? message : null;
+}
+
+class TranscriptionSession {
+  constructor(socket, logger, client) {
+    this.socket = socket;
+    this.logger = logger;
+    this.client = client;
+    this.sessionId = uuidv4();
+    this.started = false;
+    this.closed = false;
+    this.language = 'auto';
+    this.encoding = 'pcm16';
+    this.sampleRate = 16000;
+    this.transcriptSessionId = null;
+    this.containerHeader = null;
+    this.headerBytes = Buffer.alloc(0);
+    this.segmentId = 0;
+    this.interimInFlight = false;
+    this.finalQueue = Promise.resolve();
+    this.interimTimer = null;
+    this.frameWindowStartedAt = Date.now();
+    this.frameCount = 0;
+    // Cancels pending provider calls when the client disconnects
+    this.abortController = new AbortController();
+    this.resetSegment();
+    activeSessions.add(this);
+
+    socket.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+    socket.on('close', () => this.dispose());
+    socket.on('error', (error) => {
+      this.logger.error(`Stream ${this.sessionId} socket error:`, error.message);
+    });
+  }
+
+  resetSegment() {
+    this.segmentChunks = [];
+    this.segmentBytes = 0;
+    this.segmentStartedAt = Date.now();
+    this.segmentHasSpeech = false;
+    this.trailingSilenceMs = 0;
+    this.lastInterimBytes = 0;
+  }
+
+  handleMessage(data, isBinary) {
+    if (!this.withinFrameLimit()) return;
+
+    if (isBinary) {
+      if (!this.started) {
+        return this.send({ type: 'error', error: 'Stream not started' });
+      }
+      return this.appendAudio(Buffer.from(data));
+    }
+
+    const message = parseControlMessage(data);
+    if (!message) {
+      return this.send({ type: 'error', error: 'Invalid control message' });
+    }
+
+    switch (message.type) {
+      case 'start':
+        this.start(message).catch((error) => {
+          this.logger.error(`Stream ${this.sessionId} failed to start:`, error.message);
+          this.send({ type: 'error', error: 'Stream could not be started' });
+          this.socket.close(1011, 'Stream could not be started');
+        });
+        break;
+      case 'flush':
+        this.finalizeSegment();
+        break;
+      case 'stop':
+        this.stop();
+        break;
+      default:
+        this.send({ type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  async start({ language = 'auto', encoding = 'pcm16', sampleRate = 16000, transcriptSessionId = null }) {
+    if (this.started) {
+      return this.send({ type: 'error', error: 'Stream already started' });
+    }
+    if (!ENCODINGS.includes(encoding)) {
+      return this.send({ type: 'error', error: `Unsupported encoding: ${encoding}` });
+    }
+    if (language !== 'auto' && !Object.hasOwn(SUPPORTED_LANGUAGES, language)) {
+      return this.send({ type: 'error', error: `Unsupported language: ${language}` });
+    }
+    const rate = Number(sampleRate);
+    if (!Number.isInteger(rate) || rate < STREAM_CONFIG.MIN_SAMPLE_RATE || rate > STREAM_CONFIG.MAX_SAMPLE_RATE) {
+      return this.send({
+        type: 'error',
+        error: `Unsupported sample rate: ${sampleRate} (${STREAM_CONFIG.MIN_SAMPLE_RATE}-${STREAM_CONFIG.MAX_SAMPLE_RATE} Hz)`
+      });
+    }
+    if (transcriptSessionId && !(await this.findTranscriptSession(transcriptSessionId))) {
+      return this.send({ type: 'error', error: 'Session not found' });
+    }
+
+    this.language = language;
+    this.encoding = encoding;
+    this.sampleRate = rate;
+    this.transcriptSessionId = transcriptSessionId;
+    this.started = true;
+    this.resetSegment();
+
+    if (!(await this.withinQuota())) {
+      return;
+    }
+
+    this.interimTimer = setInterval(() => this.emitInterim(), STREAM_CONFIG.INTERIM_INTERVAL_MS);
+
+    this.logger.info(`Stream ${this.sessionId} started (${this.encoding}, ${this.language})`);
+    this.send({ type: 'ready', sessionId: this.sessionId });
+  }
+
+  appendAudio(data) {
+    recordAudioBytes('in', data.length);
+
+    let chunk = data;
+    if (this.encoding === 'webm-opus' && !this.containerHeader) {
+      chunk = this.takeContainerHeader(data);
+      if (!chunk || chunk.length === 0) return;
+    }
+
+    this.segmentChunks.push(chunk);
+    this.segmentBytes += chunk.length;
+
+    if (this.encoding === 'pcm16') {
+      const chunkMs = (chunk.length / 2 / this.sampleRate) * 1000;
+      if (pcmLevel(chunk) < STREAM_CONFIG.SILENCE_THRESHOLD) {
+        this.trailingSilenceMs += chunkMs;
+      } else {
+        this.segmentHasSpeech = true;
+        this.trailingSilenceMs = 0;
+      }
+
+      // End the segment on a pause after speech
+      if (this.segmentHasSpeech && this.trailingSilenceMs >= STREAM_CONFIG.SILENCE_MS) {
+        return this.finalizeSegment();
+      }
+    } else {
+      this.segmentHasSpeech = true;
+    }
+
+    if (this.getSegmentDuration() >= STREAM_CONFIG.MAX_SEGMENT_MS) {
+      this.finalizeSegment();
+    }
+  }
+
+  // Set aside the WebM container header (EBML, segment info and tracks) that starts a
+  // webm-opus stream, so it can be put in front of every segment without repeating any
+  // audio. Returns the rest of the chunk, or null when the stream was closed for never
+  // starting a Cluster.
+  takeContainerHeader(chunk) {
+    const clusterStart = chunk.indexOf(WEBM_CLUSTER_ID);
+    const headerEnd = clusterStart === -1 ? chunk.length : clusterStart;
+    this.headerBytes = Buffer.concat([this.headerBytes, chunk.subarray(0, headerEnd)]);
+
+    if (clusterStart !== -1) {
+      this.containerHeader = this.headerBytes;
+    } else if (this.headerBytes.length > STREAM_CONFIG.MAX_CONTAINER_HEADER_BYTES) {
+      this.send({ type: 'error', error: 'Invalid WebM stream: no audio cluster found' });
+      this.socket.close(1003, 'Invalid audio');
+      return null;
+    }
+    return chunk.subarray(headerEnd);
+  }
+
+  getSegmentDuration() {
+    if (this.encoding === 'pcm16') {
+      return (this.segmentBytes / 2 / this.sampleRate) * 1000;
+    }
+    return Date.now() - this.segmentStartedAt;
+  }
+
+  // Build an uploadable audio file from the current segment
+  buildSegmentAudio(chunks) {
+    if (this.encoding === 'pcm16') {
+      return { buffer: pcmToWav(Buffer.concat(chunks), this.sampleRate), mimetype: 'audio/wav' };
+    }
+
+    // Segments start mid-stream, so each needs the container header
+    return { buffer: Buffer.concat([this.containerHeader, ...chunks]), mimetype: 'audio/webm' };
+  }
+
+  async transcribeSegment(chunks) {
+    const audio = this.buildSegmentAudio(chunks);
+    const hints = getSpeechHints(this.language);
+    const result = await providers.withFailover('transcribe', provider => provider.transcribe({
+      buffer: audio.buffer,
+      mimetype: audio.mimetype,
+      language: hints.language,
+      prompt: hints.prompt,
+      signal: this.abortController.signal
+    }));
+    return { ...result, language: preferVariant(result.language, this.language) };
+  }
+
+  async emitInterim() {
+    if (this.interimInFlight || !this.segmentHasSpeech) return;
+    if (this.segmentBytes === this.lastInterimBytes) return;
+
+    const segmentId = this.segmentId;
+    const chunks = [...this.segmentChunks];
+    this.lastInterimBytes = this.segmentBytes;
+    this.interimInFlight = true;
+
+    try {
+      if (!(await this.withinQuota())) return;
+
+      // Each interim sends the whole segment so far to the provider, and is metered as such
+      const result = await this.transcribeSegment(chunks);
+      this.recordAudioUsage(chunks);
+      // Drop interim results for segments that were finalized meanwhile
+      if (segmentId === this.segmentId) {
+        this.send({
+          type: 'interim',
+          segmentId,
+          text: result.text,
+          language: result.language || this.language
+        });
+      }
+    } catch (error) {
+      this.logger.warn(`Stream ${this.sessionId} interim transcription failed:`, error.message);
+    } finally {
+      this.interimInFlight = false;
+    }
+  }
+
+  finalizeSegment() {
+    const segmentId = this.segmentId;
+    const chunks = this.segmentChunks;
+    const hasSpeech = this.segmentHasSpeech;
+    const durationMs = this.getSegmentDuration();
+
+    this.segmentId += 1;
+    this.resetSegment();
+
+    if (chunks.length === 0 || !hasSpeech) {
+      return this.finalQueue;
+    }
+
+    // Final results are emitted in segment order
+    this.finalQueue = this.finalQueue.then(async () => {
+      if (!(await this.withinQuota())) return;
+
+      try {
+        const result = await this.transcribeSegment(chunks);
+        const language = result.language || this.language;
+        const recorded = await this.recordTranscript({
+          text: result.text,
+          language,
+          durationMs,
+          speech: speechSpan(result.segments)
+        });
+        this.send({
+          type: 'final',
+          segmentId,
+          text: result.text,
+          language,
+          confidence: transcriptionConfidence(result.segments),
+          ...offsetTimings(result, recorded ? recorded.offsetMs / 1000 : 0),
+          ...(recorded && { sessionSegment: recorded.index })
+        });
+        this.recordAudioUsage(chunks);
+      } catch (error) {
+        if (this.closed) return;
+        this.logger.error(`Stream ${this.sessionId} segment ${segmentId} failed:`, error.message);
+        this.send({
+          type: 'error',
+          segmentId,
+          error: 'Transcription failed',
+          status: error.response?.status ?? error.status
+        });
+      }
+    });
+
+    return this.finalQueue;
+  }
+
+  async findTranscriptSession(transcriptSessionId) {
+    try {
+      return await sessions.getSession(this.client.id, String(transcriptSessionId));
+    } catch (error) {
+      this.logger.error(`Stream ${this.sessionId} session lookup failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Append a final to the transcript session; resolves to { index, offsetMs }, or null
+  async recordTranscript(segment) {
+    if (!this.transcriptSessionId || !segment.text) return null;
+
+    try {
+      return await sessions.addSegment(this.client.id, this.transcriptSessionId, segment);
+    } catch (error) {
+      this.logger.error(`Stream ${this.sessionId} session update failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Check the client's audio quota; on exhaustion report it and close the stream
+  async withinQuota() {
+    try {
+      await checkQuota(this.client.id, ['audioSeconds']);
+      return true;
+    } catch (error) {
+      if (!(error instanceof QuotaExceededError)) {
+        this.logger.error(`Stream ${this.sessionId} quota check failed:`, error.message);
+        return true;
+      }
+      this.send({ type: 'error', ...error.toJSON() });
+      this.socket.close(4029, 'Quota exceeded');
+      return false;
+    }
+  }
+
+  // Count a frame against MAX_FRAMES_PER_SECOND; a client over the limit is told so and
+  // disconnected
+  withinFrameLimit() {
+    const now = Date.now();
+    if (now - this.frameWindowStartedAt >= 1000) {
+      this.frameWindowStartedAt = now;
+      this.frameCount = 0;
+    }
+    this.frameCount += 1;
+    if (this.frameCount <= STREAM_CONFIG.MAX_FRAMES_PER_SECOND) return true;
+
+    if (this.frameCount === STREAM_CONFIG.MAX_FRAMES_PER_SECOND + 1) {
+      recordRateLimitRejection('streamFrames');
+      this.logger.warn(`Stream ${this.sessionId} exceeded ${STREAM_CONFIG.MAX_FRAMES_PER_SECOND} frames per second`);
+      this.send({
+        type: 'error',
+        error: 'Too many frames, please try again later.',
+        code: 'RATE_LIMITED',
+        limiter: 'streamFrames',
+        limit: STREAM_CONFIG.MAX_FRAMES_PER_SECOND,
+        retryAfter: 1
+      });
+      this.socket.close(4029, 'Rate limited');
+    }
+    return false;
+  }
+
+  // Meter the audio of chunks sent to the provider
+  recordAudioUsage(chunks) {
+    const audioSeconds = this.encoding === 'pcm16'
+      ? chunks.reduce((bytes, chunk) => bytes + chunk.length, 0) / 2 / this.sampleRate
+      : measureAudioSeconds(Buffer.concat(chunks));
+
+    recordUsage(this.client.id, { audioSeconds }).catch((error) => {
+      this.logger.error(`Stream ${this.sessionId} usage recording failed:`, error.message);
+    });
+  }
+
+  async stop(code = 1000, reason = 'Stream stopped') {
+    await this.finalizeSegment();
+    this.send({ type: 'closed', sessionId: this.sessionId });
+    this.socket.close(code, reason);
+  }
+
+  send(message) {
+    if (this.closed || this.socket.readyState !== this.socket.OPEN) return;
+    this.socket.send(JSON.stringify(message));
+  }
+
+  dispose() {
+    this.closed = true;
+    activeSessions.delete(this);
+    this.abortController.abort();
+    if (this.interimTimer) {
+      clearInterval(this.interimTimer);
+      this.interimTimer = null;
+    }
+    this.logger.info(`Stream ${this.sessionId} closed`);
+  }
+}
+
+// Finish every open stream: pending segments are transcribed and sent, then the
+// socket is closed with 1001 (going away) so clients reconnect elsewhere
+function stopTranscriptionStreams() {
+  return Promise.all([...activeSessions].map(session => session.stop(1001, 'Server shutting down')));
+}
+
+// Attach the streaming transcription WebSocket route to an HTTP server.
+// authenticate(req) resolves to the calling client, or null to reject the upgrade.
+// Upgrades over the client's rate limits are rejected with 429.
+function attachTranscriptionStream(server, { logger, authenticate }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: STREAM_CONFIG.MAX_FRAME_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    authenticate(req).then(async (client) => {
+      if (!client) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      req.client = client;
+      const limited = await consumeRateLimit(req, STREAM_RATE_LIMITERS);
+      if (limited) {
+        logger.warn(`Stream rejected for ${client.id}: ${limited.limiter} rate limit`);
+        socket.write(`HTTP/1.1 429 Too Many Requests\r\nRetry-After: ${limited.retryAfter}\r\nConnection: close\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, client);
+      });
+    }).catch((error) => {
+      logger.error('Stream authentication failed:', error.message);
+      socket.destroy();
+    });
+  });
+
+  wss.on('connection', (ws, req, client) => new TranscriptionSession(ws, logger, client));
+
+  return wss;
+}
+
+module.exports = { attachTranscriptionStream, stopTranscriptionStreams, STREAM_PATH, TranscriptionSession };
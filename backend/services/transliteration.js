@@ -0,0 +1,64 @@
+const { providers } = require('../providers');
+const { cache, transliterationCacheKey } = require('./cache');
+const { checkQuota, QuotaExceededError } = require('./usage');
+const { detectLanguage } = require('../utils/languages');
+const { canRomanize, romanize } = require('../utils/transliteration');
+const logger = require('../utils/logger');
+
+const TRANSLITERATION_CONFIG = {
+  // Romanize with the translation model when the translate provider can; 'false' keeps
+  // to the rule-based romanization
+  USE_MODEL: process.env.TRANSLITERATION_USE_MODEL !== 'false'
+};
+
+// Romanize text in language ('auto': detected from the script). The first provider of the
+// translate chain does it when it can transliterate, serving repeats from the cache. Other
+// providers, a failing model and TRANSLITERATION_USE_MODEL=false fall back to the rules.
+// Text of a language written in Latin letters comes back unchanged.
+// Model transliterations count toward the client's translatedCharacters quota, so when
+// the model would be used and clientId's quota is used up this rejects with
+// QuotaExceededError; the rules are free.
+// Resolves to { transliteration, language, method, cacheHit }, method being 'model',
+// 'rules' or 'none'.
+async function transliterateText({ text, language = 'auto', clientId = null, signal }) {
+  const source = language === 'auto' ? detectLanguage(text) : language;
+  if (!canRomanize(source)) {
+    return { transliteration: text, language: source, method: 'none', cacheHit: false };
+  }
+
+  const byRules = () => ({ transliteration: romanize(text, source), language: source, method: 'rules', cacheHit: false });
+  if (!TRANSLITERATION_CONFIG.USE_MODEL) {
+    return byRules();
+  }
+
+  if (clientId && providers.get('translate').transliterate) {
+    await checkModelQuota(clientId);
+  }
+
+  try {
+    return await providers.withFailover('translate', async (provider) => {
+      if (!provider.transliterate) return byRules();
+
+      const keyParts = transliterationCacheKey({ provider: provider.name, text, language: source });
+      const { value, hit } = await cache.getOrSet('transliterate', keyParts,
+        () => provider.transliterate({ text, language: source, signal }));
+      return { transliteration: value.transliteration, language: source, method: 'model', cacheHit: hit };
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.warn(`Transliteration by model failed, using rules: ${error.message}`);
+    return byRules();
+  }
+}
+
+async function checkModelQuota(clientId) {
+  try {
+    await checkQuota(clientId, ['translatedCharacters']);
+  } catch (error) {
+    if (error instanceof QuotaExceededError) throw error;
+    // Metering problems should not take the service down
+    logger.error('Quota check failed:', error.message);
+  }
+}
+
+module.exports = { TRANSLITERATION_CONFIG, transliterateText };
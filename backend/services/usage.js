@@ -0,0 +1,182 @@
+const { createStore } = require('./storage');
+const { audioDuration } = require('../utils/audioFormat');
+
+// Metered quantities
+const METRICS = ['audioSeconds', 'translatedCharacters', 'ttsCharacters'];
+
+const USAGE_CONFIG = {
+  RETENTION_DAYS: parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90,
+  // Used to estimate the duration of compressed uploads whose headers do not record it (WebM, MP3)
+  COMPRESSED_BYTES_PER_SECOND: 4000,
+  // 429 by default; deployments with paid plans may prefer 402 Payment Required
+  EXCEEDED_STATUS: parseInt(process.env.QUOTA_EXCEEDED_STATUS, 10) === 402 ? 402 : 429
+};
+
+// Daily limits from the environment. Unset or 0 means unlimited.
+const DEFAULT_QUOTAS = {
+  audioSeconds: parseInt(process.env.QUOTA_AUDIO_SECONDS_PER_DAY, 10) || 0,
+  translatedCharacters: parseInt(process.env.QUOTA_TRANSLATED_CHARACTERS_PER_DAY, 10) || 0,
+  ttsCharacters: parseInt(process.env.QUOTA_TTS_CHARACTERS_PER_DAY, 10) || 0
+};
+
+const usageStore = createStore('usage');
+const quotaStore = createStore('quotas');
+
+// Usage recordings still being written; requests record usage without waiting for it
+const pendingRecords = new Set();
+
+class QuotaExceededError extends Error {
+  constructor({ metric, used, limit, resetsAt }) {
+    super(`Daily ${metric} quota exceeded`);
+    this.name = 'QuotaExceededError';
+    this.metric = metric;
+    this.used = used;
+    this.limit = limit;
+    this.resetsAt = resetsAt;
+  }
+
+  get retryAfter() {
+    return Math.max(1, Math.ceil((Date.parse(this.resetsAt) - Date.now()) / 1000));
+  }
+
+  toJSON() {
+    return {
+      error: 'Quota exceeded',
+      code: 'QUOTA_EXCEEDED',
+      metric: this.metric,
+      used: this.used,
+      limit: this.limit,
+      resetsAt: this.resetsAt,
+      retryAfter: this.retryAfter
+    };
+  }
+}
+
+// Usage is bucketed per UTC day
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextDayStart(date = new Date()) {
+  const next = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+  return next.toISOString();
+}
+
+function emptyUsage() {
+  return Object.fromEntries(METRICS.map(metric => [metric, 0]));
+}
+
+// Seconds of audio in an upload: exact for WAV, FLAC and Ogg, estimated from size otherwise
+function measureAudioSeconds(buffer) {
+  const duration = audioDuration(buffer);
+  if (duration !== null) {
+    return duration;
+  }
+  return buffer.length / USAGE_CONFIG.COMPRESSED_BYTES_PER_SECOND;
+}
+
+async function getUsage(clientId, day = dayKey()) {
+  const counters = await usageStore.getCounters(`${clientId}:${day}`);
+  return { ...emptyUsage(), ...counters };
+}
+
+function recordUsage(clientId, deltas) {
+  const amounts = Object.fromEntries(
+    Object.entries(deltas).filter(([metric, amount]) => METRICS.includes(metric) && amount > 0)
+  );
+  if (Object.keys(amounts).length === 0) return Promise.resolve();
+
+  const recording = usageStore.increment(`${clientId}:${dayKey()}`, amounts, USAGE_CONFIG.RETENTION_DAYS * 24 * 60 * 60);
+  pendingRecords.add(recording);
+  recording.catch(() => {}).finally(() => pendingRecords.delete(recording));
+  return recording;
+}
+
+// Resolves once every usage recording started so far has been written (or has failed)
+async function flushUsage() {
+  await Promise.allSettled([...pendingRecords]);
+}
+
+// Remove days that fell out of the retention period. Redis expires them by TTL; the
+// file store needs sweeping. Resolves to the number of client-days removed.
+async function purgeExpiredUsage(now = new Date()) {
+  if (usageStore.expiresEntries()) return 0;
+
+  const oldest = dayKey(new Date(now.getTime() - USAGE_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  let removed = 0;
+  for (const { key } of await usageStore.list('')) {
+    // Keys end in the day: <clientId>:YYYY-MM-DD
+    if (key.slice(-10) < oldest) {
+      await usageStore.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+// Per-client overrides on top of the environment defaults
+async function getQuotas(clientId) {
+  const overrides = await quotaStore.get(clientId);
+  return { ...DEFAULT_QUOTAS, ...overrides };
+}
+
+async function setQuotas(clientId, quotas) {
+  const overrides = Object.fromEntries(
+    Object.entries(quotas).filter(([metric, limit]) => METRICS.includes(metric) && Number.isFinite(limit) && limit >= 0)
+  );
+  await quotaStore.set(clientId, overrides);
+  return getQuotas(clientId);
+}
+
+// Throw QuotaExceededError if the client has used up any of the given metrics today
+async function checkQuota(clientId, metrics) {
+  const [usage, quotas] = await Promise.all([getUsage(clientId), getQuotas(clientId)]);
+
+  for (const metric of metrics) {
+    const limit = quotas[metric];
+    if (limit > 0 && usage[metric] >= limit) {
+      throw new QuotaExceededError({ metric, used: usage[metric], limit, resetsAt: nextDayStart() });
+    }
+  }
+}
+
+// Usage, limits and remaining allowance for today, plus the previous days of history
+async function getUsageReport(clientId, days = 1) {
+  const today = new Date();
+  const history = [];
+
+  for (let i = 0; i < Math.min(Math.max(days, 1), USAGE_CONFIG.RETENTION_DAYS); i++) {
+    const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+    history.push({ date: dayKey(date), ...(await getUsage(clientId, dayKey(date))) });
+  }
+
+  const quotas = await getQuotas(clientId);
+  const usage = history[0];
+  const remaining = Object.fromEntries(
+    METRICS.map(metric => [metric, quotas[metric] > 0 ? Math.max(0, quotas[metric] - usage[metric]) : null])
+  );
+
+  return {
+    clientId,
+    date: usage.date,
+    resetsAt: nextDayStart(today),
+    usage: Object.fromEntries(METRICS.map(metric => [metric, usage[metric]])),
+    limits: Object.fromEntries(METRICS.map(metric => [metric, quotas[metric] || null])),
+    remaining,
+    history
+  };
+}
+
+module.exports = {
+  METRICS,
+  USAGE_CONFIG,
+  QuotaExceededError,
+  measureAudioSeconds,
+  recordUsage,
+  flushUsage,
+  purgeExpiredUsage,
+  checkQuota,
+  getQuotas,
+  setQuotas,
+  getUsageReport
+};
@@ -0,0 +1,57 @@
+const { providers } = require('../providers');
+const { cache } = require('./cache');
+const logger = require('../utils/logger');
+
+const VOICE_GENDERS = ['male', 'female'];
+
+const VOICE_CONFIG = {
+  DEFAULT_GENDER: VOICE_GENDERS.includes(process.env.TTS_DEFAULT_GENDER) ? process.env.TTS_DEFAULT_GENDER : 'male',
+  // Provider voice ids are short opaque tokens; anything else never reaches the provider URL
+  ID_PATTERN: /^[A-Za-z0-9_-]{1,64}$/
+};
+
+// Voices offered by the synthesis provider, cached like other provider responses.
+// Resolves to { provider, voices, cacheHit }.
+async function listVoices() {
+  const provider = providers.get('synthesize');
+  if (!provider.listVoices) {
+    return { provider: provider.name, voices: [], cacheHit: false };
+  }
+
+  const { value, hit } = await cache.getOrSet('voices', [provider.name], () => provider.listVoices());
+  return { provider: provider.name, voices: value, cacheHit: hit };
+}
+
+// Configured default voice per gender for a language
+function getDefaultVoices(language) {
+  const provider = providers.get('synthesize');
+  return Object.fromEntries(
+    VOICE_GENDERS.map(gender => [gender, provider.resolveVoice(language, { gender }).voiceId])
+  );
+}
+
+// Validate a requested voice; returns an error message or null.
+// Unknown ids are rejected when the voice list is available; if listing fails
+// the request is allowed through and the provider decides.
+async function validateVoice({ voiceId, gender }) {
+  if (gender !== undefined && !VOICE_GENDERS.includes(gender)) {
+    return `gender must be one of: ${VOICE_GENDERS.join(', ')}`;
+  }
+  if (voiceId === undefined) return null;
+
+  if (typeof voiceId !== 'string' || !VOICE_CONFIG.ID_PATTERN.test(voiceId)) {
+    return 'Invalid voiceId';
+  }
+
+  try {
+    const { voices } = await listVoices();
+    if (voices.length > 0 && !voices.some(voice => voice.id === voiceId)) {
+      return `Unknown voiceId: ${voiceId}`;
+    }
+  } catch (error) {
+    logger.warn(`Voice validation skipped: ${error.message}`);
+  }
+  return null;
+}
+
+module.exports = { VOICE_GENDERS, VOICE_CONFIG, listVoices, getDefaultVoices, validateVoice };
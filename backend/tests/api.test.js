@@ -0,0 +1,280 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { UnsupportedRequestError } = require('../providers/circuitBreaker');
+const { createLocalProvider } = require('../providers/local');
+const { wavUpload, parseEvents } = require('./helpers');
+
+// A translate provider whose calls fail with the given error
+function rejectingProvider(name, error) {
+  return {
+    ...createLocalProvider(),
+    name,
+    async translate() {
+      throw error;
+    }
+  };
+}
+
+describe('POST /api/transcribe', () => {
+  it('transcribes an upload with timings', async () => {
+    const res = await request(app)
+      .post('/api/transcribe')
+      .field('language', 'fa')
+      .attach('audio', wavUpload(2), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(200);
+
+    expect(res.body.text).toBe('سلام، چطور هستید؟');
+    expect(res.body.language).toBe('fa');
+    expect(res.body.duration).toBeCloseTo(2, 1);
+    expect(res.body.confidence).toBe(1);
+    expect(res.body.segments).toHaveLength(1);
+    expect(res.body.words.length).toBeGreaterThan(0);
+    expect(res.body.offset).toBeNull();
+  });
+
+  it('rejects a request without audio', async () => {
+    const res = await request(app).post('/api/transcribe').field('language', 'ar').expect(400);
+
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(res.body.details.map(detail => detail.field)).toContain('audio');
+  });
+
+  it('rejects data that is not audio', async () => {
+    const res = await request(app)
+      .post('/api/transcribe')
+      .attach('audio', Buffer.from('not audio at all'), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(400);
+
+    expect(res.body.details[0].message).toMatch(/Unrecognized audio data/);
+  });
+});
+
+describe('POST /api/translate', () => {
+  it('translates text and caches the result', async () => {
+    const body = { text: 'مرحبا، كيف حالك؟', sourceLanguage: 'ar', targetLanguage: 'en' };
+
+    const first = await request(app).post('/api/translate').send(body).expect(200);
+    expect(first.body.translatedText).toBe('Hello, how are you?');
+    expect(first.headers['x-cache']).toBe('MISS');
+
+    const second = await request(app).post('/api/translate').send(body).expect(200);
+    expect(second.headers['x-cache']).toBe('HIT');
+  });
+
+  it('rejects unsupported languages', async () => {
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'xx' })
+      .expect(400);
+
+    expect(res.body.details[0].field).toBe('targetLanguage');
+  });
+});
+
+describe('POST /api/translate/stream', () => {
+  it('streams the translation as delta events followed by done', async () => {
+    const res = await request(app)
+      .post('/api/translate/stream')
+      .send({ text: 'hello world', sourceLanguage: 'en', targetLanguage: 'fa' })
+      .expect(200)
+      .expect('Content-Type', /text\/event-stream/);
+
+    const events = parseEvents(res.text);
+    const deltas = events.filter(event => event.type === 'delta');
+    const done = events.find(event => event.type === 'done');
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.map(event => event.data.text).join('')).toBe(done.data.translatedText);
+    expect(done.data.translatedText).toBe('[en→fa] hello world');
+  });
+
+  it('reports a cached translation as a single delta', async () => {
+    const body = { text: 'see you soon', sourceLanguage: 'en', targetLanguage: 'fa' };
+    await request(app).post('/api/translate/stream').send(body).expect(200);
+
+    const res = await request(app).post('/api/translate/stream').send(body).expect(200);
+    const events = parseEvents(res.text);
+    expect(events.map(event => event.type)).toEqual(['delta', 'done']);
+    expect(events[0].data.text).toBe('[en→fa] see you soon');
+    expect(events[1].data.cached).toBe(true);
+  });
+
+  describe('when the provider fails', () => {
+    const upstreamError = () => Object.assign(new Error('Request failed with status code 502'), { response: { status: 502 } });
+
+    // Streams the first word of the translation, then fails
+    providers.register('interrupted', () => ({
+      ...createLocalProvider(),
+      name: 'interrupted',
+      async translateStream({ text }, onDelta) {
+        onDelta(`${text.split(' ')[0]} `);
+        throw upstreamError();
+      }
+    }));
+    providers.register('unreachable', () => rejectingProvider('unreachable', upstreamError()));
+
+    afterEach(() => {
+      providers.select('translate', ['local']);
+    });
+
+    it('fails over to the next provider before anything was streamed', async () => {
+      providers.select('translate', ['unreachable', 'local']);
+
+      const res = await request(app)
+        .post('/api/translate/stream')
+        .send({ text: 'good luck', sourceLanguage: 'en', targetLanguage: 'fa' })
+        .expect(200);
+      const events = parseEvents(res.text);
+      expect(events.at(-1)).toMatchObject({ type: 'done', data: { translatedText: '[en→fa] good luck' } });
+    });
+
+    it('ends a partly streamed translation with an error event instead of starting over', async () => {
+      providers.select('translate', ['interrupted', 'local']);
+
+      const res = await request(app)
+        .post('/api/translate/stream')
+        .send({ text: 'good night', sourceLanguage: 'en', targetLanguage: 'fa' })
+        .expect(200);
+      const events = parseEvents(res.text);
+      expect(events.map(event => event.type)).toEqual(['delta', 'error']);
+      expect(events[0].data.text).toBe('good ');
+      expect(events[1].data).toMatchObject({ error: 'Translation failed', status: 500 });
+      expect(events[1].data.requestId).toEqual(expect.any(String));
+    });
+  });
+});
+
+describe('POST /api/synthesize', () => {
+  it('returns audio', async () => {
+    const res = await request(app)
+      .post('/api/synthesize')
+      .send({ text: 'Hello', language: 'en' })
+      .expect(200)
+      .expect('Content-Type', 'audio/wav');
+
+    expect(res.body.subarray(0, 4).toString()).toBe('RIFF');
+  });
+
+  it('streams PCM with its sample rate', async () => {
+    const res = await request(app)
+      .post('/api/synthesize/stream')
+      .send({ text: 'Hello', language: 'en', format: 'pcm' })
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(res.headers['x-sample-rate']).toBe('22050');
+    expect(res.body.length).toBe(22050 * 2 * 0.5);
+  });
+});
+
+describe('POST /api/pipeline', () => {
+  it('emits transcription, translation, audio and done events', async () => {
+    const res = await request(app)
+      .post('/api/pipeline')
+      .field('autoDetectLanguage', 'true')
+      .attach('audio', wavUpload(1), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(200)
+      .expect('Content-Type', /application\/x-ndjson/);
+
+    const events = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(events.map(event => event.type)).toEqual(['transcription', 'translation', 'audio', 'done']);
+    expect(events[0].text).toBe('مرحبا، كيف حالك؟');
+    expect(events[1].translatedText).toBe('Hello, how are you?');
+    expect(events[3].skipped).toBe(false);
+  });
+
+  describe('when a stage fails', () => {
+    afterEach(() => {
+      providers.select('translate', ['local']);
+    });
+
+    async function pipeline() {
+      const res = await request(app)
+        .post('/api/pipeline')
+        .field('autoDetectLanguage', 'true')
+        .attach('audio', wavUpload(1), { filename: 'chunk.wav', contentType: 'audio/wav' })
+        .expect(200);
+      return res.text.trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    it('ends the stream with an error event naming the stage', async () => {
+      providers.register('unsupported', () => rejectingProvider('unsupported', new UnsupportedRequestError('No Arabic source')));
+      providers.select('translate', ['unsupported']);
+
+      const events = await pipeline();
+      expect(events.map(event => event.type)).toEqual(['transcription', 'error']);
+      expect(events[1]).toMatchObject({
+        stage: 'translate',
+        status: 400,
+        code: 'VALIDATION_ERROR',
+        message: 'No Arabic source'
+      });
+      expect(events[1].requestId).toEqual(expect.any(String));
+    });
+
+    it('passes on how long a rate-limited vendor asked to wait', async () => {
+      const limited = Object.assign(new Error('Request failed with status code 429'), {
+        response: { status: 429, headers: { 'retry-after': '30' } }
+      });
+      providers.register('limited', () => rejectingProvider('limited', limited));
+      providers.select('translate', ['limited']);
+
+      const events = await pipeline();
+      expect(events.map(event => event.type)).toEqual(['transcription', 'error']);
+      expect(events[1]).toMatchObject({ stage: 'translate', status: 429, code: 'UPSTREAM_RATE_LIMITED', retryAfter: '30' });
+    });
+  });
+});
+
+describe('transcript sessions', () => {
+  it('records segments and exports them as subtitles', async () => {
+    const { body: session } = await request(app)
+      .post('/api/sessions')
+      .send({ sourceLanguage: 'ar', targetLanguage: 'en' })
+      .expect(201);
+
+    const transcription = await request(app)
+      .post('/api/transcribe')
+      .set('X-Session-ID', session.id)
+      .field('language', 'ar')
+      .attach('audio', wavUpload(2), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(200);
+    expect(transcription.body.sessionSegment).toBe(0);
+
+    await request(app)
+      .post('/api/translate')
+      .set('X-Session-ID', session.id)
+      .send({ text: transcription.body.text, sourceLanguage: 'ar', targetLanguage: 'en', sessionSegment: 0 })
+      .expect(200);
+
+    const { body: transcript } = await request(app).get(`/api/sessions/${session.id}`).expect(200);
+    expect(transcript.segments).toHaveLength(1);
+    expect(transcript.segments[0].translatedText).toBe('Hello, how are you?');
+
+    const srt = await request(app).get(`/api/sessions/${session.id}/export?format=srt`).expect(200);
+    expect(srt.headers['content-disposition']).toContain(`transcript-${session.id}.srt`);
+    expect(srt.text).toMatch(/^1\n\d{2}:\d{2}:\d{2},\d{3} --> \d{2}:\d{2}:\d{2},\d{3}\nمرحبا، كيف حالك؟\nHello, how are you\?\n$/);
+
+    const vtt = await request(app).get(`/api/sessions/${session.id}/export?format=vtt`).expect(200);
+    expect(vtt.text.startsWith('WEBVTT\n\n')).toBe(true);
+
+    await request(app).delete(`/api/sessions/${session.id}`).expect(204);
+    await request(app).get(`/api/sessions/${session.id}`).expect(404);
+  });
+
+  it('rejects requests for an unknown session', async () => {
+    const res = await request(app)
+      .post('/api/translate')
+      .set('X-Session-ID', '00000000-0000-4000-8000-000000000000')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(404);
+
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+});
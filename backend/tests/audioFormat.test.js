@@ -0,0 +1,172 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { detectAudioFormat, audioDuration } = require('../utils/audioFormat');
+const { parseWavHeader, normalizeWav } = require('../utils/wav');
+const { wavUpload } = require('./helpers');
+
+// A transcribe provider that records the audio it was sent
+const received = [];
+providers.register('listener', () => ({
+  ...createLocalProvider(),
+  name: 'listener',
+  async transcribe(params) {
+    received.push(params);
+    return createLocalProvider().transcribe(params);
+  }
+}));
+
+// A WAV file of the given encoding; sample(frame, channel) is -1..1
+function wavFile({ sampleRate, channels = 1, bitsPerSample = 16, audioFormat = 1, seconds = 1, sample = () => 0.5 }) {
+  const bytesPerSample = bitsPerSample / 8;
+  const frames = Math.round(sampleRate * seconds);
+  const data = Buffer.alloc(frames * channels * bytesPerSample);
+  for (let frame = 0; frame < frames; frame++) {
+    for (let channel = 0; channel < channels; channel++) {
+      const offset = (frame * channels + channel) * bytesPerSample;
+      const value = sample(frame, channel);
+      if (audioFormat === 3) data.writeFloatLE(value, offset);
+      else data.writeIntLE(Math.round(value * (2 ** (bitsPerSample - 1) - 1)), offset, bytesPerSample);
+    }
+  }
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  header.writeUInt16LE(channels * bytesPerSample, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+// FLAC stream header with a STREAMINFO block
+function flacFile(sampleRate, totalSamples) {
+  const buffer = Buffer.alloc(42);
+  buffer.write('fLaC', 0, 'ascii');
+  buffer.writeUInt32BE(0x80000022, 4);
+  buffer[18] = sampleRate >> 12;
+  buffer[19] = (sampleRate >> 4) & 0xFF;
+  buffer[20] = (sampleRate & 0x0F) << 4;
+  buffer.writeUInt32BE(totalSamples, 22);
+  return buffer;
+}
+
+// Ogg/Opus: a header page with OpusHead, then a page ending at granule
+function opusFile(preSkip, granule) {
+  const head = Buffer.alloc(48);
+  head.write('OggS', 0, 'ascii');
+  head.write('OpusHead', 28, 'ascii');
+  head[36] = 1;
+  head[37] = 1;
+  head.writeUInt16LE(preSkip, 38);
+
+  const last = Buffer.alloc(64);
+  last.write('OggS', 0, 'ascii');
+  last.writeBigInt64LE(BigInt(granule), 6);
+  return Buffer.concat([head, last]);
+}
+
+// Start of a WebM file: the EBML header magic
+function webmFile() {
+  return Buffer.concat([Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), Buffer.alloc(60)]);
+}
+
+describe('detectAudioFormat', () => {
+  it('identifies containers by their contents', () => {
+    expect(detectAudioFormat(wavUpload(1))).toBe('wav');
+    expect(detectAudioFormat(webmFile())).toBe('webm');
+    expect(detectAudioFormat(opusFile(312, 48000))).toBe('ogg');
+    expect(detectAudioFormat(flacFile(16000, 16000))).toBe('flac');
+    expect(detectAudioFormat(Buffer.concat([Buffer.from('ID3'), Buffer.alloc(20)]))).toBe('mp3');
+    expect(detectAudioFormat(Buffer.concat([Buffer.alloc(4), Buffer.from('ftypM4A '), Buffer.alloc(8)]))).toBe('mp4');
+    expect(detectAudioFormat(Buffer.from('{"not": "audio at all"}'))).toBeNull();
+    expect(detectAudioFormat(Buffer.from('RIFF'))).toBeNull();
+  });
+});
+
+describe('audioDuration', () => {
+  it('reads FLAC and Ogg/Opus durations from their headers', () => {
+    expect(audioDuration(flacFile(44100, 88200))).toBe(2);
+    expect(audioDuration(opusFile(312, 3 * 48000 + 312))).toBe(3);
+  });
+
+  it('does not guess when the headers do not say', () => {
+    expect(audioDuration(flacFile(16000, 0))).toBeNull();
+    expect(audioDuration(webmFile())).toBeNull();
+  });
+});
+
+describe('normalizeWav', () => {
+  it('downmixes and downsamples to 16-bit mono', () => {
+    const stereo = wavFile({ sampleRate: 48000, channels: 2, bitsPerSample: 24, sample: (frame, channel) => (channel === 0 ? 0.5 : -0.1) });
+
+    const normalized = parseWavHeader(normalizeWav(stereo, 16000));
+    expect(normalized).toMatchObject({ audioFormat: 1, sampleRate: 16000, channels: 1, bitsPerSample: 16 });
+    expect(normalized.duration).toBeCloseTo(1, 3);
+
+    const first = normalizeWav(stereo, 16000).readInt16LE(normalized.dataOffset) / 0x8000;
+    expect(first).toBeCloseTo(0.2, 3);
+  });
+
+  it('converts float samples and keeps lower rates', () => {
+    const float = wavFile({ sampleRate: 8000, bitsPerSample: 32, audioFormat: 3 });
+
+    expect(parseWavHeader(normalizeWav(float, 16000))).toMatchObject({ sampleRate: 8000, bitsPerSample: 16, channels: 1 });
+  });
+
+  it('leaves files that already match, and encodings it cannot decode, alone', () => {
+    expect(normalizeWav(wavFile({ sampleRate: 16000 }), 16000)).toBeNull();
+    expect(normalizeWav(wavFile({ sampleRate: 8000, bitsPerSample: 8, audioFormat: 7 }), 16000)).toBeNull();
+  });
+});
+
+describe('audio uploads', () => {
+  beforeEach(() => {
+    received.length = 0;
+    providers.select('transcribe', ['listener']);
+  });
+
+  afterAll(() => {
+    providers.select('transcribe', ['local']);
+  });
+
+  it('forwards compressed audio with the type of the detected container', async () => {
+    const res = await request(app)
+      .post('/api/transcribe')
+      .attach('audio', opusFile(312, 2 * 48000 + 312), { filename: 'chunk.bin', contentType: 'application/octet-stream' })
+      .expect(200);
+
+    expect(received[0].mimetype).toBe('audio/ogg');
+    expect(res.body.duration).toBe(2);
+  });
+
+  it('normalizes WAV before transcription', async () => {
+    const stereo = wavFile({ sampleRate: 44100, channels: 2, seconds: 0.5 });
+
+    await request(app)
+      .post('/api/transcribe')
+      .attach('audio', stereo, { filename: 'chunk.wav', contentType: 'audio/x-wav' })
+      .expect(200);
+
+    expect(received[0].mimetype).toBe('audio/wav');
+    expect(parseWavHeader(received[0].buffer)).toMatchObject({ sampleRate: 16000, channels: 1 });
+  });
+
+  it('rejects data whose declared type is audio but whose contents are not', async () => {
+    const res = await request(app)
+      .post('/api/transcribe')
+      .attach('audio', Buffer.from('definitely not audio'), { filename: 'chunk.webm', contentType: 'audio/webm' })
+      .expect(400);
+
+    expect(res.body.details[0].message).toMatch(/^Unrecognized audio data/);
+    expect(received).toHaveLength(0);
+  });
+});
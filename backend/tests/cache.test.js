@@ -0,0 +1,122 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+jest.mock('redis', () => ({ createClient: jest.fn() }));
+
+const request = require('supertest');
+const { createClient } = require('redis');
+const app = require('../server');
+const { connectRedis } = require('../services/redis');
+const { cache, MemoryCache } = require('../services/cache');
+
+const admin = { 'X-Admin-Token': 'test-admin-token' };
+
+function translate(text) {
+  return request(app).post('/api/translate').send({ text, sourceLanguage: 'en', targetLanguage: 'ar' }).expect(200);
+}
+
+function synthesize(text) {
+  return request(app).post('/api/synthesize').send({ text, language: 'en' }).expect(200);
+}
+
+describe('Redis connection', () => {
+  afterAll(() => {
+    cache.store = new MemoryCache();
+  });
+
+  it('connects once however many services ask for it', async () => {
+    // Never connects, as with an unreachable REDIS_URL
+    const client = { on: jest.fn(), connect: () => Promise.reject(new Error('ECONNREFUSED')), disconnect: jest.fn(() => Promise.resolve()) };
+    createClient.mockReturnValue(client);
+
+    expect(await connectRedis('redis://unreachable:6379')).toBeNull();
+    expect(await connectRedis('redis://unreachable:6379')).toBeNull();
+    expect(createClient).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets the cache use the shared client without connecting again', () => {
+    const client = { get: jest.fn(), set: jest.fn() };
+
+    expect(cache.configure(null).backend).toBe('memory');
+    expect(cache.configure(client).backend).toBe('redis');
+    expect(cache.store.client).toBe(client);
+    expect(createClient).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('MemoryCache', () => {
+  it('evicts the least recently used entry beyond maxEntries', async () => {
+    const store = new MemoryCache({ maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    await store.get('a');
+    await store.set('c', 3, 60);
+
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('c')).toBe(3);
+  });
+
+  it('stays within maxBytes and skips values larger than the whole cache', async () => {
+    const store = new MemoryCache({ maxBytes: 20 });
+    await store.set('a', 'x'.repeat(12), 60);
+    await store.set('b', 'y'.repeat(12), 60);
+    await store.set('huge', 'z'.repeat(40), 60);
+
+    expect(store.bytes).toBeLessThanOrEqual(20);
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('b')).toBe('y'.repeat(12));
+    expect(await store.get('huge')).toBeNull();
+  });
+
+  it('drops expired entries', async () => {
+    const store = new MemoryCache();
+    await store.set('a', 1, 0);
+
+    expect(await store.get('a')).toBeNull();
+    expect(store.entries.size).toBe(0);
+  });
+});
+
+describe('response cache', () => {
+  it('serves repeated translations from the cache', async () => {
+    expect((await translate('good morning')).headers['x-cache']).toBe('MISS');
+    expect((await translate('good morning')).headers['x-cache']).toBe('HIT');
+  });
+
+  it('does not serve translations cached for an earlier prompt', async () => {
+    // Key parts as translationCacheKey built them before the current prompt version
+    await cache.set('translate', ['local', 3, 'good evening', 'en', 'ar', null, null], { translatedText: 'stale' });
+
+    const res = await translate('good evening');
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body.translatedText).not.toBe('stale');
+  });
+
+  it('purges one scope without touching the others', async () => {
+    await translate('good night');
+    await synthesize('Good night');
+
+    const res = await request(app).delete('/api/admin/cache?scope=translate').set(admin).expect(200);
+    expect(res.body.scope).toBe('translate');
+    expect(res.body.removed).toBeGreaterThan(0);
+
+    expect((await translate('good night')).headers['x-cache']).toBe('MISS');
+    expect((await synthesize('Good night')).headers['x-cache']).toBe('HIT');
+  });
+
+  it('purges everything without a scope', async () => {
+    await translate('see you');
+    await synthesize('See you');
+
+    const res = await request(app).delete('/api/admin/cache').set(admin).expect(200);
+    expect(res.body.scope).toBe('all');
+
+    expect((await translate('see you')).headers['x-cache']).toBe('MISS');
+    expect((await synthesize('See you')).headers['x-cache']).toBe('MISS');
+  });
+
+  it('rejects unknown scopes and callers without the admin token', async () => {
+    await request(app).delete('/api/admin/cache?scope=sessions').set(admin).expect(400);
+    await request(app).delete('/api/admin/cache?scope=translate').expect(401);
+  });
+});
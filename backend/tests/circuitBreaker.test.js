@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers, ProviderRegistry } = require('../providers');
+const {
+  CircuitBreaker,
+  ProviderUnavailableError,
+  UnsupportedRequestError,
+  isUpstreamFailure
+} = require('../providers/circuitBreaker');
+const { createLocalProvider } = require('../providers/local');
+const { TranslationOutputError } = require('../utils/translationOutput');
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+// A translate provider whose calls fail with the given error while it is set
+function failingProvider(name) {
+  const provider = {
+    ...createLocalProvider(),
+    name,
+    capabilities: ['translate'],
+    error: null,
+    calls: 0,
+    async translate({ text }) {
+      provider.calls += 1;
+      if (provider.error) throw provider.error;
+      return { translatedText: `${name}:${text}`, confidence: 1, formality: null, untranslatableTerms: [] };
+    }
+  };
+  return provider;
+}
+
+describe('isUpstreamFailure', () => {
+  it('tells vendor failures from rejected and cancelled requests', () => {
+    expect(isUpstreamFailure(new Error('socket hang up'))).toBe(true);
+    expect(isUpstreamFailure(httpError(503))).toBe(true);
+    expect(isUpstreamFailure(httpError(429))).toBe(true);
+    expect(isUpstreamFailure(httpError(400))).toBe(false);
+    expect(isUpstreamFailure(new TranslationOutputError('not JSON'))).toBe(false);
+    expect(isUpstreamFailure(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }))).toBeNull();
+    expect(isUpstreamFailure(new UnsupportedRequestError('unsupported language'))).toBeNull();
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after consecutive failures and closes after a successful trial', () => {
+    let now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const breaker = new CircuitBreaker('test', { failureThreshold: 2, openMs: 1000 });
+
+    breaker.record(httpError(500));
+    expect(breaker.state).toBe('closed');
+    breaker.record(httpError(500));
+    expect(breaker.state).toBe('open');
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.retryAfterMs()).toBe(1000);
+
+    now = 1000;
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    // Only one trial at a time
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.record(null);
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+
+    Date.now.mockRestore();
+  });
+
+  it('reopens when the trial fails and ignores requests it could not judge', () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, openMs: 0 });
+
+    breaker.record(httpError(500));
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.record(new UnsupportedRequestError('unsupported language'));
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.tryAcquire()).toBe(true);
+    breaker.record(httpError(502));
+    expect(breaker.state).toBe('open');
+  });
+});
+
+describe('ProviderRegistry.withFailover', () => {
+  let registry;
+  let primary;
+  let fallback;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry();
+    primary = failingProvider('primary');
+    fallback = failingProvider('fallback');
+    registry.register('primary', () => primary);
+    registry.register('fallback', () => fallback);
+    registry.select('translate', ['primary', 'fallback']);
+  });
+
+  const translate = () => registry.withFailover('translate', provider => provider.translate({ text: 'hi' }));
+
+  it('fails over on upstream errors and skips open circuits', async () => {
+    primary.error = httpError(503);
+
+    for (let i = 0; i < 5; i++) {
+      expect((await translate()).translatedText).toBe('fallback:hi');
+    }
+    expect(registry.describeCircuits().primary.state).toBe('open');
+
+    await translate();
+    expect(primary.calls).toBe(5);
+  });
+
+  it('does not fail over or count rejected requests', async () => {
+    primary.error = httpError(400);
+
+    await expect(translate()).rejects.toThrow('status code 400');
+    expect(fallback.calls).toBe(0);
+    expect(registry.describeCircuits().primary.failures).toBe(0);
+  });
+
+  it('fails over on unsupported requests without opening the circuit', async () => {
+    primary.error = new UnsupportedRequestError('unsupported language');
+
+    for (let i = 0; i < 10; i++) {
+      expect((await translate()).translatedText).toBe('fallback:hi');
+    }
+    expect(registry.describeCircuits().primary).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('rejects with ProviderUnavailableError when every circuit is open', async () => {
+    primary.error = httpError(503);
+    fallback.error = httpError(503);
+
+    for (let i = 0; i < 5; i++) {
+      await expect(translate()).rejects.toThrow('status code 503');
+    }
+    await expect(translate()).rejects.toBeInstanceOf(ProviderUnavailableError);
+  });
+});
+
+describe('provider errors in responses', () => {
+  const picky = failingProvider('picky');
+  picky.error = new UnsupportedRequestError('Picky does not support target language: ku');
+  providers.register('picky', () => picky);
+
+  afterEach(() => {
+    providers.select('translate', ['local']);
+  });
+
+  it('answers 400 when no provider supports the request', async () => {
+    providers.select('translate', ['picky']);
+
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ku' })
+      .expect(400);
+    expect(res.body).toMatchObject({ code: 'VALIDATION_ERROR', message: 'Picky does not support target language: ku' });
+
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.circuits.picky.state).toBe('closed');
+  });
+
+  it('answers 502 when the model output is not a translation, without tripping the circuit', async () => {
+    const garbled = failingProvider('garbled');
+    garbled.error = new TranslationOutputError('Translation output is not valid JSON');
+    providers.register('garbled', () => garbled);
+    providers.select('translate', ['garbled']);
+
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(502);
+    expect(res.body).toMatchObject({ code: 'UPSTREAM_INVALID_RESPONSE', message: 'Translation output is not valid JSON' });
+
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.circuits.garbled.state).toBe('closed');
+  });
+
+  it('answers 503 with Retry-After while every circuit is open', async () => {
+    const down = failingProvider('down');
+    down.error = httpError(503);
+    providers.register('down', () => down);
+    providers.select('translate', ['down']);
+
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/api/translate').send({ text: `hello ${i}`, sourceLanguage: 'en', targetLanguage: 'ar' }).expect(500);
+    }
+
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(503);
+    expect(res.body.code).toBe('UPSTREAM_UNAVAILABLE');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
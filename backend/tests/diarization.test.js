@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { assignSpeakers, getKnownSpeakers, mainSpeaker } = require('../services/diarization');
+const { wavUpload } = require('./helpers');
+
+// A transcribe provider that records the known speakers it was given
+const knownSpeakers = [];
+providers.register('listener', () => ({
+  ...createLocalProvider(),
+  name: 'listener',
+  async transcribe(params) {
+    knownSpeakers.push(params.knownSpeakers);
+    return createLocalProvider().transcribe(params);
+  }
+}));
+
+// A transcribe provider that hears two speakers, B saying the most
+providers.register('dialogue', () => ({
+  ...createLocalProvider(),
+  name: 'dialogue',
+  async transcribe() {
+    return {
+      text: 'Hi. Hello, how are you?',
+      language: 'en',
+      duration: 3,
+      segments: [
+        { text: 'Hi.', start: 0, end: 1, speaker: 'A' },
+        { text: 'Hello, how are you?', start: 1, end: 3, speaker: 'B' }
+      ],
+      words: []
+    };
+  }
+}));
+
+async function createSession() {
+  return (await request(app).post('/api/sessions').send({ sourceLanguage: 'ar', targetLanguage: 'en' }).expect(201)).body;
+}
+
+function transcribe(sessionId, seconds = 3) {
+  const req = request(app).post('/api/transcribe');
+  if (sessionId) req.set('X-Session-ID', sessionId);
+  return req
+    .field('diarize', 'true')
+    .attach('audio', wavUpload(seconds), { filename: 'chunk.wav', contentType: 'audio/wav' })
+    .expect(200);
+}
+
+beforeEach(() => {
+  knownSpeakers.length = 0;
+  providers.select('transcribe', ['listener']);
+});
+
+afterAll(() => {
+  providers.select('transcribe', ['local']);
+});
+
+describe('diarized transcription', () => {
+  it('keeps a speaker id from chunk to chunk of a session', async () => {
+    const session = await createSession();
+
+    const first = await transcribe(session.id);
+    const second = await transcribe(session.id);
+
+    expect(first.body.speaker).toBe('speaker_1');
+    expect(second.body.speaker).toBe('speaker_1');
+    expect(second.body.segments.every(segment => segment.speaker === 'speaker_1')).toBe(true);
+    expect(knownSpeakers[0]).toEqual([]);
+    expect(knownSpeakers[1]).toEqual([{ name: 'speaker_1', reference: expect.stringMatching(/^data:audio\/wav;base64,/) }]);
+
+    const { body: transcript } = await request(app).get(`/api/sessions/${session.id}`).expect(200);
+    expect(transcript.segments.map(segment => segment.speaker)).toEqual(['speaker_1', 'speaker_1']);
+  });
+
+  it('returns the provider labels without a session', async () => {
+    const res = await transcribe(null);
+
+    expect(res.body.speaker).toBe('A');
+  });
+
+  it('does not keep chunks too short to recognize the speaker by', async () => {
+    const session = await createSession();
+
+    await transcribe(session.id, 1);
+    const second = await transcribe(session.id, 1);
+
+    expect(knownSpeakers[1]).toEqual([]);
+    expect(second.body.speaker).toBe('speaker_2');
+  });
+
+  it('names the speaker who said the most and keeps no reference for a shared chunk', async () => {
+    providers.select('transcribe', ['dialogue']);
+    const session = await createSession();
+
+    const res = await transcribe(session.id);
+
+    expect(res.body.segments.map(segment => segment.speaker)).toEqual(['speaker_1', 'speaker_2']);
+    expect(res.body.speaker).toBe('speaker_2');
+    expect(await getKnownSpeakers('anonymous', session.id)).toEqual([]);
+  });
+
+  it('forgets the speakers of a deleted session', async () => {
+    const session = await createSession();
+    await transcribe(session.id);
+    expect(await getKnownSpeakers('anonymous', session.id)).toHaveLength(1);
+
+    await request(app).delete(`/api/sessions/${session.id}`).expect(204);
+
+    expect(await getKnownSpeakers('anonymous', session.id)).toEqual([]);
+  });
+});
+
+describe('assignSpeakers', () => {
+  const audio = { buffer: wavUpload(3), mimetype: 'audio/wav' };
+  const segments = speaker => [{ text: 'Hello', start: 0, end: 1, speaker }];
+
+  it('gives new speakers of concurrent chunks distinct ids', async () => {
+    const sessionId = crypto.randomUUID();
+
+    const results = await Promise.all([
+      assignSpeakers({ clientId: 'client', sessionId, segments: segments('A'), audio }),
+      assignSpeakers({ clientId: 'client', sessionId, segments: segments('A'), audio }),
+      assignSpeakers({ clientId: 'client', sessionId, segments: segments('speaker_1'), audio })
+    ]);
+
+    expect(results.map(([segment]) => segment.speaker)).toEqual(['speaker_1', 'speaker_2', 'speaker_1']);
+    expect((await getKnownSpeakers('client', sessionId)).map(speaker => speaker.name)).toEqual(['speaker_1', 'speaker_2']);
+  });
+});
+
+describe('mainSpeaker', () => {
+  it('is the speaker with the most text', () => {
+    expect(mainSpeaker([
+      { speaker: 'speaker_1', text: 'Yes.' },
+      { speaker: 'speaker_2', text: 'I think so' },
+      { speaker: 'speaker_1', text: 'Right.' }
+    ])).toBe('speaker_1');
+    expect(mainSpeaker([])).toBeNull();
+  });
+});
@@ -0,0 +1,127 @@
+// The extension's retry policy for backend errors (modules/errorHandler.js)
+const {
+  ErrorHandler,
+  BackendError,
+  backendError,
+  backendEventError
+} = require('../../modules/errorHandler.js');
+
+function failure(status, body = {}, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+// Run fn through retryWithBackoff without waiting; resolves to { result, error, calls, delays }
+async function retry(errors, options) {
+  const handler = new ErrorHandler();
+  const delays = [];
+  handler.sleep = async (ms) => {
+    delays.push(ms);
+  };
+
+  let calls = 0;
+  const fn = async () => {
+    const error = errors[calls++];
+    if (error) throw error;
+    return 'translated';
+  };
+
+  try {
+    return { result: await handler.retryWithBackoff(fn, 'test', options), calls, delays };
+  } catch (error) {
+    return { error, calls, delays };
+  }
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('backend errors', () => {
+  it('carry the body fields and the Retry-After header', async () => {
+    const error = await backendError(failure(429, { error: 'Rate limit exceeded', code: 'RATE_LIMITED', requestId: 'req-1' }, { 'Retry-After': '7' }));
+
+    expect(error).toBeInstanceOf(BackendError);
+    expect(error).toMatchObject({ status: 429, code: 'RATE_LIMITED', requestId: 'req-1', retryAfter: 7 });
+    expect(error.message).toBe('Backend API error: 429 - Rate limit exceeded');
+  });
+
+  it('read Retry-After as an HTTP date, or from the body', async () => {
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect((await backendError(failure(503, {}, { 'Retry-After': inTenSeconds }))).retryAfter).toBeGreaterThanOrEqual(9);
+    expect((await backendError(failure(503, { retryAfter: 4 }))).retryAfter).toBe(4);
+    expect(backendEventError({ error: 'Pipeline failed', status: 429, retryAfter: '30' }).retryAfter).toBe(30);
+  });
+
+  it('are classified by status and code, also when wrapped', () => {
+    const handler = new ErrorHandler();
+    const type = (status, code) => handler.getErrorType(new BackendError('failed', { status, code }));
+
+    expect(type(401)).toBe('AUTH_ERROR');
+    expect(type(429, 'QUOTA_EXCEEDED')).toBe('QUOTA_EXCEEDED');
+    expect(type(429)).toBe('RATE_LIMIT');
+    expect(type(503)).toBe('SERVICE_UNAVAILABLE');
+    expect(type(400, 'VALIDATION_ERROR')).toBe('REQUEST_ERROR');
+    expect(type(408)).toBe('UNKNOWN_ERROR');
+    expect(type(502)).toBe('UNKNOWN_ERROR');
+
+    const wrapped = new Error('Transcription failed: Backend API error: 401', { cause: new BackendError('Invalid token', { status: 401 }) });
+    expect(handler.getErrorType(wrapped)).toBe('AUTH_ERROR');
+    expect(handler.getErrorType(new TypeError('Failed to fetch'))).toBe('NETWORK_ERROR');
+  });
+});
+
+describe('retryWithBackoff', () => {
+  it('does not retry requests the backend rejected', async () => {
+    for (const status of [400, 401, 402]) {
+      const { error, calls } = await retry([new BackendError('rejected', { status })]);
+      expect(error.status).toBe(status);
+      expect(calls).toBe(1);
+    }
+  });
+
+  it('waits as long as the backend asked before retrying', async () => {
+    const { result, delays } = await retry([new BackendError('busy', { status: 429, retryAfter: 2 })]);
+
+    expect(result).toBe('translated');
+    expect(delays).toEqual([2000]);
+  });
+
+  it('gives up when the backend asks to wait longer than the longest backoff', async () => {
+    const { error, calls, delays } = await retry([new BackendError('down', { status: 503, retryAfter: 60 })]);
+
+    expect(error.status).toBe(503);
+    expect(calls).toBe(1);
+    expect(delays).toEqual([]);
+  });
+
+  it('drops a retry that could only start after the deadline', async () => {
+    const { error, calls } = await retry([new TypeError('Failed to fetch')], { deadline: Date.now() + 500 });
+
+    expect(error).toBeInstanceOf(TypeError);
+    expect(calls).toBe(1);
+  });
+
+  it('backs off exponentially up to the retry limit', async () => {
+    const networkErrors = Array.from({ length: 5 }, () => new TypeError('Failed to fetch'));
+
+    const { error, calls, delays } = await retry(networkErrors, { maxRetries: 3 });
+
+    expect(error).toBeInstanceOf(TypeError);
+    expect(calls).toBe(4);
+    expect(delays).toEqual([1000, 2000, 4000]);
+  });
+
+  it('does not retry cancelled requests', async () => {
+    const aborted = new Error('Translation failed', { cause: new DOMException('The operation was aborted', 'AbortError') });
+
+    const { error, calls } = await retry([aborted]);
+
+    expect(error).toBe(aborted);
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,59 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+
+// A translate provider that, like DeepL, cannot apply glossary entries
+providers.register('plain', () => ({
+  ...createLocalProvider(),
+  name: 'plain',
+  appliesGlossary: false,
+  async translate({ text, targetLanguage }) {
+    return { translatedText: `plain:${targetLanguage}:${text}`, confidence: 0.9, formality: null, untranslatableTerms: [] };
+  }
+}));
+
+const body = { text: 'the جلسه starts now', sourceLanguage: 'fa', targetLanguage: 'en' };
+
+beforeAll(async () => {
+  await request(app)
+    .put('/api/glossaries/fa/en')
+    .send({ entries: [{ source: 'جلسه', target: 'stand-up' }] })
+    .expect(200);
+});
+
+afterEach(() => {
+  providers.select('translate', ['local']);
+});
+
+describe('glossaries in translation', () => {
+  it('applies matching entries', async () => {
+    const res = await request(app).post('/api/translate').send(body).expect(200);
+
+    expect(res.body.translatedText).toBe('[fa→en] the stand-up starts now');
+    expect(res.body).toMatchObject({ glossaryTerms: 1, glossaryIgnored: false });
+  });
+
+  it('prefers a provider that applies glossaries over the primary', async () => {
+    providers.select('translate', ['plain', 'local']);
+
+    const res = await request(app).post('/api/translate').send(body).expect(200);
+    expect(res.body.translatedText).toBe('[fa→en] the stand-up starts now');
+    expect(res.body.glossaryIgnored).toBe(false);
+
+    // Without matching terms the primary serves the request
+    const plain = await request(app)
+      .post('/api/translate')
+      .send({ ...body, text: 'nothing to enforce' })
+      .expect(200);
+    expect(plain.body.translatedText).toBe('plain:en:nothing to enforce');
+  });
+
+  it('reports entries a provider could not apply', async () => {
+    providers.select('translate', ['plain']);
+
+    const res = await request(app).post('/api/translate').send(body).expect(200);
+    expect(res.body.translatedText).toBe('plain:en:the جلسه starts now');
+    expect(res.body).toMatchObject({ glossaryTerms: 1, glossaryIgnored: true });
+  });
+});
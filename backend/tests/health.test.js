@@ -0,0 +1,98 @@
+process.env.HEALTH_PROBE_TIMEOUT_MS = '100';
+
+const request = require('supertest');
+const app = require('../server');
+const { providers, CAPABILITIES } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { HEALTH_CONFIG, checkReadiness } = require('../services/health');
+
+// One provider serving every capability; probe() answers with whatever the test sets
+const probed = { ...createLocalProvider(), name: 'probed', probe: jest.fn() };
+providers.register('probed', () => probed);
+
+const realNow = Date.now;
+let clockOffset = 0;
+
+// Move past the cached readiness result
+function expireCache() {
+  clockOffset += (HEALTH_CONFIG.CACHE_SECONDS + 1) * 1000;
+}
+
+beforeAll(() => {
+  jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+});
+
+beforeEach(() => {
+  expireCache();
+  probed.probe.mockReset();
+  probed.probe.mockResolvedValue({ quota: null });
+  for (const capability of CAPABILITIES) {
+    providers.select(capability, ['probed']);
+  }
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  for (const capability of CAPABILITIES) {
+    providers.select(capability, ['local']);
+  }
+});
+
+describe('GET /health/ready', () => {
+  it('probes a provider serving several capabilities once', async () => {
+    const res = await request(app).get('/health/ready').expect(200);
+
+    expect(res.body.status).toBe('ready');
+    expect(Object.keys(res.body.capabilities)).toEqual(CAPABILITIES);
+    expect(res.body.capabilities.translate).toMatchObject({ provider: 'probed', status: 'up' });
+    expect(probed.probe).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves the result from the cache until it expires', async () => {
+    await request(app).get('/health/ready').expect(200);
+    const cached = await request(app).get('/health/ready').expect(200);
+    expect(cached.body.cached).toBe(true);
+    expect(probed.probe).toHaveBeenCalledTimes(1);
+
+    expireCache();
+    const fresh = await request(app).get('/health/ready').expect(200);
+    expect(fresh.body.cached).toBe(false);
+    expect(probed.probe).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers 503 when a vendor quota is used up', async () => {
+    probed.probe.mockResolvedValue({ quota: { unit: 'characters', used: 100, limit: 100, remaining: 0 } });
+
+    const res = await request(app).get('/health/ready').expect(503);
+    expect(res.body.status).toBe('not_ready');
+    expect(res.body.capabilities.synthesize).toMatchObject({ status: 'quota_exhausted', quota: { remaining: 0 } });
+  });
+
+  it('reports rejected and unanswered probes as down', async () => {
+    probed.probe.mockRejectedValue(Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } }));
+    const rejected = await request(app).get('/health/ready').expect(503);
+    expect(rejected.body.capabilities.transcribe).toMatchObject({ status: 'down', error: 'Upstream responded 401' });
+
+    expireCache();
+    probed.probe.mockReturnValue(new Promise(() => {}));
+    const unanswered = await request(app).get('/health/ready').expect(503);
+    expect(unanswered.body.capabilities.transcribe).toMatchObject({ status: 'down', error: 'Probe timed out after 100ms' });
+  });
+});
+
+describe('checkReadiness', () => {
+  it('lets concurrent callers share one probe run', async () => {
+    let answer;
+    probed.probe.mockReturnValue(new Promise((resolve) => {
+      answer = resolve;
+    }));
+
+    const checks = [checkReadiness(), checkReadiness(), checkReadiness()];
+    answer({ quota: null });
+    const results = await Promise.all(checks);
+
+    expect(probed.probe).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.status)).toEqual(['ready', 'ready', 'ready']);
+    expect(new Set(results.map(result => result.checkedAt)).size).toBe(1);
+  });
+});
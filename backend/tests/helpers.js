@@ -0,0 +1,69 @@
+const WebSocket = require('ws');
+const { createWavTone } = require('../providers/local');
+
+// A WAV upload of the given length
+function wavUpload(durationSeconds = 1) {
+  return createWavTone(durationSeconds);
+}
+
+// 16-bit mono PCM: a tone loud enough to count as speech, or silence
+function pcmTone(durationSeconds, sampleRate = 16000) {
+  const samples = Math.floor(sampleRate * durationSeconds);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 0.3 * 0x7FFF), i * 2);
+  }
+  return pcm;
+}
+
+function pcmSilence(durationSeconds, sampleRate = 16000) {
+  return Buffer.alloc(Math.floor(sampleRate * durationSeconds) * 2);
+}
+
+// Parse a Server-Sent Events body into [{ type, data }]
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map((block) => {
+    let type = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    return { type, data: JSON.parse(data) };
+  });
+}
+
+// Open a WebSocket to a listening server; messages are collected as they arrive.
+// next(type) resolves to the first message of that type not yet taken.
+function openStream(server, path = '/api/transcribe/stream', { headers = {} } = {}) {
+  const { port } = server.address();
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers });
+  const messages = [];
+  const waiting = [];
+
+  socket.on('message', (data) => {
+    messages.push(JSON.parse(data.toString()));
+    waiting.splice(0).forEach(check => check());
+  });
+
+  function next(type) {
+    return new Promise((resolve) => {
+      const check = () => {
+        const index = messages.findIndex(message => message.type === type);
+        if (index === -1) return waiting.push(check);
+        resolve(messages.splice(index, 1)[0]);
+      };
+      check();
+    });
+  }
+
+  const closed = new Promise(resolve => socket.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+  const opened = new Promise((resolve, reject) => {
+    socket.on('open', resolve);
+    socket.on('error', reject);
+  });
+
+  return { socket, opened, closed, next, messages };
+}
+
+module.exports = { wavUpload, pcmTone, pcmSilence, parseEvents, openStream };
@@ -0,0 +1,95 @@
+process.env.METRICS_TOKEN = 'test-metrics-token';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { register } = require('../services/metrics');
+const { wavUpload } = require('./helpers');
+
+// A translate provider that fails as a vendor outage would
+providers.register('outage', () => ({
+  ...createLocalProvider(),
+  name: 'outage',
+  async translate() {
+    throw Object.assign(new Error('Request failed with status code 502'), { response: { status: 502 } });
+  }
+}));
+
+// Label sets of a metric's samples
+async function labelSets(name) {
+  const { values } = await register.getSingleMetric(`translator_${name}`).get();
+  return values.map(({ labels }) => labels);
+}
+
+async function sampleValue(name, labels) {
+  const { values } = await register.getSingleMetric(`translator_${name}`).get();
+  const sample = values.find(value => Object.entries(labels).every(([key, label]) => String(value.labels[key]) === label));
+  return sample ? sample.value : 0;
+}
+
+describe('GET /metrics', () => {
+  it('requires the metrics token when one is configured', async () => {
+    await request(app).get('/metrics').expect(401);
+
+    const res = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer test-metrics-token')
+      .expect(200)
+      .expect('Content-Type', /text\/plain/);
+    expect(res.text).toContain('translator_http_requests_total');
+  });
+});
+
+describe('HTTP request metrics', () => {
+  it('labels requests by route pattern, not by path', async () => {
+    const ids = [crypto.randomUUID(), crypto.randomUUID()];
+    for (const id of ids) {
+      await request(app).get(`/api/sessions/${id}`).expect(404);
+    }
+
+    const routes = (await labelSets('http_requests_total')).map(labels => labels.route);
+    expect(routes).toContain('/api/sessions/:sessionId');
+    expect(routes.some(route => ids.some(id => route.includes(id)))).toBe(false);
+  });
+
+  it('counts every unknown path under one label', async () => {
+    for (const path of ['/wp-login.php', '/api/nothing/here', '/.env']) {
+      await request(app).get(path).expect(404);
+    }
+
+    const routes = (await labelSets('http_requests_total')).map(labels => labels.route);
+    expect(routes).toContain('unmatched');
+    expect(routes.filter(route => !route.startsWith('/') && route !== 'unmatched')).toEqual([]);
+    expect(routes.some(route => ['/wp-login.php', '/api/nothing/here', '/.env'].includes(route))).toBe(false);
+    expect(await sampleValue('http_requests_total', { method: 'GET', route: 'unmatched', status: '404' })).toBeGreaterThanOrEqual(3);
+  });
+});
+
+describe('upstream and audio metrics', () => {
+  afterEach(() => {
+    providers.select('translate', ['local']);
+  });
+
+  it('counts failed provider calls by status bucket', async () => {
+    providers.select('translate', ['outage']);
+
+    await request(app).post('/api/translate').send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' }).expect(500);
+
+    expect(await sampleValue('upstream_requests_total', { provider: 'outage', operation: 'translate' })).toBe(1);
+    expect(await sampleValue('upstream_errors_total', { provider: 'outage', operation: 'translate', status: '5xx' })).toBe(1);
+  });
+
+  it('counts uploaded audio bytes', async () => {
+    const before = await sampleValue('audio_bytes_total', { direction: 'in' });
+    const audio = wavUpload(1);
+
+    await request(app)
+      .post('/api/transcribe')
+      .attach('audio', audio, { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(200);
+
+    expect(await sampleValue('audio_bytes_total', { direction: 'in' })).toBe(before + audio.length);
+  });
+});
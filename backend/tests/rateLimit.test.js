@@ -0,0 +1,90 @@
+process.env.RATE_LIMIT_ROUTES = JSON.stringify({ transcribe: { windowMs: 60000, max: 3 } });
+process.env.STREAM_MAX_FRAMES_PER_SECOND = '5';
+// As behind a platform load balancer
+process.env.TRUST_PROXY = '1';
+
+const request = require('supertest');
+const logger = require('../utils/logger');
+const app = require('../server');
+const { attachTranscriptionStream } = require('../services/transcriptionStream');
+const { authenticateRequest } = require('../middleware/auth');
+const { wavUpload, pcmTone, openStream } = require('./helpers');
+
+let server;
+
+beforeAll((done) => {
+  server = app.listen(0, '127.0.0.1', done);
+  attachTranscriptionStream(server, { logger, authenticate: authenticateRequest });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('streaming transcription rate limits', () => {
+  it('closes a stream that sends too many frames', async () => {
+    const stream = openStream(server);
+    await stream.opened;
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'ar' }));
+    await stream.next('ready');
+
+    for (let i = 0; i < 6; i++) {
+      stream.socket.send(pcmTone(0.01));
+    }
+
+    expect(await stream.next('error')).toMatchObject({ code: 'RATE_LIMITED', limiter: 'streamFrames', limit: 5, retryAfter: 1 });
+    expect(await stream.closed).toEqual({ code: 4029, reason: 'Rate limited' });
+  });
+
+  it('counts stream upgrades against the transcribe limit', async () => {
+    // The stream above was the first of three
+    for (let i = 0; i < 2; i++) {
+      const stream = openStream(server);
+      await stream.opened;
+      stream.socket.close();
+      await stream.closed;
+    }
+
+    const rejected = openStream(server);
+    await expect(rejected.opened).rejects.toThrow('Unexpected server response: 429');
+
+    // Same address as the sockets, so the same counter
+    const res = await request(server)
+      .post('/api/transcribe')
+      .attach('audio', wavUpload(1), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(429);
+    expect(res.body).toMatchObject({ code: 'RATE_LIMITED', limiter: 'transcribe', limit: 3 });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
+
+describe('clients behind a proxy', () => {
+  const transcribe = (forwardedFor) => request(server)
+    .post('/api/transcribe')
+    .set('X-Forwarded-For', forwardedFor)
+    .attach('audio', wavUpload(0.1), { filename: 'chunk.wav', contentType: 'audio/wav' });
+
+  it('counts each forwarded client address separately', async () => {
+    for (let i = 0; i < 3; i++) {
+      await transcribe('203.0.113.7').expect(200);
+    }
+    const res = await transcribe('203.0.113.7').expect(429);
+    expect(res.body.limiter).toBe('transcribe');
+
+    // Another client behind the same proxy is unaffected
+    await transcribe('203.0.113.8').expect(200);
+    // Only the address added by the trusted proxy counts, not one the client sent
+    await transcribe('198.51.100.1, 203.0.113.8').expect(200);
+  });
+
+  it('counts stream upgrades by the forwarded address', async () => {
+    const headers = { 'X-Forwarded-For': '203.0.113.7' };
+    const rejected = openStream(server, undefined, { headers });
+    await expect(rejected.opened).rejects.toThrow('Unexpected server response: 429');
+
+    const stream = openStream(server, undefined, { headers: { 'X-Forwarded-For': '203.0.113.9' } });
+    await stream.opened;
+    stream.socket.close();
+    await stream.closed;
+  });
+});
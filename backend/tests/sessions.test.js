@@ -0,0 +1,81 @@
+const request = require('supertest');
+const app = require('../server');
+const { wavUpload } = require('./helpers');
+
+async function createSession() {
+  return (await request(app).post('/api/sessions').send({ sourceLanguage: 'ar', targetLanguage: 'en' }).expect(201)).body;
+}
+
+function transcribe(sessionId, durationSeconds) {
+  return request(app)
+    .post('/api/transcribe')
+    .set('X-Session-ID', sessionId)
+    .field('language', 'ar')
+    .attach('audio', wavUpload(durationSeconds), { filename: 'chunk.wav', contentType: 'audio/wav' })
+    .expect(200);
+}
+
+describe('transcript session timing', () => {
+  it('times segments from the audio, however fast the chunks arrive', async () => {
+    const session = await createSession();
+
+    const first = await transcribe(session.id, 2);
+    const second = await transcribe(session.id, 1.5);
+    expect(first.body.offset).toBe(0);
+    expect(second.body.offset).toBe(2);
+    expect(second.body.segments[0]).toMatchObject({ start: 2, end: 3.5 });
+
+    const { body: transcript } = await request(app).get(`/api/sessions/${session.id}`).expect(200);
+    expect(transcript.segments.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([[0, 2000], [2000, 3500]]);
+    expect(transcript.audioMs).toBe(3500);
+
+    const srt = await request(app).get(`/api/sessions/${session.id}/export?format=srt`).expect(200);
+    expect(srt.text).toContain('1\n00:00:00,000 --> 00:00:02,000\n');
+    expect(srt.text).toContain('2\n00:00:02,000 --> 00:00:03,500\n');
+
+    const vtt = await request(app).get(`/api/sessions/${session.id}/export?format=vtt`).expect(200);
+    expect(vtt.text).toContain('00:00:02.000 --> 00:00:03.500\n');
+  });
+
+  it('gives text-only translations a default length', async () => {
+    const session = await createSession();
+
+    await transcribe(session.id, 1);
+    const translation = await request(app)
+      .post('/api/translate')
+      .set('X-Session-ID', session.id)
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(200);
+    expect(translation.body.sessionSegment).toBe(1);
+
+    const { body: transcript } = await request(app).get(`/api/sessions/${session.id}`).expect(200);
+    expect(transcript.segments[1]).toMatchObject({ startMs: 1000, endMs: 4000, translatedText: '[en→ar] hello' });
+  });
+
+  it('does not count text-only segments as recorded audio', async () => {
+    const session = await createSession();
+
+    await transcribe(session.id, 1);
+    await request(app)
+      .post('/api/translate')
+      .set('X-Session-ID', session.id)
+      .send({ text: 'typed', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(200);
+    const spoken = await transcribe(session.id, 2);
+    expect(spoken.body.offset).toBe(1);
+
+    const { body: transcript } = await request(app).get(`/api/sessions/${session.id}`).expect(200);
+    expect(transcript.segments.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([[0, 1000], [1000, 4000], [1000, 3000]]);
+    expect(transcript.audioMs).toBe(3000);
+  });
+
+  it('lists and ends sessions', async () => {
+    const session = await createSession();
+
+    const { body: ended } = await request(app).post(`/api/sessions/${session.id}/end`).expect(200);
+    expect(ended.endedAt).toEqual(expect.any(String));
+
+    const { body: list } = await request(app).get('/api/sessions').expect(200);
+    expect(list.sessions.map(item => item.id)).toContain(session.id);
+  });
+});
@@ -0,0 +1,17 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file runs against the offline local provider, with its own store on disk
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'translator-test-'));
+
+process.env.PROVIDER = 'local';
+process.env.STORAGE_DIR = storageDir;
+process.env.AUTH_ENABLED = 'false';
+process.env.LOG_LEVEL = 'error';
+
+afterAll(async () => {
+  // Usage is recorded after responses are sent; let the last writes finish
+  await require('../services/usage').flushUsage();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
@@ -0,0 +1,148 @@
+process.env.SHUTDOWN_TIMEOUT_MS = '60000';
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { handleShutdown, isShuttingDown } = require('../services/shutdown');
+
+// A translate provider whose calls wait until the test lets them finish or they are cancelled
+const slow = {
+  ...createLocalProvider(),
+  name: 'slow',
+  calls: [],
+  translate({ text, signal }) {
+    return new Promise((resolve, reject) => {
+      const call = {
+        signal,
+        finish: () => resolve({ translatedText: `slow:${text}`, confidence: 1, formality: null, untranslatableTerms: [] })
+      };
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+      slow.calls.push(call);
+    });
+  }
+};
+providers.register('slow', () => slow);
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Resolves once the slow provider has been called n times
+async function providerCalled(n) {
+  while (slow.calls.length < n) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return slow.calls[n - 1];
+}
+
+// POST a translation to a listening server
+function translate(server) {
+  const { port } = server.address();
+  return http.request({
+    port,
+    method: 'POST',
+    path: '/api/translate',
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+let server;
+
+beforeAll(async () => {
+  providers.select('translate', ['slow']);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+});
+
+afterAll(() => {
+  providers.select('translate', ['local']);
+  server.close();
+});
+
+describe('client disconnects', () => {
+  it('cancel the provider call', async () => {
+    const req = translate(server);
+    req.on('error', () => {});
+    req.end(JSON.stringify({ text: 'are you there', sourceLanguage: 'en', targetLanguage: 'ar' }));
+
+    const call = await providerCalled(1);
+    expect(call.signal.aborted).toBe(false);
+
+    req.destroy();
+    await new Promise(resolve => call.signal.addEventListener('abort', resolve));
+    expect(call.signal.aborted).toBe(true);
+  });
+});
+
+describe('shutdown', () => {
+  let exit;
+  let listeners;
+
+  beforeAll(() => {
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    listeners = { SIGTERM: process.listeners('SIGTERM'), SIGINT: process.listeners('SIGINT') };
+  });
+
+  afterAll(() => {
+    exit.mockRestore();
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.listeners(signal)
+        .filter(listener => !listeners[signal].includes(listener))
+        .forEach(listener => process.removeListener(signal, listener));
+    }
+  });
+
+  it('finishes in-flight requests and streams before cleaning up and exiting', async () => {
+    const events = [];
+    let finishStreams;
+    handleShutdown(server, {
+      logger,
+      drain: () => new Promise((resolve) => {
+        finishStreams = () => {
+          events.push('streams drained');
+          resolve();
+        };
+      }),
+      cleanup: async () => events.push('cleanup')
+    });
+
+    const response = new Promise((resolve, reject) => {
+      const req = translate(server);
+      req.on('response', (res) => {
+        let body = '';
+        res.on('data', chunk => (body += chunk));
+        res.on('end', () => {
+          events.push('response sent');
+          resolve({ status: res.statusCode, body: JSON.parse(body) });
+        });
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ text: 'one more thing', sourceLanguage: 'en', targetLanguage: 'ar' }));
+    });
+    const call = await providerCalled(2);
+
+    // The signal handler registered by handleShutdown
+    process.listeners('SIGTERM').at(-1)();
+    expect(isShuttingDown()).toBe(true);
+
+    // Draining instances report themselves unready
+    const readiness = await request(app).get('/health/ready').expect(503);
+    expect(readiness.body.status).toBe('shutting_down');
+
+    call.finish();
+    const res = await response;
+    expect(res.status).toBe(200);
+    expect(res.body.translatedText).toBe('slow:one more thing');
+    expect(exit).not.toHaveBeenCalled();
+
+    finishStreams();
+    while (!exit.mock.calls.length) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(events).toEqual(['response sent', 'streams drained', 'cleanup']);
+    expect(exit).toHaveBeenCalledWith(0);
+    // The server stopped listening and closed the request's keep-alive connection
+    expect(server.listening).toBe(false);
+  });
+});
@@ -0,0 +1,75 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileBackend } = require('../services/storage');
+const { createToken, verifyToken } = require('../services/clientTokens');
+
+// Run the tokens CLI in its own process against the test store
+function tokensCli(...args) {
+  return execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'tokens.js'), ...args], {
+    env: process.env,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+}
+
+describe('file storage shared between processes', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translator-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads changes written by another backend and keeps them on its own writes', async () => {
+    const server = new FileBackend(dir);
+    const cli = new FileBackend(dir);
+
+    await server.set('tokens', 'a', { name: 'first' });
+    expect(await cli.get('tokens', 'a')).toEqual({ name: 'first' });
+
+    await cli.set('tokens', 'b', { name: 'second' });
+    await cli.set('tokens', 'a', { name: 'first', revoked: true });
+    expect(await server.get('tokens', 'a')).toEqual({ name: 'first', revoked: true });
+
+    await server.set('tokens', 'c', { name: 'third' });
+    expect((await cli.list('tokens')).map(({ key }) => key)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('refuses a corrupt file instead of replacing it', async () => {
+    fs.writeFileSync(path.join(dir, 'tokens.json'), '{"a": ');
+    const backend = new FileBackend(dir);
+
+    await expect(backend.get('tokens', 'a')).rejects.toThrow('Corrupt tokens store');
+    await expect(backend.set('tokens', 'b', {})).rejects.toThrow('Corrupt tokens store');
+    expect(fs.readFileSync(path.join(dir, 'tokens.json'), 'utf8')).toBe('{"a": ');
+  });
+});
+
+describe('tokens CLI', () => {
+  it('revokes tokens the running server has already loaded', async () => {
+    const { id, token } = await createToken('laptop');
+    expect(await verifyToken(token)).toEqual({ id, name: 'laptop' });
+
+    tokensCli('revoke', id);
+
+    expect(await verifyToken(token)).toBeNull();
+  });
+
+  it('issues tokens the running server accepts and keeps', async () => {
+    const { token: existing } = await createToken('desktop');
+
+    const output = tokensCli('create', 'phone');
+    const [, token] = /Token \(shown once\): (\S+)/.exec(output);
+    expect(await verifyToken(token)).toMatchObject({ name: 'phone' });
+
+    // A later write by the server does not drop the CLI's token
+    await createToken('tablet');
+    expect(await verifyToken(token)).toMatchObject({ name: 'phone' });
+    expect(await verifyToken(existing)).toMatchObject({ name: 'desktop' });
+  });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+
+// A synthesize provider whose streams break after the first chunk while failing is set
+const stutter = {
+  ...createLocalProvider(),
+  name: 'stutter',
+  failing: false,
+  async synthesizeStream() {
+    const failing = stutter.failing;
+    async function* chunks() {
+      yield Buffer.alloc(256, 1);
+      if (failing) throw new Error('Connection reset by the vendor');
+      yield Buffer.alloc(256, 2);
+    }
+    return { contentType: 'audio/pcm', sampleRate: 16000, chunks: chunks() };
+  }
+};
+providers.register('stutter', () => stutter);
+
+// A synthesize provider that can only return complete audio
+providers.register('buffered', () => {
+  const { synthesizeStream, ...local } = createLocalProvider();
+  return { ...local, name: 'buffered' };
+});
+
+function synthesizeStream(text, body = {}) {
+  return request(app)
+    .post('/api/synthesize/stream')
+    .send({ text, language: 'en', ...body })
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+      response.on('error', callback);
+    });
+}
+
+afterEach(() => {
+  providers.select('synthesize', ['local']);
+});
+
+describe('POST /api/synthesize/stream', () => {
+  it('replays a completed stream from the cache with its sample rate', async () => {
+    const first = await synthesizeStream('Welcome back').expect(200);
+    const second = await synthesizeStream('Welcome back').expect(200);
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.headers['x-sample-rate']).toBe(first.headers['x-sample-rate']);
+    expect(second.headers['content-type']).toBe('audio/pcm');
+    expect(Buffer.compare(second.body, first.body)).toBe(0);
+  });
+
+  it('caches each encoding separately from buffered synthesis', async () => {
+    await request(app).post('/api/synthesize').send({ text: 'Good afternoon', language: 'en' }).expect(200);
+
+    const pcm = await synthesizeStream('Good afternoon').expect(200);
+    const encoded = await synthesizeStream('Good afternoon', { format: 'mp3' }).expect(200);
+
+    expect(pcm.headers['x-cache']).toBe('MISS');
+    expect(encoded.headers['x-cache']).toBe('MISS');
+    expect(encoded.headers['content-type']).not.toBe('audio/pcm');
+  });
+
+  it('cuts the response short and caches nothing when the stream breaks', async () => {
+    providers.select('synthesize', ['stutter']);
+    stutter.failing = true;
+
+    await expect(synthesizeStream('Hold on')).rejects.toThrow();
+
+    stutter.failing = false;
+    const retry = await synthesizeStream('Hold on').expect(200);
+    expect(retry.headers['x-cache']).toBe('MISS');
+    expect(retry.body).toHaveLength(512);
+  });
+
+  it('sends complete audio in one piece from providers that cannot stream', async () => {
+    providers.select('synthesize', ['buffered']);
+
+    const res = await synthesizeStream('One moment').expect(200);
+
+    expect(res.headers['content-type']).toBe('audio/wav');
+    expect(res.headers['x-sample-rate']).toBeUndefined();
+    expect(res.body.subarray(0, 4).toString()).toBe('RIFF');
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { transcriptionConfidence, offsetTimings } = require('../services/speech');
+const { wavUpload } = require('./helpers');
+
+// A transcribe provider that hears speech from 0.5 s to 1.5 s of each chunk
+providers.register('timed', () => ({
+  ...createLocalProvider(),
+  name: 'timed',
+  async transcribe() {
+    return {
+      text: 'مرحبا بك',
+      language: 'ar',
+      duration: 2,
+      segments: [
+        { text: 'مرحبا', start: 0.5, end: 1, confidence: 0.9, noSpeechProb: 0.02 },
+        { text: 'بك', start: 1, end: 1.5, confidence: 0.6, noSpeechProb: 0.1 }
+      ],
+      words: [{ word: 'مرحبا', start: 0.5, end: 1 }, { word: 'بك', start: 1, end: 1.5 }]
+    };
+  }
+}));
+
+async function createSession() {
+  return (await request(app).post('/api/sessions').send({ sourceLanguage: 'ar', targetLanguage: 'en' }).expect(201)).body;
+}
+
+function upload(path, sessionId) {
+  return request(app)
+    .post(path)
+    .set('X-Session-ID', sessionId)
+    .field('language', 'ar')
+    .field('autoDetectLanguage', 'false')
+    .field('sourceLanguage', 'ar')
+    .field('synthesize', 'false')
+    .attach('audio', wavUpload(2), { filename: 'chunk.wav', contentType: 'audio/wav' })
+    .expect(200);
+}
+
+describe('transcriptionConfidence', () => {
+  it('weights segment confidences by their length', () => {
+    expect(transcriptionConfidence([
+      { start: 0, end: 3, confidence: 0.9 },
+      { start: 3, end: 4, confidence: 0.5 },
+      { start: 4, end: 5 }
+    ])).toBe(0.8);
+  });
+
+  it('is null when the provider reports none', () => {
+    expect(transcriptionConfidence([{ start: 0, end: 1, confidence: null }])).toBeNull();
+    expect(transcriptionConfidence([])).toBeNull();
+  });
+});
+
+describe('offsetTimings', () => {
+  it('shifts segments and words, leaving untimed ones alone', () => {
+    const shifted = offsetTimings({
+      segments: [{ text: 'a', start: 0.1, end: 0.2 }, { text: 'b', start: null, end: null }],
+      words: [{ word: 'a', start: 0.1, end: 0.2 }]
+    }, 4.2);
+
+    expect(shifted.segments).toEqual([{ text: 'a', start: 4.3, end: 4.4 }, { text: 'b', start: null, end: null }]);
+    expect(shifted.words).toEqual([{ word: 'a', start: 4.3, end: 4.4 }]);
+  });
+});
+
+describe('timings in a transcript session', () => {
+  beforeEach(() => {
+    providers.select('transcribe', ['timed']);
+  });
+
+  afterAll(() => {
+    providers.select('transcribe', ['local']);
+  });
+
+  it('are offset into the session and narrow the segment to the speech', async () => {
+    const session = await createSession();
+
+    await upload('/api/transcribe', session.id);
+    const res = await upload('/api/transcribe', session.id);
+
+    expect(res.body.offset).toBe(2);
+    expect(res.body.confidence).toBe(0.75);
+    expect(res.body.segments).toEqual([
+      { text: 'مرحبا', start: 2.5, end: 3, confidence: 0.9, noSpeechProb: 0.02 },
+      { text: 'بك', start: 3, end: 3.5, confidence: 0.6, noSpeechProb: 0.1 }
+    ]);
+    expect(res.body.words.map(({ start, end }) => [start, end])).toEqual([[2.5, 3], [3, 3.5]]);
+
+    const { body: transcript } = await request(app).get(`/api/sessions/${session.id}`).expect(200);
+    expect(transcript.segments.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([[500, 1500], [2500, 3500]]);
+    expect(transcript.audioMs).toBe(4000);
+  });
+
+  it('stay relative to the chunk in pipeline events, with the offset reported when done', async () => {
+    const session = await createSession();
+
+    await upload('/api/pipeline', session.id);
+    const res = await upload('/api/pipeline', session.id);
+
+    const events = res.text.trim().split('\n').map(line => JSON.parse(line));
+    const transcription = events.find(event => event.type === 'transcription');
+    const done = events.find(event => event.type === 'done');
+    expect(transcription.segments.map(({ start, end }) => [start, end])).toEqual([[0.5, 1], [1, 1.5]]);
+    expect(transcription.confidence).toBe(0.75);
+    expect(done).toMatchObject({ sessionSegment: 1, offset: 2 });
+  });
+});
@@ -0,0 +1,179 @@
+// Interims every 100 ms keep the tests short
+process.env.STREAM_INTERIM_INTERVAL_MS = '100';
+
+const request = require('supertest');
+const logger = require('../utils/logger');
+const app = require('../server');
+const { attachTranscriptionStream } = require('../services/transcriptionStream');
+const { providers } = require('../providers');
+const { flushUsage } = require('../services/usage');
+const { createLocalProvider } = require('../providers/local');
+const { authenticateRequest } = require('../middleware/auth');
+const { pcmTone, pcmSilence, openStream } = require('./helpers');
+
+// A transcribe provider that keeps the audio it is sent
+const uploads = [];
+providers.register('recorder', () => ({
+  ...createLocalProvider(),
+  name: 'recorder',
+  async transcribe({ buffer, language }) {
+    uploads.push(buffer);
+    return { text: `segment ${uploads.length}`, language, duration: 1, segments: [], words: [] };
+  }
+}));
+
+let server;
+
+beforeAll((done) => {
+  server = app.listen(0, '127.0.0.1', done);
+  attachTranscriptionStream(server, { logger, authenticate: authenticateRequest });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+describe('WS /api/transcribe/stream', () => {
+  it('emits a final for each segment ended by a pause', async () => {
+    const stream = openStream(server);
+    await stream.opened;
+
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'he', encoding: 'pcm16', sampleRate: 16000 }));
+    const ready = await stream.next('ready');
+    expect(ready.sessionId).toEqual(expect.any(String));
+
+    stream.socket.send(pcmTone(1));
+    stream.socket.send(pcmSilence(0.7));
+    const final = await stream.next('final');
+
+    expect(final).toMatchObject({ segmentId: 0, text: 'שלום, איך אתה?', language: 'he', confidence: 1 });
+    expect(final.segments[0].end).toBeCloseTo(1.7, 1);
+
+    stream.socket.send(JSON.stringify({ type: 'stop' }));
+    await stream.next('closed');
+    expect((await stream.closed).code).toBe(1000);
+  });
+
+  it('finalizes the current segment on flush', async () => {
+    const stream = openStream(server);
+    await stream.opened;
+
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'tr' }));
+    await stream.next('ready');
+    stream.socket.send(pcmTone(0.5));
+    stream.socket.send(JSON.stringify({ type: 'flush' }));
+
+    const final = await stream.next('final');
+    expect(final.text).toBe('Merhaba, nasılsın?');
+
+    stream.socket.close();
+    await stream.closed;
+  });
+
+  it('rejects audio before start and unknown messages', async () => {
+    const stream = openStream(server);
+    await stream.opened;
+
+    stream.socket.send(pcmTone(0.1));
+    expect((await stream.next('error')).error).toBe('Stream not started');
+
+    stream.socket.send(JSON.stringify({ type: 'pause' }));
+    expect((await stream.next('error')).error).toBe('Unknown message type: pause');
+
+    stream.socket.send('{not json');
+    expect((await stream.next('error')).error).toBe('Invalid control message');
+
+    stream.socket.close();
+    await stream.closed;
+  });
+
+  it('answers malformed control messages without closing the stream', async () => {
+    const stream = openStream(server);
+    await stream.opened;
+
+    for (const frame of ['null', '42', '"start"', '[]', '{"type":7}']) {
+      stream.socket.send(frame);
+      expect((await stream.next('error')).error).toBe('Invalid control message');
+    }
+
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'toString' }));
+    expect((await stream.next('error')).error).toBe('Unsupported language: toString');
+
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'ar' }));
+    await stream.next('ready');
+
+    stream.socket.close();
+    await stream.closed;
+  });
+
+  it('rejects sample rates outside the supported range', async () => {
+    const stream = openStream(server);
+    await stream.opened;
+
+    for (const sampleRate of [-16000, 1, 96000, 'fast', 16000.5]) {
+      stream.socket.send(JSON.stringify({ type: 'start', language: 'ar', sampleRate }));
+      expect((await stream.next('error')).error).toBe(`Unsupported sample rate: ${sampleRate} (8000-48000 Hz)`);
+    }
+
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'ar', sampleRate: 8000 }));
+    await stream.next('ready');
+
+    stream.socket.close();
+    await stream.closed;
+  });
+
+  it('puts only the WebM container header in front of later segments', async () => {
+    providers.select('transcribe', ['recorder']);
+    uploads.length = 0;
+    const header = Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x01, 0x02, 0x03]);
+    const firstCluster = Buffer.concat([Buffer.from([0x1F, 0x43, 0xB6, 0x75]), Buffer.from('first words')]);
+
+    try {
+      const stream = openStream(server);
+      await stream.opened;
+      stream.socket.send(JSON.stringify({ type: 'start', language: 'ar', encoding: 'webm-opus' }));
+      await stream.next('ready');
+
+      stream.socket.send(Buffer.concat([header, firstCluster]));
+      stream.socket.send(JSON.stringify({ type: 'flush' }));
+      await stream.next('final');
+
+      stream.socket.send(Buffer.from('second words'));
+      stream.socket.send(JSON.stringify({ type: 'stop' }));
+      await stream.next('final');
+      await stream.closed;
+
+      expect(uploads).toEqual([
+        Buffer.concat([header, firstCluster]),
+        Buffer.concat([header, Buffer.from('second words')])
+      ]);
+    } finally {
+      providers.select('transcribe', ['local']);
+    }
+  });
+
+  it('meters the audio of interim transcriptions', async () => {
+    const usage = async () => (await request(app).get('/api/usage').expect(200)).body.usage.audioSeconds;
+    const before = await usage();
+
+    const stream = openStream(server);
+    await stream.opened;
+    stream.socket.send(JSON.stringify({ type: 'start', language: 'ar' }));
+    await stream.next('ready');
+
+    stream.socket.send(pcmTone(1));
+    await stream.next('interim');
+    stream.socket.send(JSON.stringify({ type: 'stop' }));
+    await stream.next('final');
+    await stream.closed;
+
+    // One second for the interim and one for the final
+    await flushUsage();
+    expect(await usage() - before).toBeCloseTo(2, 5);
+  });
+
+  it('rejects other upgrade paths', async () => {
+    const stream = openStream(server, '/api/other');
+    await expect(stream.opened).rejects.toThrow();
+  });
+});
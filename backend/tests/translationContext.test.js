@@ -0,0 +1,66 @@
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+
+// A translate provider that records the context it was given
+const contexts = [];
+providers.register('contextual', () => ({
+  ...createLocalProvider(),
+  name: 'contextual',
+  async translate({ text, context }) {
+    contexts.push(context);
+    return { translatedText: `contextual:${text}`, confidence: 1, formality: null, untranslatableTerms: [] };
+  }
+}));
+
+function translate(text, context) {
+  return request(app)
+    .post('/api/translate')
+    .send({ text, sourceLanguage: 'ar', targetLanguage: 'en', context })
+    .expect(200);
+}
+
+beforeEach(() => {
+  contexts.length = 0;
+  providers.select('translate', ['contextual']);
+});
+
+afterAll(() => {
+  providers.select('translate', ['local']);
+});
+
+describe('conversation context in translation', () => {
+  it('passes the most recent entries, each shortened, to the provider', async () => {
+    const context = Array.from({ length: 12 }, (_, i) => ({ text: `line ${i}`, translation: `translated ${i}` }));
+    context[11].text = 'ا'.repeat(1500);
+
+    const res = await translate('وين رايح؟', context);
+
+    expect(res.body.contextEntries).toBe(10);
+    expect(contexts[0]).toHaveLength(10);
+    expect(contexts[0][0]).toEqual({ text: 'line 2', translation: 'translated 2' });
+    expect(contexts[0][9].text).toHaveLength(1000);
+  });
+
+  it('caches a translation for the context it was made in', async () => {
+    const earlier = [{ text: 'هل انت جاهز؟', translation: 'Are you ready?' }];
+    const other = [{ text: 'اين المفتاح؟', translation: 'Where is the key?' }];
+
+    expect((await translate('نعم', earlier)).headers['x-cache']).toBe('MISS');
+    expect((await translate('نعم', earlier)).headers['x-cache']).toBe('HIT');
+    expect((await translate('نعم', other)).headers['x-cache']).toBe('MISS');
+    expect((await translate('نعم')).headers['x-cache']).toBe('MISS');
+    expect(contexts).toEqual([earlier, other, []]);
+  });
+
+  it('rejects malformed entries', async () => {
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'نعم', sourceLanguage: 'ar', targetLanguage: 'en', context: [{ text: 'هل انت جاهز؟' }] })
+      .expect(400);
+
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+    expect(contexts).toHaveLength(0);
+  });
+});
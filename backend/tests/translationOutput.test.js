@@ -0,0 +1,54 @@
+const {
+  TranslationOutputError,
+  parseTranslationOutput,
+  parseTransliterationOutput,
+  TranslationFieldReader
+} = require('../utils/translationOutput');
+
+const output = (fields) => JSON.stringify({ translation: 'Hello', formality: 'informal', untranslatableTerms: [], ...fields });
+
+describe('parseTranslationOutput', () => {
+  it('accepts output matching the schema', () => {
+    expect(parseTranslationOutput(output({ translation: ' Hello, habibi \n', untranslatableTerms: ['habibi'] }))).toEqual({
+      translatedText: 'Hello, habibi',
+      formality: 'informal',
+      untranslatableTerms: ['habibi']
+    });
+  });
+
+  it.each([
+    ['plain text', 'Hello', 'not valid JSON'],
+    ['an array', '["Hello"]', 'not an object'],
+    ['extra fields', output({ note: 'Translated from Arabic' }), 'unexpected fields: note'],
+    ['no translation', output({ translation: undefined }), 'missing the translation'],
+    ['an unknown formality', output({ formality: 'casual' }), 'invalid formality: casual'],
+    ['terms that are not strings', output({ untranslatableTerms: [1] }), 'invalid untranslatableTerms']
+  ])('rejects %s', (description, content, message) => {
+    expect(() => parseTranslationOutput(content)).toThrow(TranslationOutputError);
+    expect(() => parseTranslationOutput(content)).toThrow(message);
+  });
+});
+
+describe('parseTransliterationOutput', () => {
+  it('accepts only an object with the transliteration', () => {
+    expect(parseTransliterationOutput('{"transliteration": " marhaba "}')).toEqual({ transliteration: 'marhaba' });
+    expect(() => parseTransliterationOutput('marhaba')).toThrow(TranslationOutputError);
+    expect(() => parseTransliterationOutput('{"text": "marhaba"}')).toThrow('missing the transliteration');
+  });
+});
+
+describe('TranslationFieldReader', () => {
+  it('returns the translation as it is decoded, across split escapes', () => {
+    const reader = new TranslationFieldReader();
+    const pieces = ['{"transla', 'tion" : "Line\\', 'none \\u00', 'e9t\\u00e9', '", "formality": "neutral"', ', "untranslatableTerms": []}'];
+
+    expect(pieces.map(piece => reader.push(piece))).toEqual(['', 'Line', '\none ', 'été', '', '']);
+    expect(parseTranslationOutput(reader.raw).translatedText).toBe('Line\none été');
+  });
+
+  it('ignores fields before the translation', () => {
+    const reader = new TranslationFieldReader();
+
+    expect(reader.push('{"formality": "neutral", "translation": "Hi"')).toBe('Hi');
+  });
+});
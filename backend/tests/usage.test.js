@@ -0,0 +1,144 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const request = require('supertest');
+const app = require('../server');
+const { providers } = require('../providers');
+const { createLocalProvider } = require('../providers/local');
+const { flushUsage, purgeExpiredUsage, USAGE_CONFIG } = require('../services/usage');
+const { createStore } = require('../services/storage');
+const { wavUpload } = require('./helpers');
+
+// A translate provider that, like OpenAI, romanizes with the model
+providers.register('romanizer', () => ({
+  ...createLocalProvider(),
+  name: 'romanizer',
+  async transliterate({ text }) {
+    return { transliteration: `latin:${text}` };
+  }
+}));
+
+const admin = { 'X-Admin-Token': 'test-admin-token' };
+
+async function usage() {
+  return (await request(app).get('/api/usage').expect(200)).body;
+}
+
+describe('usage metering', () => {
+  it('meters audio seconds from the WAV header and characters from the text', async () => {
+    await request(app)
+      .post('/api/transcribe')
+      .attach('audio', wavUpload(2), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(200);
+    await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello world', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(200);
+    await request(app).post('/api/synthesize').send({ text: 'Hello', language: 'en' }).expect(200);
+
+    // Usage is recorded after the response
+    await flushUsage();
+    const report = await usage();
+
+    expect(report.usage.audioSeconds).toBeCloseTo(2, 2);
+    expect(report.usage.translatedCharacters).toBe(11);
+    expect(report.usage.ttsCharacters).toBe(5);
+    expect(report.limits).toEqual({ audioSeconds: null, translatedCharacters: null, ttsCharacters: null });
+    expect(report.history).toHaveLength(1);
+  });
+});
+
+describe('usage history', () => {
+  it('removes days past the retention period from the file store', async () => {
+    const store = createStore('usage');
+    const day = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    await store.increment(`old-client:${day(USAGE_CONFIG.RETENTION_DAYS + 1)}`, { ttsCharacters: 5 });
+    await store.increment(`old-client:${day(USAGE_CONFIG.RETENTION_DAYS - 1)}`, { ttsCharacters: 7 });
+
+    expect(await purgeExpiredUsage()).toBe(1);
+    expect((await store.list('old-client:')).map(({ value }) => value)).toEqual([{ ttsCharacters: 7 }]);
+    expect((await usage()).usage.ttsCharacters).toBeGreaterThan(0);
+  });
+});
+
+describe('quotas', () => {
+  it('rejects requests once a daily quota is used up', async () => {
+    const { translatedCharacters } = (await usage()).usage;
+    await request(app)
+      .put('/api/admin/quotas/anonymous')
+      .set(admin)
+      .send({ translatedCharacters })
+      .expect(200);
+
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(429);
+
+    expect(res.body).toMatchObject({ code: 'QUOTA_EXCEEDED', metric: 'translatedCharacters', limit: translatedCharacters });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect((await usage()).remaining.translatedCharacters).toBe(0);
+
+    // Other metrics are unaffected
+    await request(app).post('/api/synthesize').send({ text: 'Hello', language: 'en' }).expect(200);
+
+    await request(app).put('/api/admin/quotas/anonymous').set(admin).send({ translatedCharacters: 0 }).expect(200);
+    await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(200);
+  });
+
+  it('requires the admin token to change quotas', async () => {
+    await request(app).put('/api/admin/quotas/anonymous').send({ audioSeconds: 10 }).expect(401);
+  });
+});
+
+describe('transliteration metering', () => {
+  const transliterate = (text, expectedStatus = 200) => request(app)
+    .post('/api/transliterate')
+    .send({ text, language: 'fa' })
+    .expect(expectedStatus);
+
+  afterEach(() => {
+    providers.select('translate', ['local']);
+  });
+
+  it('meters model transliterations, cached or not', async () => {
+    providers.select('translate', ['romanizer']);
+    const before = (await usage()).usage.translatedCharacters;
+
+    expect((await transliterate('سلام دوست')).body.method).toBe('model');
+    expect((await transliterate('سلام دوست')).headers['x-cache']).toBe('HIT');
+
+    await flushUsage();
+    expect((await usage()).usage.translatedCharacters).toBe(before + 18);
+  });
+
+  it('does not meter rule-based transliterations', async () => {
+    const before = (await usage()).usage.translatedCharacters;
+
+    expect((await transliterate('سلام')).body.method).toBe('rules');
+
+    await flushUsage();
+    expect((await usage()).usage.translatedCharacters).toBe(before);
+  });
+
+  it('checks the translated characters quota only for the model', async () => {
+    const { translatedCharacters } = (await usage()).usage;
+    await request(app)
+      .put('/api/admin/quotas/anonymous')
+      .set(admin)
+      .send({ translatedCharacters })
+      .expect(200);
+
+    // The rules are free
+    expect((await transliterate('خداحافظ')).body.method).toBe('rules');
+
+    providers.select('translate', ['romanizer']);
+    const res = await transliterate('خداحافظ', 429);
+    expect(res.body).toMatchObject({ code: 'QUOTA_EXCEEDED', metric: 'translatedCharacters' });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+    await request(app).put('/api/admin/quotas/anonymous').set(admin).send({ translatedCharacters: 0 }).expect(200);
+  });
+});
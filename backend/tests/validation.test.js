@@ -0,0 +1,98 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const request = require('supertest');
+const app = require('../server');
+const { version } = require('../package.json');
+const { VALIDATION_CONFIG, LANGUAGE_CODES } = require('../middleware/validation');
+const { wavUpload } = require('./helpers');
+
+const admin = { 'X-Admin-Token': 'test-admin-token' };
+
+describe('request validation', () => {
+  it('reports every failing field at once', async () => {
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ sourceLanguage: 'xx', targetLanguage: 'en' })
+      .expect(400);
+
+    expect(res.body).toMatchObject({ error: 'Invalid request', code: 'VALIDATION_ERROR' });
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: 'text', location: 'body', message: 'is required' },
+      expect.objectContaining({ field: 'sourceLanguage', location: 'body' })
+    ]));
+  });
+
+  it('limits text length', async () => {
+    const text = 'a'.repeat(VALIDATION_CONFIG.MAX_TEXT_LENGTH + 1);
+
+    const res = await request(app).post('/api/synthesize').send({ text }).expect(400);
+    expect(res.body.details[0]).toMatchObject({ field: 'text', message: `must be between 1 and ${VALIDATION_CONFIG.MAX_TEXT_LENGTH} characters` });
+  });
+
+  it('requires a session for a segment index', async () => {
+    const res = await request(app)
+      .post('/api/translate')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar', sessionSegment: 0 })
+      .expect(400);
+    expect(res.body.details).toEqual([expect.objectContaining({ field: 'sessionSegment', message: 'requires an X-Session-ID header' })]);
+
+    await request(app)
+      .post('/api/translate')
+      .set('X-Session-ID', 'not-a-session')
+      .send({ text: 'hello', sourceLanguage: 'en', targetLanguage: 'ar' })
+      .expect(400);
+  });
+
+  it('rejects uploads of an unsupported type and multipart flags that are not booleans', async () => {
+    const unsupported = await request(app)
+      .post('/api/pipeline')
+      .attach('audio', wavUpload(1), { filename: 'chunk.txt', contentType: 'text/plain' })
+      .expect(400);
+    expect(unsupported.body.details[0].message).toMatch(/^Unsupported audio format: text\/plain; expected one of: /);
+
+    const flags = await request(app)
+      .post('/api/pipeline')
+      .field('synthesize', 'sometimes')
+      .attach('audio', wavUpload(1), { filename: 'chunk.wav', contentType: 'audio/wav' })
+      .expect(400);
+    expect(flags.body.details).toEqual([expect.objectContaining({ field: 'synthesize', message: 'must be true or false' })]);
+  });
+
+  it('requires at least one quota', async () => {
+    const res = await request(app).put('/api/admin/quotas/some-client').set(admin).send({}).expect(400);
+    expect(res.body.details[0].message).toMatch(/^Provide at least one of: /);
+
+    await request(app).put('/api/admin/quotas/some-client').set(admin).send({ audioSeconds: -1 }).expect(400);
+  });
+});
+
+describe('GET /openapi.json', () => {
+  let spec;
+
+  beforeAll(async () => {
+    spec = (await request(app).get('/openapi.json').expect(200)).body;
+  });
+
+  it('describes this version of the API', () => {
+    expect(spec.openapi).toMatch(/^3\./);
+    expect(spec.info.version).toBe(version);
+  });
+
+  it('documents every route the server answers', () => {
+    const documented = Object.entries(spec.paths).flatMap(([path, operations]) =>
+      Object.keys(operations).filter(method => method !== 'parameters').map(method => `${method.toUpperCase()} ${path}`)
+    );
+    const routes = app._router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+        `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`
+      ));
+
+    expect(documented).toEqual(expect.arrayContaining(routes));
+  });
+
+  it('takes enumerations from the validators', () => {
+    expect(spec.components.schemas.LanguageCode.enum).toEqual(LANGUAGE_CODES);
+    expect(spec.components.schemas.Text.maxLength).toBe(VALIDATION_CONFIG.MAX_TEXT_LENGTH);
+  });
+});
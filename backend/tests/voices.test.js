@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../server');
+const { createElevenLabsProvider } = require('../providers/elevenlabs');
+
+describe('GET /api/voices', () => {
+  it('lists the provider voices with the defaults for a language, cached', async () => {
+    const first = await request(app).get('/api/voices?language=ar').expect(200);
+
+    expect(first.body).toMatchObject({ provider: 'local', language: 'ar', defaults: { male: 'tone-low', female: 'tone-high' } });
+    expect(first.body.voices.map(voice => voice.id)).toEqual(['tone-low', 'tone-high']);
+    expect(first.body.voices[0]).not.toHaveProperty('frequency');
+    expect(first.headers['x-cache']).toBe('MISS');
+
+    const second = await request(app).get('/api/voices').expect(200);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body.voices).toEqual(first.body.voices);
+  });
+});
+
+describe('voice selection in synthesis', () => {
+  function synthesize(body) {
+    return request(app).post('/api/synthesize').send({ text: 'Hello there', language: 'en', ...body });
+  }
+
+  it('synthesizes with a listed voice, cached separately per voice', async () => {
+    const low = await synthesize({ voiceId: 'tone-low' }).expect(200);
+    const high = await synthesize({ voiceId: 'tone-high' }).expect(200);
+
+    expect(low.headers['x-cache']).toBe('MISS');
+    expect(high.headers['x-cache']).toBe('MISS');
+    expect(Buffer.compare(low.body, high.body)).not.toBe(0);
+    expect((await synthesize({ gender: 'female' }).expect(200)).headers['x-cache']).toBe('HIT');
+  });
+
+  it('rejects voices the provider does not offer and malformed ids', async () => {
+    const unknown = await synthesize({ voiceId: 'tone-middle' }).expect(400);
+    expect(unknown.body.code).toBe('VALIDATION_ERROR');
+    expect(JSON.stringify(unknown.body)).toContain('Unknown voiceId: tone-middle');
+
+    await synthesize({ voiceId: '../voices' }).expect(400);
+    await synthesize({ gender: 'robot' }).expect(400);
+  });
+});
+
+describe('ElevenLabs voice configuration', () => {
+  const provider = createElevenLabsProvider({
+    apiKey: 'test-key',
+    voices: { ar: { female: 'arabic-female' }, 'ar-EG': { male: 'egyptian-male' } }
+  });
+
+  it('uses the configured voice for the language and gender', () => {
+    expect(provider.resolveVoice('ar', { gender: 'female' }).voiceId).toBe('arabic-female');
+    expect(provider.resolveVoice('ar-EG', { gender: 'male' }).voiceId).toBe('egyptian-male');
+  });
+
+  it('falls back to the base language, then to the premade voices', () => {
+    expect(provider.resolveVoice('ar-EG', { gender: 'female' }).voiceId).toBe('arabic-female');
+    expect(provider.resolveVoice('ar', { gender: 'male' }).voiceId).toBe('pNInz6obpgDQGcFmaJgB');
+    expect(provider.resolveVoice('fa').voiceId).toBe('pNInz6obpgDQGcFmaJgB');
+  });
+
+  it('lets an explicit voice win', () => {
+    expect(provider.resolveVoice('ar', { voiceId: 'chosen', gender: 'female' }).voiceId).toBe('chosen');
+  });
+
+  it('refuses a malformed ELEVENLABS_VOICES', () => {
+    process.env.ELEVENLABS_VOICES = '{"ar":';
+    try {
+      expect(() => createElevenLabsProvider({ apiKey: 'test-key' })).toThrow('ELEVENLABS_VOICES is not valid JSON');
+    } finally {
+      delete process.env.ELEVENLABS_VOICES;
+    }
+  });
+});
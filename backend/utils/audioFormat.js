@@ -0,0 +1,77 @@
+// Audio container detection from file contents. Uploads are identified by their
+// bytes rather than the declared mime type, which browsers often get wrong.
+const { parseWavHeader } = require('./wav');
+
+// Formats accepted for transcription, keyed by container
+const AUDIO_CONTAINERS = {
+  wav: { mimetype: 'audio/wav', extension: 'wav' },
+  webm: { mimetype: 'audio/webm', extension: 'webm' },
+  ogg: { mimetype: 'audio/ogg', extension: 'ogg' },
+  flac: { mimetype: 'audio/flac', extension: 'flac' },
+  mp3: { mimetype: 'audio/mpeg', extension: 'mp3' },
+  mp4: { mimetype: 'audio/mp4', extension: 'm4a' }
+};
+
+// Container of an audio file, or null when it is not recognized
+function detectAudioFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  const ascii = (start, end) => buffer.toString('ascii', start, end);
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  // EBML header; WebM and Matroska share it
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(4, 8) === 'ftyp') return 'mp4';
+  // ID3 tag, or an MPEG audio frame sync
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3';
+
+  return null;
+}
+
+// FLAC: total samples and sample rate from the STREAMINFO block, which always comes first
+function flacDuration(buffer) {
+  if (buffer.length < 26) return null;
+
+  const sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const totalSamples = (buffer[21] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(22);
+  // Streamed encoders may leave the total at 0 (unknown)
+  if (!sampleRate || !totalSamples) return null;
+  return totalSamples / sampleRate;
+}
+
+// Ogg: granule position of the last page. Opus granules count 48 kHz samples
+// including the encoder pre-skip; Vorbis granules count samples at the stream rate.
+function oggDuration(buffer) {
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (lastPage < 0 || lastPage + 14 > buffer.length) return null;
+  const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+  if (granule <= 0) return null;
+
+  const opusHead = buffer.indexOf('OpusHead');
+  if (opusHead >= 0 && opusHead + 12 <= buffer.length) {
+    const preSkip = buffer.readUInt16LE(opusHead + 10);
+    return Math.max(0, granule - preSkip) / 48000;
+  }
+
+  const vorbisHeader = buffer.indexOf('\x01vorbis');
+  if (vorbisHeader >= 0 && vorbisHeader + 16 <= buffer.length) {
+    const sampleRate = buffer.readUInt32LE(vorbisHeader + 12);
+    return sampleRate > 0 ? granule / sampleRate : null;
+  }
+
+  return null;
+}
+
+// Duration in seconds read from the file's headers, or null when they do not say
+function audioDuration(buffer, format = detectAudioFormat(buffer)) {
+  switch (format) {
+    case 'wav': return parseWavHeader(buffer)?.duration ?? null;
+    case 'flac': return flacDuration(buffer);
+    case 'ogg': return oggDuration(buffer);
+    default: return null;
+  }
+}
+
+module.exports = { AUDIO_CONTAINERS, detectAudioFormat, audioDuration };
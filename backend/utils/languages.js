@@ -0,0 +1,163 @@
+// Language helpers shared by the API routes.
+// Mirrors the extension's SUPPORTED_LANGUAGES and WhisperAPI.detectLanguage.
+
+// Dialects and variants name their base language. variety describes them for the
+// translation prompt; speechHint is a short sample of the variety that the speech model
+// is primed with, since it only takes base language codes.
+const SUPPORTED_LANGUAGES = {
+  'ar': { name: 'Arabic' },
+  'ar-EG': {
+    name: 'Egyptian Arabic',
+    base: 'ar',
+    variety: 'Egyptian colloquial Arabic (Masri)',
+    speechHint: 'إزيك؟ عامل إيه النهارده؟'
+  },
+  'ar-AE': {
+    name: 'Gulf Arabic',
+    base: 'ar',
+    variety: 'Gulf colloquial Arabic (Khaleeji)',
+    speechHint: 'شلونك؟ وش تسوي اليوم؟'
+  },
+  'ar-LB': {
+    name: 'Levantine Arabic',
+    base: 'ar',
+    variety: 'Levantine colloquial Arabic (Shami)',
+    speechHint: 'كيفك؟ شو عم تعمل اليوم؟'
+  },
+  'fa': { name: 'Persian' },
+  'fa-AF': {
+    name: 'Dari',
+    base: 'fa',
+    variety: 'Dari, the Persian of Afghanistan, with its own vocabulary',
+    speechHint: 'چطور استی؟ امروز چی کار می‌کنی؟'
+  },
+  'tr': { name: 'Turkish' },
+  'he': { name: 'Hebrew' },
+  'ku': { name: 'Kurdish' },
+  'ckb': {
+    name: 'Sorani Kurdish',
+    base: 'ku',
+    variety: 'Sorani (Central) Kurdish, written in the Arabic-based Kurdish script',
+    speechHint: 'چۆنی؟ ئەمڕۆ چی دەکەیت؟'
+  },
+  'kmr': {
+    name: 'Kurmanji Kurdish',
+    base: 'ku',
+    variety: 'Kurmanji (Northern) Kurdish, written in the Latin-based Kurdish alphabet',
+    speechHint: 'Tu çawa yî? Îro çi dikî?'
+  },
+  'en': { name: 'English' }
+};
+
+const MIDDLE_EASTERN_LANGUAGES = ['ar', 'fa', 'tr', 'he', 'ku'];
+
+function getLanguageName(code) {
+  return SUPPORTED_LANGUAGES[code]?.name || code;
+}
+
+// Base language of a dialect or variant ("ar-EG" -> "ar"); other codes are their own base
+function getBaseLanguage(code) {
+  return SUPPORTED_LANGUAGES[code]?.base || code;
+}
+
+// Description of a dialect or variant for the translation prompt, or null
+function getLanguageVariety(code) {
+  return SUPPORTED_LANGUAGES[code]?.variety || null;
+}
+
+// What the speech model is given for a requested language: the base language code and,
+// for a dialect or variant, a sample to prime it with
+function getSpeechHints(code) {
+  return { language: getBaseLanguage(code), prompt: SUPPORTED_LANGUAGES[code]?.speechHint || null };
+}
+
+// A detected base language reported as the user's chosen dialect or variant of it, since
+// detection only tells base languages apart
+function preferVariant(detectedLanguage, preferredLanguage) {
+  if (preferredLanguage && preferredLanguage !== detectedLanguage &&
+      getBaseLanguage(preferredLanguage) === detectedLanguage) {
+    return preferredLanguage;
+  }
+  return detectedLanguage;
+}
+
+// Code of a supported language given its code or English name ("arabic"), or null
+function findLanguageCode(value) {
+  if (!value || typeof value !== 'string') return null;
+  const normalized = value.toLowerCase();
+  if (SUPPORTED_LANGUAGES[normalized]) return normalized;
+  return Object.keys(SUPPORTED_LANGUAGES)
+    .find(code => SUPPORTED_LANGUAGES[code].name.toLowerCase() === normalized) || null;
+}
+
+// Detect language from text using script-specific characters
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') return 'en';
+
+  if (/[֐-׿]/.test(text)) {
+    return 'he';
+  }
+
+  if (/[؀-ۿݐ-ݿࢠ-ࣿﭐ-﷿ﹰ-﻿]/.test(text)) {
+    // Sorani Kurdish letters (ڵ ڕ ێ ۆ)
+    if (/[ڵڕێۆ]/.test(text)) {
+      return 'ku';
+    }
+    // Persian letters (پ چ ژ گ ک ی)
+    if (/[پچژگکی]/.test(text)) {
+      return 'fa';
+    }
+    return 'ar';
+  }
+
+  // Kurmanji Kurdish letter ê, which Turkish does not use
+  if (/[êÊ]/.test(text)) {
+    return 'ku';
+  }
+
+  if (/[çğıöşüÇĞİÖŞÜ]/.test(text)) {
+    return 'tr';
+  }
+
+  return 'en';
+}
+
+// Decide source/target for a transcription, following the extension's bidirectional rules
+function resolveTranslationDirection(detectedLanguage, settings) {
+  const { sourceLanguage = 'ar', targetLanguage = 'en', bidirectional = false } = settings;
+
+  if (!bidirectional) {
+    return { source: detectedLanguage || sourceLanguage, target: targetLanguage };
+  }
+
+  if (MIDDLE_EASTERN_LANGUAGES.includes(getBaseLanguage(detectedLanguage))) {
+    return { source: detectedLanguage, target: 'en' };
+  }
+  if (detectedLanguage === 'en') {
+    return { source: 'en', target: sourceLanguage };
+  }
+  return { source: sourceLanguage, target: targetLanguage };
+}
+
+// Text already in English does not need translating to English
+function needsTranslation(text, targetLanguage) {
+  if (!text || text.trim().length === 0) return false;
+  if (targetLanguage === 'en') {
+    return !/^[a-zA-Z\s.,!?;:'"()-]+$/.test(text);
+  }
+  return true;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  MIDDLE_EASTERN_LANGUAGES,
+  getLanguageName,
+  getBaseLanguage,
+  getLanguageVariety,
+  getSpeechHints,
+  preferVariant,
+  findLanguageCode,
+  detectLanguage,
+  resolveTranslationDirection,
+  needsTranslation
+};
@@ -0,0 +1,694 @@
+// OpenAPI description of the HTTP API, served at GET /openapi.json.
+// Enumerations and limits come from the same constants the request validators use.
+
+const { version } = require('../package.json');
+const { VALIDATION_CONFIG, LANGUAGE_CODES } = require('../middleware/validation');
+const { VOICE_GENDERS } = require('../services/voices');
+const { METRICS } = require('../services/usage');
+const { CACHE_SCOPES } = require('../services/cache');
+const { FORMALITY_LEVELS } = require('./translationOutput');
+const { EXPORT_FORMATS } = require('../services/sessions');
+const { AUDIO_CONTAINERS } = require('./audioFormat');
+
+const ERROR_CODES = [
+  'VALIDATION_ERROR',
+  'UNAUTHORIZED',
+  'FORBIDDEN',
+  'NOT_FOUND',
+  'PAYLOAD_TOO_LARGE',
+  'RATE_LIMITED',
+  'QUOTA_EXCEEDED',
+  'UPSTREAM_AUTH_FAILED',
+  'UPSTREAM_RATE_LIMITED',
+  'UPSTREAM_INVALID_RESPONSE',
+  'UPSTREAM_ERROR',
+  'UPSTREAM_UNAVAILABLE',
+  'INTERNAL_ERROR'
+];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+function jsonBody(schema) {
+  return { required: true, content: json(schema) };
+}
+
+function multipartBody(properties, required = ['audio']) {
+  return {
+    required: true,
+    content: { 'multipart/form-data': { schema: { type: 'object', required, properties } } }
+  };
+}
+
+function ok(description, schema) {
+  return { description, content: json(schema) };
+}
+
+// Standard error responses for the given status codes
+function errors(...statuses) {
+  const descriptions = {
+    400: 'Invalid request',
+    401: 'Missing or invalid token',
+    403: 'Admin routes disabled',
+    404: 'Not found',
+    413: 'Payload too large',
+    429: 'Rate limit or quota exceeded',
+    500: 'Upstream or internal failure',
+    502: 'Upstream returned a malformed result',
+    503: 'Every provider for the capability is unavailable (circuits open)'
+  };
+  return Object.fromEntries(statuses.map(status => [status, {
+    description: descriptions[status],
+    content: json(ref('Error'))
+  }]));
+}
+
+const languageParam = (name, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: ref('LanguageCode')
+});
+
+const glossaryParams = [
+  languageParam('source', 'Source language'),
+  languageParam('target', 'Target language')
+];
+
+const daysParam = {
+  name: 'days',
+  in: 'query',
+  schema: { type: 'integer', minimum: 1 },
+  description: 'Days of history to include'
+};
+
+const sessionHeader = {
+  name: 'X-Session-ID',
+  in: 'header',
+  description: 'Transcript session to record the result in',
+  schema: { type: 'string', format: 'uuid' }
+};
+
+const sessionIdParam = { name: 'sessionId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+
+const sessionSegmentProperty = {
+  type: 'integer',
+  nullable: true,
+  description: 'Index of the segment in the transcript session, when one was given'
+};
+
+const clientSecurity = [{ clientToken: [] }];
+const adminSecurity = [{ adminToken: [] }];
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable summary' },
+      code: { type: 'string', enum: ERROR_CODES },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        description: 'Field-level failures for VALIDATION_ERROR',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+            message: { type: 'string' }
+          }
+        }
+      },
+      retryAfter: { type: 'integer', description: 'Seconds to wait before retrying' },
+      requestId: { type: 'string', format: 'uuid' }
+    },
+    additionalProperties: true
+  },
+  LanguageCode: { type: 'string', enum: LANGUAGE_CODES },
+  Text: { type: 'string', minLength: 1, maxLength: VALIDATION_CONFIG.MAX_TEXT_LENGTH },
+  AudioFile: {
+    type: 'string',
+    format: 'binary',
+    description: `${Object.keys(AUDIO_CONTAINERS).join(', ')}, detected from the file contents. Declared type one of: ${VALIDATION_CONFIG.AUDIO_FORMATS.join(', ')}`
+  },
+  VoiceGender: { type: 'string', enum: VOICE_GENDERS },
+  TranscriptSegment: {
+    type: 'object',
+    properties: {
+      text: { type: 'string' },
+      start: { type: 'number', nullable: true, description: 'Seconds from the start of the X-Session-ID session when one was given, otherwise from the start of the chunk' },
+      end: { type: 'number', nullable: true },
+      confidence: { type: 'number', nullable: true, description: 'From the average token log-probability; null when the provider does not report it' },
+      noSpeechProb: { type: 'number', nullable: true, description: 'Probability that the segment is not speech' },
+      speaker: { type: 'string', description: 'Speaker id, when diarized; stable across the chunks of an X-Session-ID session, otherwise a per-chunk label' }
+    }
+  },
+  Word: {
+    type: 'object',
+    properties: {
+      word: { type: 'string' },
+      start: { type: 'number', description: 'Timed like the segments' },
+      end: { type: 'number' }
+    }
+  },
+  TranslateRequest: {
+    type: 'object',
+    required: ['text', 'sourceLanguage', 'targetLanguage'],
+    properties: {
+      text: ref('Text'),
+      sourceLanguage: ref('LanguageCode'),
+      targetLanguage: ref('LanguageCode'),
+      context: {
+        type: 'array',
+        description: 'Recent fragments of the conversation, oldest first',
+        items: {
+          type: 'object',
+          required: ['text', 'translation'],
+          properties: { text: { type: 'string' }, translation: { type: 'string' } }
+        }
+      },
+      sessionSegment: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Segment of the X-Session-ID session being translated; without it a new segment is added'
+      }
+    }
+  },
+  TranslateResponse: {
+    type: 'object',
+    properties: {
+      translatedText: { type: 'string' },
+      sourceLanguage: ref('LanguageCode'),
+      targetLanguage: ref('LanguageCode'),
+      confidence: { type: 'number' },
+      formality: { type: 'string', enum: FORMALITY_LEVELS, nullable: true, description: 'Register of the original; null when the provider does not report it' },
+      untranslatableTerms: { type: 'array', items: { type: 'string' } },
+      glossaryTerms: { type: 'integer', description: 'Glossary entries that matched the text' },
+      glossaryIgnored: { type: 'boolean', description: 'The matching entries could not be enforced: only a provider without glossary support (DeepL) was available' },
+      contextEntries: { type: 'integer' },
+      sessionSegment: sessionSegmentProperty,
+      requestId: { type: 'string', format: 'uuid' }
+    }
+  },
+  SynthesizeRequest: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: ref('Text'),
+      language: ref('LanguageCode'),
+      voiceId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+      gender: ref('VoiceGender')
+    }
+  },
+  GlossaryEntry: {
+    type: 'object',
+    required: ['source', 'target'],
+    properties: {
+      id: { type: 'string', format: 'uuid', readOnly: true },
+      source: { type: 'string' },
+      target: { type: 'string' },
+      note: { type: 'string' }
+    }
+  },
+  Glossary: {
+    type: 'object',
+    properties: {
+      sourceLanguage: ref('LanguageCode'),
+      targetLanguage: ref('LanguageCode'),
+      entries: { type: 'array', items: ref('GlossaryEntry') },
+      version: { type: 'integer' },
+      updatedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+  },
+  SessionSegment: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer' },
+      startMs: { type: 'integer', description: 'Offset from the start of the session audio' },
+      endMs: { type: 'integer' },
+      text: { type: 'string' },
+      language: { type: 'string', nullable: true },
+      speaker: { type: 'string', nullable: true, description: 'Main speaker of the segment, when it was diarized' },
+      translatedText: { type: 'string', nullable: true },
+      sourceLanguage: { type: 'string', nullable: true },
+      targetLanguage: { type: 'string', nullable: true }
+    }
+  },
+  SessionSummary: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      sourceLanguage: { type: 'string', nullable: true },
+      targetLanguage: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      endedAt: { type: 'string', format: 'date-time', nullable: true },
+      updatedAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      audioMs: { type: 'integer', description: 'Length of the audio recorded so far; segment times are offsets into it' },
+      segmentCount: { type: 'integer' }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      sourceLanguage: { type: 'string', nullable: true },
+      targetLanguage: { type: 'string', nullable: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      endedAt: { type: 'string', format: 'date-time', nullable: true },
+      updatedAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      audioMs: { type: 'integer', description: 'Length of the audio recorded so far; segment times are offsets into it' },
+      segments: { type: 'array', items: ref('SessionSegment') }
+    }
+  },
+  UsageReport: {
+    type: 'object',
+    properties: {
+      clientId: { type: 'string' },
+      date: { type: 'string', format: 'date' },
+      resetsAt: { type: 'string', format: 'date-time' },
+      usage: { type: 'object', additionalProperties: { type: 'number' } },
+      limits: { type: 'object', additionalProperties: { type: 'number', nullable: true } },
+      remaining: { type: 'object', additionalProperties: { type: 'number', nullable: true } },
+      history: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  Quotas: {
+    type: 'object',
+    properties: Object.fromEntries(METRICS.map(metric => [metric, { type: 'integer', minimum: 0 }]))
+  },
+  ClientToken: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      revokedAt: { type: 'string', format: 'date-time', nullable: true },
+      token: { type: 'string', description: 'Only returned when the token is created' }
+    }
+  }
+};
+
+const paths = {
+  '/health': {
+    get: {
+      summary: 'Liveness check',
+      responses: { 200: ok('Service is running', { type: 'object' }) }
+    }
+  },
+  '/health/ready': {
+    get: {
+      summary: 'Readiness of each provider capability',
+      responses: {
+        200: ok('All capabilities are up', { type: 'object' }),
+        503: ok('At least one capability is down or out of quota', { type: 'object' })
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      summary: 'Prometheus metrics',
+      responses: {
+        200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...errors(401)
+      }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      summary: 'This document',
+      responses: { 200: ok('OpenAPI document', { type: 'object' }) }
+    }
+  },
+  '/api/transcribe': {
+    post: {
+      summary: 'Transcribe an audio file',
+      security: clientSecurity,
+      parameters: [sessionHeader],
+      requestBody: multipartBody({
+        audio: ref('AudioFile'),
+        language: { type: 'string', enum: ['auto', ...LANGUAGE_CODES], default: 'auto' },
+        diarize: { type: 'boolean', default: false, description: 'Tell speakers apart' }
+      }),
+      responses: {
+        200: ok('Transcription', {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            language: { type: 'string' },
+            confidence: { type: 'number', nullable: true, description: 'Mean segment confidence weighted by length; null when the provider does not report it' },
+            duration: { type: 'number', description: 'Seconds of audio' },
+            offset: { type: 'number', nullable: true, description: 'Seconds from the start of the X-Session-ID session to the start of the chunk' },
+            segments: { type: 'array', items: ref('TranscriptSegment') },
+            words: { type: 'array', items: ref('Word'), description: 'Empty when diarized' },
+            speaker: { type: 'string', description: 'Main speaker of the chunk; present when diarized' },
+            sessionSegment: sessionSegmentProperty,
+            requestId: { type: 'string', format: 'uuid' }
+          }
+        }),
+        ...errors(400, 401, 413, 429, 500, 503)
+      }
+    }
+  },
+  '/api/transcribe/stream': {
+    get: {
+      summary: 'Streaming transcription over WebSocket',
+      description: 'Upgrade to a WebSocket. Pass the client token as ?token=. See the README for the message protocol.',
+      security: clientSecurity,
+      responses: { 101: { description: 'Switching protocols' }, ...errors(401) }
+    }
+  },
+  '/api/translate': {
+    post: {
+      summary: 'Translate text',
+      security: clientSecurity,
+      parameters: [sessionHeader],
+      requestBody: jsonBody(ref('TranslateRequest')),
+      responses: { 200: ok('Translation', ref('TranslateResponse')), ...errors(400, 401, 429, 500, 502, 503) }
+    }
+  },
+  '/api/translate/stream': {
+    post: {
+      summary: 'Translate text, streamed as Server-Sent Events',
+      description: 'Events: delta { text }, done (the /api/translate response plus cached), error (an Error plus status).',
+      security: clientSecurity,
+      parameters: [sessionHeader],
+      requestBody: jsonBody(ref('TranslateRequest')),
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 429)
+      }
+    }
+  },
+  '/api/transliterate': {
+    post: {
+      summary: 'Romanize Arabic, Persian, Hebrew or Sorani Kurdish script',
+      description: 'Uses the translation model when the translate provider can transliterate, otherwise deterministic rules.',
+      security: clientSecurity,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: ref('Text'),
+          language: { type: 'string', enum: ['auto', ...LANGUAGE_CODES], default: 'auto' }
+        }
+      }),
+      responses: {
+        200: ok('Transliteration', {
+          type: 'object',
+          properties: {
+            transliteration: { type: 'string' },
+            language: ref('LanguageCode'),
+            method: {
+              type: 'string',
+              enum: ['model', 'rules', 'none'],
+              description: 'none: the language is written in Latin letters and the text is unchanged'
+            },
+            requestId: { type: 'string', format: 'uuid' }
+          }
+        }),
+        ...errors(400, 401, 429, 500)
+      }
+    }
+  },
+  '/api/synthesize': {
+    post: {
+      summary: 'Synthesize speech',
+      security: clientSecurity,
+      requestBody: jsonBody(ref('SynthesizeRequest')),
+      responses: {
+        200: { description: 'Audio', content: { 'audio/mpeg': { schema: { type: 'string', format: 'binary' } } } },
+        ...errors(400, 401, 429, 500, 503)
+      }
+    }
+  },
+  '/api/synthesize/stream': {
+    post: {
+      summary: 'Synthesize speech, streamed as it is produced',
+      security: clientSecurity,
+      requestBody: jsonBody({
+        allOf: [
+          ref('SynthesizeRequest'),
+          {
+            type: 'object',
+            properties: { format: { type: 'string', enum: VALIDATION_CONFIG.SYNTHESIS_FORMATS, default: 'pcm' } }
+          }
+        ]
+      }),
+      responses: {
+        200: {
+          description: '16-bit mono PCM at X-Sample-Rate, or MP3',
+          content: {
+            'audio/pcm': { schema: { type: 'string', format: 'binary' } },
+            'audio/mpeg': { schema: { type: 'string', format: 'binary' } }
+          }
+        },
+        ...errors(400, 401, 429, 500, 503)
+      }
+    }
+  },
+  '/api/voices': {
+    get: {
+      summary: 'Voices available for synthesis',
+      security: clientSecurity,
+      parameters: [{ name: 'language', in: 'query', schema: ref('LanguageCode') }],
+      responses: {
+        200: ok('Voices and per-gender defaults', {
+          type: 'object',
+          properties: {
+            provider: { type: 'string' },
+            language: ref('LanguageCode'),
+            defaults: { type: 'object', additionalProperties: { type: 'string' } },
+            voices: { type: 'array', items: { type: 'object' } }
+          }
+        }),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/api/pipeline': {
+    post: {
+      summary: 'Transcribe, translate and synthesize one audio chunk',
+      description: 'Responds with newline-delimited JSON events: transcription, translation, audio, done, error. Segment and word times in the transcription event are seconds from the start of the chunk; done carries the offset of the chunk in the X-Session-ID session.',
+      security: clientSecurity,
+      parameters: [sessionHeader],
+      requestBody: multipartBody({
+        audio: ref('AudioFile'),
+        sourceLanguage: ref('LanguageCode'),
+        targetLanguage: ref('LanguageCode'),
+        autoDetectLanguage: { type: 'boolean' },
+        bidirectional: { type: 'boolean' },
+        synthesize: { type: 'boolean' },
+        diarize: { type: 'boolean', description: 'Tell speakers apart; the transcription event gains speaker, and its segments name their speakers' },
+        voiceId: { type: 'string' },
+        voiceGender: ref('VoiceGender')
+      }),
+      responses: {
+        200: { description: 'Event stream', content: { 'application/x-ndjson': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 413, 429)
+      }
+    }
+  },
+  '/api/usage': {
+    get: {
+      summary: 'Usage and remaining quota for the calling client',
+      security: clientSecurity,
+      parameters: [daysParam],
+      responses: { 200: ok('Usage report', ref('UsageReport')), ...errors(400, 401, 500) }
+    }
+  },
+  '/api/sessions': {
+    post: {
+      summary: 'Open a transcript session',
+      security: clientSecurity,
+      requestBody: {
+        content: json({
+          type: 'object',
+          properties: { sourceLanguage: ref('LanguageCode'), targetLanguage: ref('LanguageCode') }
+        })
+      },
+      responses: { 201: ok('Created session', ref('SessionSummary')), ...errors(400, 401, 500) }
+    },
+    get: {
+      summary: 'Transcript sessions of the calling client',
+      security: clientSecurity,
+      responses: {
+        200: ok('Session summaries', { type: 'object', properties: { sessions: { type: 'array', items: ref('SessionSummary') } } }),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/api/sessions/{sessionId}': {
+    parameters: [sessionIdParam],
+    get: {
+      summary: 'Bilingual transcript of a session',
+      security: clientSecurity,
+      responses: { 200: ok('Session', ref('Session')), ...errors(400, 401, 404, 500) }
+    },
+    delete: {
+      summary: 'Delete a session and its transcript',
+      security: clientSecurity,
+      responses: { 204: { description: 'Deleted' }, ...errors(400, 401, 404, 500) }
+    }
+  },
+  '/api/sessions/{sessionId}/end': {
+    parameters: [sessionIdParam],
+    post: {
+      summary: 'Mark a session as ended',
+      security: clientSecurity,
+      responses: { 200: ok('Ended session', ref('SessionSummary')), ...errors(400, 401, 404, 500) }
+    }
+  },
+  '/api/sessions/{sessionId}/export': {
+    parameters: [sessionIdParam],
+    get: {
+      summary: 'Download the transcript',
+      security: clientSecurity,
+      parameters: [{ name: 'format', in: 'query', schema: { type: 'string', enum: EXPORT_FORMATS, default: 'json' } }],
+      responses: {
+        200: {
+          description: 'Transcript file; SRT and WebVTT cues hold the original line followed by the translation',
+          content: {
+            'application/json': { schema: ref('Session') },
+            'application/x-subrip': { schema: { type: 'string' } },
+            'text/vtt': { schema: { type: 'string' } }
+          }
+        },
+        ...errors(400, 401, 404, 500)
+      }
+    }
+  },
+  '/api/glossaries': {
+    get: {
+      summary: 'Glossaries of the calling client',
+      security: clientSecurity,
+      responses: {
+        200: ok('Glossary summaries', { type: 'object', properties: { glossaries: { type: 'array', items: { type: 'object' } } } }),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/api/glossaries/{source}/{target}': {
+    parameters: glossaryParams,
+    get: {
+      summary: 'Glossary for a language pair',
+      security: clientSecurity,
+      responses: { 200: ok('Glossary', ref('Glossary')), ...errors(400, 401, 500) }
+    },
+    put: {
+      summary: 'Replace every entry',
+      security: clientSecurity,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['entries'],
+        properties: { entries: { type: 'array', items: ref('GlossaryEntry') } }
+      }),
+      responses: { 200: ok('Updated glossary', ref('Glossary')), ...errors(400, 401, 500) }
+    },
+    delete: {
+      summary: 'Delete the glossary',
+      security: clientSecurity,
+      responses: { 204: { description: 'Deleted' }, ...errors(400, 401, 500) }
+    }
+  },
+  '/api/glossaries/{source}/{target}/entries': {
+    parameters: glossaryParams,
+    post: {
+      summary: 'Add or update a term',
+      security: clientSecurity,
+      requestBody: jsonBody(ref('GlossaryEntry')),
+      responses: { 201: ok('Updated glossary', ref('Glossary')), ...errors(400, 401, 500) }
+    }
+  },
+  '/api/glossaries/{source}/{target}/entries/{entryId}': {
+    parameters: [...glossaryParams, { name: 'entryId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+    delete: {
+      summary: 'Remove a term',
+      security: clientSecurity,
+      responses: { 200: ok('Updated glossary', ref('Glossary')), ...errors(400, 401, 404, 500) }
+    }
+  },
+  '/api/admin/usage/{clientId}': {
+    get: {
+      summary: 'Usage report for a client',
+      security: adminSecurity,
+      parameters: [{ name: 'clientId', in: 'path', required: true, schema: { type: 'string' } }, daysParam],
+      responses: { 200: ok('Usage report', ref('UsageReport')), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/admin/quotas/{clientId}': {
+    put: {
+      summary: 'Override daily quotas for a client (0 = unlimited)',
+      security: adminSecurity,
+      parameters: [{ name: 'clientId', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: jsonBody(ref('Quotas')),
+      responses: {
+        200: ok('Effective quotas', { type: 'object', properties: { clientId: { type: 'string' }, quotas: ref('Quotas') } }),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/admin/tokens': {
+    get: {
+      summary: 'List client tokens',
+      security: adminSecurity,
+      responses: {
+        200: ok('Tokens', { type: 'object', properties: { tokens: { type: 'array', items: ref('ClientToken') } } }),
+        ...errors(401, 403, 500)
+      }
+    },
+    post: {
+      summary: 'Issue a client token',
+      security: adminSecurity,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', minLength: 1, maxLength: VALIDATION_CONFIG.MAX_TOKEN_NAME_LENGTH } }
+      }),
+      responses: { 201: ok('Issued token', ref('ClientToken')), ...errors(400, 401, 403, 500) }
+    }
+  },
+  '/api/admin/tokens/{id}': {
+    delete: {
+      summary: 'Revoke a client token',
+      security: adminSecurity,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-f]{16}$' } }],
+      responses: { 200: ok('Revoked token', ref('ClientToken')), ...errors(400, 401, 403, 404, 500) }
+    }
+  },
+  '/api/admin/cache': {
+    delete: {
+      summary: 'Purge cached responses',
+      security: adminSecurity,
+      parameters: [{ name: 'scope', in: 'query', schema: { type: 'string', enum: CACHE_SCOPES } }],
+      responses: {
+        200: ok('Purged entries', { type: 'object', properties: { scope: { type: 'string' }, removed: { type: 'integer' } } }),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  }
+};
+
+function buildOpenApiSpec() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Middle Eastern Translator API',
+      version
+    },
+    components: {
+      securitySchemes: {
+        clientToken: { type: 'http', scheme: 'bearer' },
+        adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+      },
+      schemas
+    },
+    paths
+  };
+}
+
+module.exports = { buildOpenApiSpec, ERROR_CODES };
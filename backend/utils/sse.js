@@ -0,0 +1,45 @@
+// Server-Sent Events helpers
+
+// Prepare a response for an event stream
+function startEventStream(res, headers = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    ...headers
+  });
+  res.flushHeaders();
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression buffers output until flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+// Parse an upstream event stream (e.g. an axios response with responseType 'stream').
+// Yields the data field of each event as a string.
+async function* readEventData(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = block
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+module.exports = { startEventStream, writeEvent, readEventData };
@@ -0,0 +1,146 @@
+// Structured translation output: the model answers with a JSON object matching
+// TRANSLATION_OUTPUT_SCHEMA, and anything else is rejected rather than shown to users.
+
+const FORMALITY_LEVELS = ['formal', 'informal', 'neutral'];
+
+// translation comes first so streamed output can be shown before the object is complete
+const TRANSLATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    translation: { type: 'string' },
+    formality: { type: 'string', enum: FORMALITY_LEVELS },
+    untranslatableTerms: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['translation', 'formality', 'untranslatableTerms'],
+  additionalProperties: false
+};
+
+class TranslationOutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranslationOutputError';
+  }
+}
+
+// Validate raw model output; resolves to { translatedText, formality, untranslatableTerms }
+function parseTranslationOutput(content) {
+  let output;
+  try {
+    output = JSON.parse(content);
+  } catch (error) {
+    throw new TranslationOutputError('Translation output is not valid JSON');
+  }
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    throw new TranslationOutputError('Translation output is not an object');
+  }
+
+  const allowed = Object.keys(TRANSLATION_OUTPUT_SCHEMA.properties);
+  const unexpected = Object.keys(output).filter(key => !allowed.includes(key));
+  if (unexpected.length > 0) {
+    throw new TranslationOutputError(`Translation output has unexpected fields: ${unexpected.join(', ')}`);
+  }
+
+  const { translation, formality, untranslatableTerms } = output;
+  if (typeof translation !== 'string') {
+    throw new TranslationOutputError('Translation output is missing the translation');
+  }
+  if (!FORMALITY_LEVELS.includes(formality)) {
+    throw new TranslationOutputError(`Translation output has an invalid formality: ${formality}`);
+  }
+  if (!Array.isArray(untranslatableTerms) || !untranslatableTerms.every(term => typeof term === 'string')) {
+    throw new TranslationOutputError('Translation output has invalid untranslatableTerms');
+  }
+
+  return {
+    translatedText: translation.trim(),
+    formality,
+    untranslatableTerms
+  };
+}
+
+const TRANSLITERATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    transliteration: { type: 'string' }
+  },
+  required: ['transliteration'],
+  additionalProperties: false
+};
+
+// Validate raw transliteration output; resolves to { transliteration }
+function parseTransliterationOutput(content) {
+  let output;
+  try {
+    output = JSON.parse(content);
+  } catch (error) {
+    throw new TranslationOutputError('Transliteration output is not valid JSON');
+  }
+
+  if (!output || typeof output.transliteration !== 'string') {
+    throw new TranslationOutputError('Transliteration output is missing the transliteration');
+  }
+  return { transliteration: output.transliteration.trim() };
+}
+
+// Reads the translation field out of a partially streamed output object.
+// push(chunk) returns the characters of the translation decoded so far that were not returned before.
+class TranslationFieldReader {
+  constructor() {
+    this.raw = '';
+    this.position = -1;
+    this.complete = false;
+  }
+
+  push(chunk) {
+    this.raw += chunk;
+    if (this.complete) return '';
+
+    if (this.position === -1) {
+      const match = /"translation"\s*:\s*"/.exec(this.raw);
+      if (!match) return '';
+      this.position = match.index + match[0].length;
+    }
+
+    let text = '';
+    while (this.position < this.raw.length) {
+      const char = this.raw[this.position];
+
+      if (char === '"') {
+        this.complete = true;
+        break;
+      }
+      if (char !== '\\') {
+        text += char;
+        this.position += 1;
+        continue;
+      }
+
+      // Escape sequences may be split across chunks; wait for the rest
+      const next = this.raw[this.position + 1];
+      if (next === undefined) break;
+
+      if (next === 'u') {
+        const hex = this.raw.slice(this.position + 2, this.position + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        this.position += 6;
+      } else {
+        text += JSON.parse(`"\\${next}"`);
+        this.position += 2;
+      }
+    }
+
+    return text;
+  }
+}
+
+module.exports = {
+  FORMALITY_LEVELS,
+  TRANSLATION_OUTPUT_SCHEMA,
+  TranslationOutputError,
+  parseTranslationOutput,
+  TRANSLITERATION_OUTPUT_SCHEMA,
+  parseTransliterationOutput,
+  TranslationFieldReader
+};
@@ -0,0 +1,137 @@
+const { getBaseLanguage } = require('./languages');
+
+// Rule-based romanization of Arabic, Persian, Sorani Kurdish and Hebrew script.
+// It is deterministic and needs no provider, but cannot restore the short vowels these
+// scripts usually leave out ("كتب" comes out as "ktb"); the translation model does better.
+
+// A letter written for a consonant at the start of a word or after a vowel, and for a
+// long vowel elsewhere
+function glide(consonant, vowel) {
+  return ({ start, afterVowel }) => (start || afterVowel ? consonant : vowel);
+}
+
+// A letter pronounced one way at the start of a word and another elsewhere
+function initial(atStart, elsewhere) {
+  return ({ start }) => (start ? atStart : elsewhere);
+}
+
+const ARABIC_LETTERS = {
+  'ا': 'a', 'أ': 'a', 'إ': 'i', 'آ': 'aa', 'ٱ': 'a',
+  'ء': "'", 'ؤ': "'", 'ئ': "'",
+  'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh',
+  'د': 'd', 'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh',
+  'ص': 's', 'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': "'", 'غ': 'gh',
+  'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n',
+  'ه': 'h', 'ة': 'a', 'ى': 'a',
+  'و': glide('w', 'u'), 'ي': glide('y', 'i'),
+  // Short vowels and nunation, when they are written
+  'َ': 'a', 'ُ': 'u', 'ِ': 'i',
+  'ً': 'an', 'ٌ': 'un', 'ٍ': 'in', 'ْ': ''
+};
+
+const PERSIAN_LETTERS = {
+  ...ARABIC_LETTERS,
+  'پ': 'p', 'چ': 'ch', 'ژ': 'zh', 'گ': 'g', 'ک': 'k',
+  'ث': 's', 'ذ': 'z', 'ض': 'z', 'ظ': 'z', 'ق': 'gh',
+  'و': glide('v', 'u'), 'ی': glide('y', 'i'),
+  // A final silent h stands for e (خانه -> khane)
+  'ه': ({ end }) => (end ? 'e' : 'h')
+};
+
+// Sorani writes its vowels; letters map to the Kurdish Latin (Hawar) alphabet
+const SORANI_LETTERS = {
+  'ئ': '', 'ا': 'a', 'ە': 'e', 'ێ': 'ê', 'ۆ': 'o',
+  'و': glide('w', 'u'), 'ی': glide('y', 'î'),
+  'ب': 'b', 'پ': 'p', 'ت': 't', 'ج': 'c', 'چ': 'ç', 'ح': 'h', 'خ': 'x',
+  'د': 'd', 'ر': 'r', 'ڕ': 'r', 'ز': 'z', 'ژ': 'j', 'س': 's', 'ش': 'ş',
+  'ع': "'", 'غ': 'x', 'ف': 'f', 'ڤ': 'v', 'ق': 'q', 'ک': 'k', 'گ': 'g',
+  'ل': 'l', 'ڵ': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'ھ': 'h'
+};
+
+const HEBREW_LETTERS = {
+  'א': '', 'ב': initial('b', 'v'), 'ג': 'g', 'ד': 'd', 'ה': ({ end }) => (end ? 'a' : 'h'),
+  'ו': glide('v', 'o'), 'ז': 'z', 'ח': 'ch', 'ט': 't', 'י': glide('y', 'i'),
+  'כ': initial('k', 'kh'), 'ך': 'kh', 'ל': 'l', 'מ': 'm', 'ם': 'm', 'נ': 'n', 'ן': 'n',
+  'ס': 's', 'ע': '', 'פ': initial('p', 'f'), 'ף': 'f', 'צ': 'ts', 'ץ': 'ts', 'ק': 'k',
+  'ר': 'r', 'ש': 'sh', 'ת': 't'
+};
+
+// Rules per base language. replacements run first, on the whole text.
+const SCRIPT_RULES = {
+  ar: {
+    letters: ARABIC_LETTERS,
+    // Definite article
+    replacements: [[/(^|[^\p{L}\p{M}])ال(?=\p{L})/gu, '$1al-']]
+  },
+  fa: { letters: PERSIAN_LETTERS, replacements: [] },
+  ku: { letters: SORANI_LETTERS, replacements: [[/وو/g, 'û']] },
+  he: {
+    letters: HEBREW_LETTERS,
+    // Vowel points and cantillation marks; the maqaf joins words like a hyphen
+    replacements: [[/־/g, '-'], [/[֑-ׇ]/g, '']]
+  }
+};
+
+// Punctuation, digits and joiners shared by the scripts
+const COMMON = {
+  '،': ',', '؛': ';', '؟': '?', '٪': '%', 'ـ': '',
+  '‌': '-', '‎': '', '‏': '',
+  ...Object.fromEntries([...'٠١٢٣٤٥٦٧٨٩'].map((digit, value) => [digit, String(value)])),
+  ...Object.fromEntries([...'۰۱۲۳۴۵۶۷۸۹'].map((digit, value) => [digit, String(value)]))
+};
+
+const SHADDA = 'ّ';
+const WORD_CHAR = /[\p{L}\p{M}]/u;
+const ENDS_WITH_VOWEL = /[aeiouêîû]$/;
+const ENDS_WITH_CONSONANT = /[bcdfghjklmnpqrstvwxyzçş]$/;
+
+// Kurmanji is written in Latin letters already
+function rulesFor(language) {
+  if (language === 'kmr') return null;
+  return SCRIPT_RULES[getBaseLanguage(language)] || null;
+}
+
+// Whether text in the language is written in a script that can be romanized
+function canRomanize(language) {
+  return rulesFor(language) !== null;
+}
+
+// Text in Latin letters; characters without a rule (e.g. Latin text) are kept
+function romanize(text, language) {
+  const rules = rulesFor(language);
+  if (!rules || !text) return text;
+
+  const prepared = rules.replacements.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), text);
+  const chars = [...prepared];
+  let output = '';
+  // Last consonant written and where it ends in the output
+  let consonant = null;
+
+  chars.forEach((char, i) => {
+    // Shadda doubles the consonant it is written on, even after a vowel mark
+    if (char === SHADDA) {
+      if (consonant) {
+        output = output.slice(0, consonant.end) + consonant.piece + output.slice(consonant.end);
+        consonant = null;
+      }
+      return;
+    }
+
+    const rule = rules.letters[char] ?? COMMON[char] ?? char;
+    const piece = typeof rule === 'function'
+      ? rule({
+        start: !WORD_CHAR.test(chars[i - 1] || ''),
+        end: !WORD_CHAR.test(chars[i + 1] || ''),
+        afterVowel: ENDS_WITH_VOWEL.test(output)
+      })
+      : rule;
+    output += piece;
+    if (ENDS_WITH_CONSONANT.test(piece)) {
+      consonant = { piece, end: output.length };
+    }
+  });
+
+  return output;
+}
+
+module.exports = { canRomanize, romanize };
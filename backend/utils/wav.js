@@ -0,0 +1,184 @@
+// WAV helpers for 16-bit PCM audio
+
+// Build a 44-byte RIFF/WAVE header for 16-bit PCM data
+function createWavHeader(dataLength, sampleRate, channels = 1) {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+// Wrap raw little-endian 16-bit PCM samples in a WAV container
+function pcmToWav(pcm, sampleRate, channels = 1) {
+  return Buffer.concat([createWavHeader(pcm.length, sampleRate, channels), pcm]);
+}
+
+// Parse a RIFF/WAVE header. Returns null when the buffer is not a WAV file.
+// Resolves { audioFormat, sampleRate, channels, bitsPerSample, dataOffset, dataLength, duration (seconds) }.
+function parseWavHeader(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+
+  // Walk the chunk list; "fmt " must precede "data"
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ' && offset + 24 <= buffer.length) {
+      let audioFormat = buffer.readUInt16LE(offset + 8);
+      // WAVE_FORMAT_EXTENSIBLE carries the real format in its sub-format GUID
+      if (audioFormat === 0xFFFE && chunkSize >= 40 && offset + 34 <= buffer.length) {
+        audioFormat = buffer.readUInt16LE(offset + 32);
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(offset + 10),
+        sampleRate: buffer.readUInt32LE(offset + 12),
+        byteRate: buffer.readUInt32LE(offset + 16),
+        bitsPerSample: buffer.readUInt16LE(offset + 22)
+      };
+    } else if (chunkId === 'data' && format) {
+      // Streamed WAVs may declare a larger size than was actually sent
+      const dataLength = Math.min(chunkSize, buffer.length - offset - 8);
+      return {
+        audioFormat: format.audioFormat,
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        bitsPerSample: format.bitsPerSample,
+        dataOffset: offset + 8,
+        dataLength,
+        duration: format.byteRate > 0 ? dataLength / format.byteRate : 0
+      };
+    }
+
+    // Chunks are word-aligned
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+}
+
+// Root-mean-square level of 16-bit PCM samples, normalized to 0..1
+function pcmLevel(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2) / 0x8000;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+// WAVE format tags
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+
+// Read one sample as -1..1. Returns null for encodings that are not supported.
+function sampleReader({ audioFormat, bitsPerSample }) {
+  const float = audioFormat === WAV_FORMAT_FLOAT;
+  if (float && bitsPerSample === 32) return (buffer, offset) => buffer.readFloatLE(offset);
+  if (float) return null;
+
+  switch (bitsPerSample) {
+    case 8: return (buffer, offset) => (buffer.readUInt8(offset) - 128) / 0x80;
+    case 16: return (buffer, offset) => buffer.readInt16LE(offset) / 0x8000;
+    case 24: return (buffer, offset) => buffer.readIntLE(offset, 3) / 0x800000;
+    case 32: return (buffer, offset) => buffer.readInt32LE(offset) / 0x80000000;
+    default: return null;
+  }
+}
+
+// Decode the data chunk to mono samples (-1..1), averaging the channels
+function decodeWavSamples(buffer, wav) {
+  const readSample = sampleReader(wav);
+  if (!readSample) return null;
+
+  const bytesPerSample = wav.bitsPerSample / 8;
+  const frameBytes = bytesPerSample * wav.channels;
+  const frames = Math.floor(wav.dataLength / frameBytes);
+  const samples = new Float32Array(frames);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const frameOffset = wav.dataOffset + frame * frameBytes;
+    let sum = 0;
+    for (let channel = 0; channel < wav.channels; channel++) {
+      sum += readSample(buffer, frameOffset + channel * bytesPerSample);
+    }
+    samples[frame] = sum / wav.channels;
+  }
+
+  return samples;
+}
+
+// Downsample by averaging the input samples each output sample covers, which
+// also filters out frequencies the lower rate cannot represent
+function downsample(samples, fromRate, toRate) {
+  const ratio = fromRate / toRate;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.min(samples.length, Math.max(start + 1, Math.floor((i + 1) * ratio)));
+    let sum = 0;
+    for (let j = start; j < end; j++) {
+      sum += samples[j];
+    }
+    output[i] = sum / (end - start);
+  }
+
+  return output;
+}
+
+function floatToPcm16(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm.writeInt16LE(Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), i * 2);
+  }
+  return pcm;
+}
+
+// Convert a WAV file to 16-bit mono PCM at no more than maxSampleRate. Lower rates are
+// kept, since upsampling adds bytes but no information.
+// Returns null when the file already matches or its encoding is not supported.
+function normalizeWav(buffer, maxSampleRate) {
+  const wav = parseWavHeader(buffer);
+  if (!wav || ![WAV_FORMAT_PCM, WAV_FORMAT_FLOAT].includes(wav.audioFormat)) {
+    return null;
+  }
+
+  const sampleRate = Math.min(wav.sampleRate, maxSampleRate);
+  const isPcm16 = wav.audioFormat === WAV_FORMAT_PCM && wav.bitsPerSample === 16;
+  if (isPcm16 && wav.channels === 1 && sampleRate === wav.sampleRate) {
+    return null;
+  }
+
+  const samples = decodeWavSamples(buffer, wav);
+  if (!samples) return null;
+
+  const resampled = sampleRate < wav.sampleRate ? downsample(samples, wav.sampleRate, sampleRate) : samples;
+  return pcmToWav(floatToPcm16(resampled), sampleRate);
+}
+
+module.exports = { createWavHeader, pcmToWav, pcmLevel, parseWavHeader, normalizeWav };
@@ -5,17 +5,36 @@
 const API_ENDPOINTS = {
   BACKEND_BASE_URL: 'https://your-backend-app.herokuapp.com',
   TRANSCRIBE: '/api/transcribe',
+  TRANSCRIBE_STREAM: '/api/transcribe/stream',
   TRANSLATE: '/api/translate',
+  TRANSLATE_STREAM: '/api/translate/stream',
+  TRANSLITERATE: '/api/transliterate',
   SYNTHESIZE: '/api/synthesize',
-  HEALTH: '/health'
+  SYNTHESIZE_STREAM: '/api/synthesize/stream',
+  PIPELINE: '/api/pipeline',
+  USAGE: '/api/usage',
+  GLOSSARIES: '/api/glossaries',
+  SESSIONS: '/api/sessions',
+  VOICES: '/api/voices',
+  HEALTH: '/health',
+  HEALTH_READY: '/health/ready'
 };
 
+// Chunks processed at once; older ones are abandoned so translation keeps up with the speaker
+const MAX_CHUNKS_IN_FLIGHT = 2;
+
 const SUPPORTED_LANGUAGES = {
   'ar': { name: 'Arabic', flag: '🇸🇦', whisperCode: 'ar', displayName: 'العربية' },
+  'ar-EG': { name: 'Egyptian Arabic', flag: '🇪🇬', whisperCode: 'ar', displayName: 'مصري', base: 'ar' },
+  'ar-AE': { name: 'Gulf Arabic', flag: '🇦🇪', whisperCode: 'ar', displayName: 'خليجي', base: 'ar' },
+  'ar-LB': { name: 'Levantine Arabic', flag: '🇱🇧', whisperCode: 'ar', displayName: 'شامي', base: 'ar' },
   'fa': { name: 'Persian', flag: '🇮🇷', whisperCode: 'fa', displayName: 'فارسی' },
+  'fa-AF': { name: 'Dari', flag: '🇦🇫', whisperCode: 'fa', displayName: 'دری', base: 'fa' },
   'tr': { name: 'Turkish', flag: '🇹🇷', whisperCode: 'tr', displayName: 'Türkçe' },
   'he': { name: 'Hebrew', flag: '🇮🇱', whisperCode: 'he', displayName: 'עברית' },
   'ku': { name: 'Kurdish', flag: '🏴', whisperCode: 'ku', displayName: 'کوردی' },
+  'ckb': { name: 'Sorani Kurdish', flag: '🏴', whisperCode: 'ku', displayName: 'سۆرانی', base: 'ku' },
+  'kmr': { name: 'Kurmanji Kurdish', flag: '🏴', whisperCode: 'ku', displayName: 'Kurmancî', base: 'ku' },
   'en': { name: 'English', flag: '🇬🇧', whisperCode: 'en', displayName: 'English' }
 };
 
@@ -26,6 +45,15 @@ const DEFAULT_SETTINGS = {
   volume: 0.8,
   bidirectionalMode: false,
   autoDetectLanguage: true,
+  streamingTranscription: false,
+  streamingTranslation: false,
+  pipelineMode: false,
+  speakerLabels: false,
+  showTransliteration: false,
+  streamingAudio: false,
+  audioEncoding: 'wav',
+  contextLength: 5,
+  voices: {}, // target language -> { voiceId } or { gender }
   micDevice: 'default'
 };
 
@@ -52,9 +80,32 @@ const storageManager = {
   async getApiKeys() {
     return { openaiApiKey: '', elevenLabsApiKey: '' };
   },
+  async getClientToken() {
+    try {
+      const result = await chrome.storage.local.get(['clientToken']);
+      return result.clientToken || '';
+    } catch (error) {
+      console.error('Error getting client token:', error);
+      return '';
+    }
+  },
+  async saveLastSessionId(sessionId) {
+    try {
+      await chrome.storage.local.set({ lastSessionId: sessionId });
+      return true;
+    } catch (error) {
+      console.error('Error saving last session:', error);
+      return false;
+    }
+  },
+  async getAuthHeaders() {
+    const token = await this.getClientToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  },
   async clearAll() {
     try {
       await chrome.storage.sync.clear();
+      await chrome.storage.local.clear();
       return true;
     } catch (error) {
       return false;
@@ -62,16 +113,87 @@ const storageManager = {
   }
 };
 
-// Error Handler (minimal)
+// Same as RETRY_CONFIG in modules/constants.js
+const RETRY_CONFIG = {
+  MAX_RETRIES: 3,
+  INITIAL_DELAY: 1000,
+  MAX_DELAY: 10000,
+  BACKOFF_MULTIPLIER: 2,
+  ERROR_RATE_THRESHOLD: 5,
+  ERROR_RATE_WINDOW: 60000,
+  CHUNK_STALE_AFTER: 5000
+};
+
+// Same as AUDIO_CONFIG.NO_SPEECH_THRESHOLD in modules/constants.js
+const NO_SPEECH_THRESHOLD = 0.6;
+
+// Error Handler (minimal; retries follow modules/errorHandler.js)
 const ErrorHandler = class {
-  retryWithBackoff(fn, context) {
-    return fn();
+  constructor() {
+    // Recent error timestamps by type and context
+    this.errorCounts = new Map();
+    this.errorRateThreshold = RETRY_CONFIG.ERROR_RATE_THRESHOLD;
+    this.errorRateWindow = RETRY_CONFIG.ERROR_RATE_WINDOW;
+  }
+  async retryWithBackoff(fn, context = 'unknown', { maxRetries = RETRY_CONFIG.MAX_RETRIES, deadline = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        const errorType = this.getErrorType(error);
+        const strategy = this.getRetryStrategy(errorType);
+        const retries = Math.min(maxRetries, strategy.maxRetries);
+        if (attempt >= retries) throw error;
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter && retryAfter * 1000 > RETRY_CONFIG.MAX_DELAY) throw error;
+        const delay = retryAfter
+          ? retryAfter * 1000
+          : Math.min(strategy.delay * Math.pow(RETRY_CONFIG.BACKOFF_MULTIPLIER, attempt), RETRY_CONFIG.MAX_DELAY);
+        // Drop work whose result would arrive too late, e.g. a stale audio chunk
+        if (deadline && Date.now() + delay > deadline) throw error;
+        console.warn(`Retry ${attempt + 1}/${retries} for ${context} (${errorType}) in ${delay}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  getErrorType(error) {
+    const status = getStatus(error);
+    if (status === 401 || status === 403) return 'AUTH_ERROR';
+    if (getErrorCode(error) === 'QUOTA_EXCEEDED' || status === 402) return 'QUOTA_EXCEEDED';
+    if (status === 429) return 'RATE_LIMIT';
+    if (status === 503) return 'SERVICE_UNAVAILABLE';
+    if (status >= 400 && status < 500 && status !== 408) return 'REQUEST_ERROR';
+    if (!status && (error instanceof TypeError || error.cause instanceof TypeError)) return 'NETWORK_ERROR';
+    return 'UNKNOWN_ERROR';
+  }
+  getRetryStrategy(errorType) {
+    const strategies = {
+      'AUTH_ERROR': { maxRetries: 0, delay: 0 },
+      'REQUEST_ERROR': { maxRetries: 0, delay: 0 },
+      'QUOTA_EXCEEDED': { maxRetries: 0, delay: 0 },
+      'RATE_LIMIT': { maxRetries: 3, delay: 5000 },
+      'NETWORK_ERROR': { maxRetries: 5, delay: 1000 },
+      'SERVICE_UNAVAILABLE': { maxRetries: 1, delay: 5000 },
+      'UNKNOWN_ERROR': { maxRetries: 2, delay: 1000 }
+    };
+    return strategies[errorType] || strategies['UNKNOWN_ERROR'];
   }
   handleAudioError(error, context) {
     return { type: 'AUDIO_ERROR', message: error.message };
   }
   handleApiError(error, apiName) {
-    return { type: 'API_ERROR', message: error.message };
+    const errorType = this.getErrorType(error);
+    if (errorType === 'SERVICE_UNAVAILABLE') {
+      return { type: errorType, message: 'Translation service temporarily unavailable' };
+    }
+    if (errorType === 'QUOTA_EXCEEDED') {
+      return { type: errorType, message: 'Usage quota exceeded. Translation resumes when it resets' };
+    }
+    if (errorType === 'AUTH_ERROR') {
+      return { type: errorType, message: 'Please check your client token in the extension settings' };
+    }
+    return { type: errorType, message: error.message };
   }
   getUserFriendlyMessage(info) {
     return info.message || 'An error occurred';
@@ -79,33 +201,87 @@ const ErrorHandler = class {
   logError(error, context) {
     console.error(`[${context}]`, error);
   }
-  isFeatureDisabled() {
-    return false;
+  trackError(errorType, context) {
+    const key = `${errorType}-${context}`;
+    const recent = this.getRecentErrors(key);
+    recent.push(Date.now());
+    this.errorCounts.set(key, recent);
+    return recent.length <= this.errorRateThreshold;
+  }
+  getRecentErrors(key) {
+    const since = Date.now() - this.errorRateWindow;
+    return (this.errorCounts.get(key) || []).filter(timestamp => timestamp > since);
+  }
+  resetErrorCount(errorType, context) {
+    this.errorCounts.delete(`${errorType}-${context}`);
   }
+  isFeatureDisabled(errorType, context) {
+    return this.getRecentErrors(`${errorType}-${context}`).length > this.errorRateThreshold;
+  }
+};
+
+// Seconds a rate-limited backend asked us to wait, from an error or one it wraps
+const getRetryAfter = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.retryAfter) return current.retryAfter;
+  }
+  return null;
+};
+
+// HTTP status and error code of a backend error, from an error or one it wraps
+const getStatus = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.status) return current.status;
+  }
+  return null;
+};
+const getErrorCode = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.code) return current.code;
+  }
+  return null;
+};
+
+const isAbortError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.name === 'AbortError') return true;
+  }
+  return false;
 };
 
 // Mock API implementations
+const mockSpeaker = () => (Math.random() < 0.5 ? 'speaker_1' : 'speaker_2');
+
 const WhisperAPI = class {
-  transcribe(audioBlob, language, mockMode) {
+  transcribe(audioBlob, language, mockMode, signal, diarize) {
     if (mockMode) {
       return new Promise(resolve => {
         setTimeout(() => {
-          resolve({ text: 'مرحبا، كيف حالك؟', language: 'ar', confidence: 0.95 });
+          resolve({ text: 'مرحبا، كيف حالك؟', language: 'ar', confidence: 0.95, speaker: diarize ? mockSpeaker() : null });
         }, 1000);
       });
     }
     throw new Error('Backend not configured');
   }
+  async createStream(options) {
+    throw new Error('Backend not configured');
+  }
+  setTranscriptSession(sessionId) {}
   detectLanguage(text) {
     return /[؀-ۿ]/.test(text) ? 'ar' : 'en';
   }
 };
 
 const TranslationAPI = class {
-  translate(text, sourceLang, targetLang, mockMode) {
+  translate(text, sourceLang, targetLang, mockMode, onPartial, sessionSegment) {
     if (mockMode) {
       return new Promise(resolve => {
-        setTimeout(() => {
+        setTimeout(async () => {
+          const words = 'Hello, how are you?'.split(' ');
+          for (let i = 1; onPartial && i <= words.length; i++) {
+            onPartial(words.slice(0, i).join(' '));
+            await new Promise(wait => setTimeout(wait, 150));
+          }
           resolve({ translatedText: 'Hello, how are you?', confidence: 0.9 });
         }, 800);
       });
@@ -115,10 +291,13 @@ const TranslationAPI = class {
   needsTranslation(text, targetLang) {
     return true;
   }
+  setMaxHistoryLength(length) {}
+  setTranscriptSession(sessionId) {}
+  clearHistory() {}
 };
 
 const ElevenLabsTTS = class {
-  synthesize(text, language, mockMode) {
+  synthesize(text, language, mockMode, voice) {
     if (mockMode) {
       return new Promise(resolve => {
         setTimeout(() => {
@@ -131,9 +310,55 @@ const ElevenLabsTTS = class {
   async playAudio(buffer, volume) {
     // Mock audio playback
   }
+  async speak(text, language, options = {}) {
+    if (options.mockMode) {
+      return this.playAudio(await this.synthesize(text, language, true), options.volume);
+    }
+    throw new Error('Backend not configured');
+  }
   cleanup() {}
 };
 
+const PipelineAPI = class {
+  process(audioBlob, settings, mockMode, callbacks = {}) {
+    if (mockMode) {
+      return new Promise(resolve => {
+        setTimeout(() => {
+          const transcription = { text: 'مرحبا، كيف حالك؟', language: 'ar', confidence: 0.95, speaker: settings.diarize ? mockSpeaker() : null };
+          const translation = { translatedText: 'Hello, how are you?', sourceLanguage: 'ar', targetLanguage: 'en', confidence: 0.9 };
+          callbacks.onTranscription?.(transcription);
+          callbacks.onTranslation?.(translation);
+          resolve({ transcription, translation, audio: new ArrayBuffer(44) });
+        }, 1500);
+      });
+    }
+    throw new Error('Backend not configured');
+  }
+  setTranscriptSession(sessionId) {}
+};
+
+const TransliterationAPI = class {
+  transliterate(text, language, mockMode, signal) {
+    if (mockMode) {
+      return new Promise(resolve => {
+        setTimeout(() => {
+          resolve({ transliteration: 'marhaba, kayf halak?', language: 'ar', method: 'model' });
+        }, 300);
+      });
+    }
+    throw new Error('Backend not configured');
+  }
+};
+
+const SessionAPI = class {
+  async create(sourceLanguage, targetLanguage) {
+    throw new Error('Backend not configured');
+  }
+  async end(sessionId) {
+    throw new Error('Backend not configured');
+  }
+};
+
 const AudioCapture = class {
   constructor() {
     this.isCapturing = false;
@@ -153,6 +378,9 @@ const AudioCapture = class {
       }
     }, 2500);
   }
+  onAudioFrame(callback) {
+    // Mock capture produces no PCM frames
+  }
   getStatus() {
     return { isInitialized: false, isCapturing: this.isCapturing };
   }
@@ -167,7 +395,20 @@ class BackgroundService {
         this.whisperAPI = new WhisperAPI();
         this.translationAPI = new TranslationAPI();
         this.ttsAPI = new ElevenLabsTTS();
+        this.pipelineAPI = new PipelineAPI();
+        this.transliterationAPI = new TransliterationAPI();
+        this.sessionAPI = new SessionAPI();
         this.errorHandler = new ErrorHandler();
+        this.transcriptionStream = null;
+        this.transcriptSessionId = null;
+        // Requests are paused until this time after the backend answers 429
+        this.pausedUntil = 0;
+        // AbortControllers of the chunks being processed, oldest first
+        this.chunkControllers = [];
+        // Set while chunks keep failing; the widget shows a degraded state instead of each error
+        this.degraded = false;
+        // Display label of each backend speaker id, numbered in order of appearance
+        this.speakerLabels = new Map();
         this.isActive = false;
         this.currentSettings = null;
         this.healthCheckInterval = null;
@@ -229,23 +470,37 @@ class BackgroundService {
             // Load settings
             this.currentSettings = await storageManager.getSettings();
 
+            // Each session starts without conversation context or known speakers
+            this.translationAPI.clearHistory();
+            this.speakerLabels.clear();
+            this.translationAPI.setMaxHistoryLength(this.currentSettings.contextLength);
+
+            // Record this run's bilingual transcript on the backend
+            await this.openTranscriptSession();
+
             // Initialize audio capture with error handling
             this.audioCapture = new AudioCapture();
             
             try {
                 await this.audioCapture.initialize(
                     this.currentSettings.micDevice || 'default',
-                    this.currentSettings.volume || 0.8
+                    this.currentSettings.volume || 0.8,
+                    { encoding: this.currentSettings.audioEncoding }
                 );
             } catch (audioError) {
                 const errorInfo = this.errorHandler.handleAudioError(audioError, 'startTranslation');
                 throw new Error(this.errorHandler.getUserFriendlyMessage(errorInfo));
             }
 
-            // Set up audio chunk handler
-            this.audioCapture.onAudioChunk(async (audioBlob) => {
-                await this.processAudioChunk(audioBlob);
-            });
+            if (this.currentSettings.streamingTranscription && !this.currentSettings.mockMode) {
+                // Stream PCM frames and translate each finalized segment
+                await this.startTranscriptionStream();
+            } else {
+                // Set up audio chunk handler
+                this.audioCapture.onAudioChunk(async (audioBlob) => {
+                    await this.processAudioChunk(audioBlob);
+                });
+            }
 
             // Start capturing
             this.audioCapture.startCapture();
@@ -267,12 +522,23 @@ class BackgroundService {
                 return;
             }
 
+            this.abortChunks();
+            this.degraded = false;
+            this.errorHandler.resetErrorCount('api_error', 'translation');
+
             if (this.audioCapture) {
                 this.audioCapture.stopCapture();
                 await this.audioCapture.cleanup();
                 this.audioCapture = null;
             }
 
+            if (this.transcriptionStream) {
+                this.transcriptionStream.close();
+                this.transcriptionStream = null;
+            }
+
+            await this.closeTranscriptSession();
+
             this.isActive = false;
             console.log('Translation stopped');
 
@@ -282,9 +548,87 @@ class BackgroundService {
         }
     }
 
+    // Open a transcript session for this run; translation continues without one
+    async openTranscriptSession() {
+        this.transcriptSessionId = null;
+
+        if (!this.currentSettings.mockMode) {
+            try {
+                const session = await this.sessionAPI.create(
+                    this.currentSettings.sourceLanguage,
+                    this.currentSettings.targetLanguage
+                );
+                this.transcriptSessionId = session.id;
+                await storageManager.saveLastSessionId(session.id);
+            } catch (error) {
+                this.errorHandler.logError(error, 'openTranscriptSession');
+            }
+        }
+
+        this.whisperAPI.setTranscriptSession(this.transcriptSessionId);
+        this.translationAPI.setTranscriptSession(this.transcriptSessionId);
+        this.pipelineAPI.setTranscriptSession(this.transcriptSessionId);
+    }
+
+    async closeTranscriptSession() {
+        if (!this.transcriptSessionId) return;
+
+        try {
+            await this.sessionAPI.end(this.transcriptSessionId);
+        } catch (error) {
+            this.errorHandler.logError(error, 'closeTranscriptSession');
+        }
+
+        this.transcriptSessionId = null;
+        this.whisperAPI.setTranscriptSession(null);
+        this.translationAPI.setTranscriptSession(null);
+        this.pipelineAPI.setTranscriptSession(null);
+    }
+
+    async startTranscriptionStream() {
+        this.transcriptionStream = await this.whisperAPI.createStream({
+            language: this.currentSettings.autoDetectLanguage ? 'auto' : this.currentSettings.sourceLanguage,
+            onInterim: (result) => {
+                this.sendInterimToContentScript(result);
+            },
+            onFinal: async (result) => {
+                const chunk = this.beginChunk();
+                try {
+                    await this.processTranscription(result, chunk.signal, Date.now() + RETRY_CONFIG.CHUNK_STALE_AFTER);
+                } finally {
+                    this.endChunk(chunk);
+                }
+            },
+            onError: async (error) => {
+                this.errorHandler.logError(error, 'transcriptionStream');
+                const errorInfo = this.errorHandler.handleApiError(error, 'Transcription Stream');
+                await this.sendErrorToContentScript(this.errorHandler.getUserFriendlyMessage(errorInfo));
+            }
+        });
+
+        await this.transcriptionStream.ready;
+
+        this.audioCapture.onAudioFrame((frame) => {
+            if (this.transcriptionStream) {
+                this.transcriptionStream.sendAudio(frame);
+            }
+        });
+    }
+
     async processAudioChunk(audioBlob) {
+        if (!this.isActive || !this.currentSettings) return;
+        // Chunks recorded while rate limited are dropped rather than queued
+        if (this.isPaused()) return;
+
+        const chunk = this.beginChunk();
+        // Retries that would finish after this are dropped; the speaker has moved on
+        const deadline = Date.now() + RETRY_CONFIG.CHUNK_STALE_AFTER;
         try {
-            if (!this.isActive || !this.currentSettings) return;
+            // Pipeline mode: one backend request per chunk instead of three
+            if (this.currentSettings.pipelineMode) {
+                await this.processPipelineChunk(audioBlob, chunk.signal, deadline);
+                return;
+            }
 
             // Step 1: Transcribe audio with retry logic
             const transcription = await this.errorHandler.retryWithBackoff(
@@ -292,16 +636,89 @@ class BackgroundService {
                     return await this.whisperAPI.transcribe(
                         audioBlob,
                         this.currentSettings.autoDetectLanguage ? 'auto' : this.currentSettings.sourceLanguage,
-                        this.currentSettings.mockMode
+                        this.currentSettings.mockMode,
+                        chunk.signal,
+                        this.currentSettings.speakerLabels
                     );
                 },
-                'whisper_transcription'
+                'whisper_transcription',
+                { deadline }
             );
 
-            if (!transcription.text || transcription.text.trim().length === 0) {
+            await this.processTranscription(transcription, chunk.signal, deadline);
+
+        } catch (error) {
+            // Superseded by newer chunks, or translation stopped
+            if (chunk.signal.aborted) return;
+            await this.reportChunkError(error, 'processAudioChunk');
+        } finally {
+            this.endChunk(chunk);
+        }
+    }
+
+    async processPipelineChunk(audioBlob, signal, deadline) {
+        const result = await this.errorHandler.retryWithBackoff(
+            async () => {
+                return await this.pipelineAPI.process(
+                    audioBlob,
+                    {
+                        sourceLanguage: this.currentSettings.sourceLanguage,
+                        targetLanguage: this.currentSettings.targetLanguage,
+                        autoDetectLanguage: this.currentSettings.autoDetectLanguage,
+                        bidirectional: this.currentSettings.bidirectionalMode,
+                        synthesize: true,
+                        diarize: this.currentSettings.speakerLabels,
+                        voice: this.currentSettings.voices?.[this.currentSettings.targetLanguage]
+                    },
+                    this.currentSettings.mockMode,
+                    {},
+                    signal
+                );
+            },
+            'pipeline',
+            { deadline }
+        );
+        this.reportChunkSuccess();
+
+        // Nothing was said, or the speech was already in the target language
+        if (!result.transcription?.text || !result.translation || this.isNoSpeech(result.transcription)) {
+            return;
+        }
+
+        const transliteration = this.transliterate(result.transcription.text, result.translation.sourceLanguage, signal);
+
+        if (result.audio) {
+            await this.ttsAPI.playAudio(result.audio, this.currentSettings.volume);
+        }
+
+        await this.sendResultsToContentScript({
+            originalText: result.transcription.text,
+            translatedText: result.translation.translatedText,
+            transliteration: await transliteration,
+            sourceLanguage: result.translation.sourceLanguage,
+            targetLanguage: result.translation.targetLanguage,
+            confidence: result.transcription.confidence,
+            bidirectional: this.currentSettings.bidirectionalMode,
+            speaker: this.getSpeakerLabel(result.transcription.speaker)
+        });
+    }
+
+    // Translate, speak and display a transcription (from a chunk or a stream segment).
+    // signal aborts the work when the chunk is superseded or translation stops, and
+    // retries are dropped once deadline has passed.
+    async processTranscription(transcription, signal = null, deadline = null) {
+        try {
+            if (!this.isActive || !this.currentSettings) return;
+
+            // Transcription succeeded; with nothing said the chunk is done and counts as a
+            // success, so silence after errors still clears the degraded state
+            if (!transcription.text || transcription.text.trim().length === 0 || this.isNoSpeech(transcription)) {
+                this.reportChunkSuccess();
                 return;
             }
 
+            if (this.isPaused()) return;
+
             // Step 2: Determine source and target languages
             let sourceLanguage = transcription.language;
             let targetLanguage = this.currentSettings.targetLanguage;
@@ -309,6 +726,10 @@ class BackgroundService {
             // Auto-detect language if enabled
             if (this.currentSettings.autoDetectLanguage) {
                 sourceLanguage = this.whisperAPI.detectLanguage(transcription.text);
+                // Detection only tells base languages apart; keep the chosen dialect or variant
+                if (SUPPORTED_LANGUAGES[this.currentSettings.sourceLanguage]?.base === sourceLanguage) {
+                    sourceLanguage = this.currentSettings.sourceLanguage;
+                }
             }
 
             // Bidirectional mode: determine translation direction
@@ -320,6 +741,21 @@ class BackgroundService {
 
             // Check if translation is needed
             if (this.translationAPI.needsTranslation(transcription.text, targetLanguage)) {
+                // Romanized while the translation is prepared
+                const transliteration = this.transliterate(transcription.text, sourceLanguage, signal);
+
+                // Show the translation as it forms when streaming is enabled
+                const onPartial = this.currentSettings.streamingTranslation
+                    ? (translatedText) => this.sendPartialTranslationToContentScript({
+                        originalText: transcription.text,
+                        translatedText,
+                        sourceLanguage,
+                        targetLanguage,
+                        segmentId: transcription.segmentId,
+                        speaker: this.getSpeakerLabel(transcription.speaker)
+                    })
+                    : null;
+
                 // Step 3: Translate with retry logic
                 const translation = await this.errorHandler.retryWithBackoff(
                     async () => {
@@ -327,48 +763,186 @@ class BackgroundService {
                             transcription.text,
                             sourceLanguage,
                             targetLanguage,
-                            this.currentSettings.mockMode
+                            this.currentSettings.mockMode,
+                            onPartial,
+                            transcription.sessionSegment ?? null,
+                            signal
                         );
                     },
-                    'translation'
+                    'translation',
+                    { deadline }
                 );
 
-                // Step 4: Synthesize speech with retry logic
-                const audioBuffer = await this.errorHandler.retryWithBackoff(
-                    async () => {
-                        return await this.ttsAPI.synthesize(
-                            translation.translatedText,
-                            targetLanguage,
-                            this.currentSettings.mockMode
-                        );
-                    },
-                    'tts_synthesis'
-                );
+                if (this.currentSettings.streamingAudio) {
+                    // Steps 4-5: Stream speech and start playing with the first chunk
+                    await this.errorHandler.retryWithBackoff(
+                        async () => {
+                            return await this.ttsAPI.speak(
+                                translation.translatedText,
+                                targetLanguage,
+                                {
+                                    mockMode: this.currentSettings.mockMode,
+                                    voice: this.currentSettings.voices?.[targetLanguage],
+                                    volume: this.currentSettings.volume,
+                                    signal
+                                }
+                            );
+                        },
+                        'tts_synthesis',
+                        { deadline }
+                    );
+                } else {
+                    // Step 4: Synthesize speech with retry logic
+                    const audioBuffer = await this.errorHandler.retryWithBackoff(
+                        async () => {
+                            return await this.ttsAPI.synthesize(
+                                translation.translatedText,
+                                targetLanguage,
+                                this.currentSettings.mockMode,
+                                this.currentSettings.voices?.[targetLanguage],
+                                signal
+                            );
+                        },
+                        'tts_synthesis',
+                        { deadline }
+                    );
 
-                // Step 5: Play audio
-                await this.ttsAPI.playAudio(audioBuffer, this.currentSettings.volume);
+                    // Step 5: Play audio
+                    await this.ttsAPI.playAudio(audioBuffer, this.currentSettings.volume);
+                }
 
                 // Step 6: Send results to content script
                 await this.sendResultsToContentScript({
                     originalText: transcription.text,
                     translatedText: translation.translatedText,
+                    transliteration: await transliteration,
                     sourceLanguage,
                     targetLanguage,
                     confidence: transcription.confidence,
-                    bidirectional: this.currentSettings.bidirectionalMode
+                    bidirectional: this.currentSettings.bidirectionalMode,
+                    segmentId: transcription.segmentId,
+                    speaker: this.getSpeakerLabel(transcription.speaker)
                 });
             }
+            this.reportChunkSuccess();
 
         } catch (error) {
-            this.errorHandler.logError(error, 'processAudioChunk');
-            const errorInfo = this.errorHandler.handleApiError(error, 'Translation Pipeline');
-            await this.sendErrorToContentScript(this.errorHandler.getUserFriendlyMessage(errorInfo));
+            if (signal?.aborted) return;
+            await this.reportChunkError(error, 'processTranscription');
+        }
+    }
+
+    // Romanized original when the widget shows it, or null. A missing romanization is not
+    // worth failing the segment over.
+    async transliterate(text, language, signal) {
+        if (!this.currentSettings.showTransliteration) return null;
+
+        try {
+            const result = await this.transliterationAPI.transliterate(
+                text,
+                language,
+                this.currentSettings.mockMode,
+                signal
+            );
+            return result.method === 'none' ? null : result.transliteration;
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.warn('Transliteration failed:', error.message);
+            }
+            return null;
+        }
+    }
+
+    // Whether the provider judged every segment of a transcription to be something other
+    // than speech; such text is usually made up from background noise
+    isNoSpeech(transcription) {
+        const segments = transcription.segments || [];
+        return segments.length > 0 &&
+            segments.every(segment => (segment.noSpeechProb ?? 0) >= NO_SPEECH_THRESHOLD);
+    }
+
+    // Report a failed chunk. A few errors are shown one by one; once they exceed the error
+    // rate the widget switches to a degraded state until a chunk succeeds again.
+    async reportChunkError(error, context) {
+        this.pauseForRetryAfter(error);
+        this.errorHandler.logError(error, context);
+        const errorInfo = this.errorHandler.handleApiError(error, 'Translation Pipeline');
+        const message = this.errorHandler.getUserFriendlyMessage(errorInfo);
+
+        this.errorHandler.trackError('api_error', 'translation');
+        if (this.errorHandler.isFeatureDisabled('api_error', 'translation')) {
+            await this.setDegraded(true, message);
+            return;
         }
+        await this.sendErrorToContentScript(message);
+    }
+
+    reportChunkSuccess() {
+        this.errorHandler.resetErrorCount('api_error', 'translation');
+        if (this.degraded) {
+            this.setDegraded(false);
+        }
+    }
+
+    // Tell the widget when the service becomes degraded or recovers
+    async setDegraded(degraded, message = null) {
+        if (this.degraded === degraded) return;
+        this.degraded = degraded;
+        await this.sendMessageToMeetTabs({
+            type: 'SERVICE_STATUS',
+            status: degraded ? 'degraded' : 'ok',
+            message
+        });
+    }
+
+    // Track a chunk being processed. Live translation is only useful while it keeps up,
+    // so beyond MAX_CHUNKS_IN_FLIGHT the oldest chunk is abandoned and its requests cancelled.
+    beginChunk() {
+        const controller = new AbortController();
+        this.chunkControllers.push(controller);
+        while (this.chunkControllers.length > MAX_CHUNKS_IN_FLIGHT) {
+            this.chunkControllers.shift().abort();
+        }
+        return controller;
+    }
+
+    endChunk(controller) {
+        this.chunkControllers = this.chunkControllers.filter(item => item !== controller);
+    }
+
+    // Cancel every chunk in flight, e.g. when translation stops
+    abortChunks() {
+        this.chunkControllers.forEach(controller => controller.abort());
+        this.chunkControllers = [];
+    }
+
+    // Label shown for a backend speaker id. Within a transcript session the backend keeps
+    // ids stable across chunks; numbering them here keeps the labels short and stable too.
+    getSpeakerLabel(speakerId) {
+        if (!speakerId) return null;
+        if (!this.speakerLabels.has(speakerId)) {
+            this.speakerLabels.set(speakerId, `Speaker ${this.speakerLabels.size + 1}`);
+        }
+        return this.speakerLabels.get(speakerId);
+    }
+
+    // Stop sending requests for as long as a rate-limited backend asked
+    pauseForRetryAfter(error) {
+        const retryAfter = getRetryAfter(error);
+        if (retryAfter) {
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter * 1000);
+            console.warn(`Rate limited by the backend, pausing for ${retryAfter}s`);
+        }
+    }
+
+    isPaused() {
+        return Date.now() < this.pausedUntil;
     }
 
     determineTranslationDirection(detectedLanguage, text) {
         // If bidirectional mode is enabled, determine which direction to translate
-        const isMiddleEasternLanguage = ['ar', 'fa', 'tr', 'he', 'ku'].includes(detectedLanguage);
+        const baseLanguage = SUPPORTED_LANGUAGES[detectedLanguage]?.base || detectedLanguage;
+        const isMiddleEasternLanguage = ['ar', 'fa', 'tr', 'he', 'ku'].includes(baseLanguage);
         const isEnglish = detectedLanguage === 'en';
         
         if (isMiddleEasternLanguage) {
@@ -392,38 +966,46 @@ class BackgroundService {
         }
     }
 
-    async sendResultsToContentScript(results) {
+    async sendMessageToMeetTabs(message) {
         try {
             const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
             
             for (const tab of tabs) {
-                chrome.tabs.sendMessage(tab.id, {
-                    type: 'TRANSLATION_RESULT',
-                    data: results
-                }).catch(error => {
-                    console.error('Error sending results to content script:', error);
+                chrome.tabs.sendMessage(tab.id, message).catch(error => {
+                    console.error(`Error sending ${message.type} to content script:`, error);
                 });
             }
         } catch (error) {
-            console.error('Error sending results to content script:', error);
+            console.error(`Error sending ${message.type} to content script:`, error);
         }
     }
 
+    async sendResultsToContentScript(results) {
+        await this.sendMessageToMeetTabs({
+            type: 'TRANSLATION_RESULT',
+            data: results
+        });
+    }
+
+    async sendInterimToContentScript(interim) {
+        await this.sendMessageToMeetTabs({
+            type: 'TRANSCRIPTION_INTERIM',
+            data: interim
+        });
+    }
+
+    async sendPartialTranslationToContentScript(partial) {
+        await this.sendMessageToMeetTabs({
+            type: 'TRANSLATION_PARTIAL',
+            data: partial
+        });
+    }
+
     async sendErrorToContentScript(errorMessage) {
-        try {
-            const tabs = await chrome.tabs.query({ url: 'https://meet.google.com/*' });
-            
-            for (const tab of tabs) {
-                chrome.tabs.sendMessage(tab.id, {
-                    type: 'TRANSLATION_ERROR',
-                    error: errorMessage
-                }).catch(error => {
-                    console.error('Error sending error to content script:', error);
-                });
-            }
-        } catch (error) {
-            console.error('Error sending error to content script:', error);
-        }
+        await this.sendMessageToMeetTabs({
+            type: 'TRANSLATION_ERROR',
+            error: errorMessage
+        });
     }
 
     async updateSettings(settings) {
@@ -461,22 +1043,29 @@ class BackgroundService {
             
             const results = {
                 backend: false,
+                transcription: false,
                 translation: false,
-                tts: false
+                tts: false,
+                services: {}
             };
 
             if (settings.mockMode) {
                 return { ...results, mockMode: true };
             }
 
-            // Test backend health
+            // Probe each service through the backend's readiness check
             try {
-                const response = await fetch(`${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.HEALTH}`);
-                results.backend = response.ok;
-                results.translation = response.ok;
-                results.tts = response.ok;
+                const response = await fetch(`${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.HEALTH_READY}`);
+                const readiness = await response.json();
+                const isUp = (capability) => readiness.capabilities?.[capability]?.status === 'up';
+
+                results.backend = true;
+                results.transcription = isUp('transcribe');
+                results.translation = isUp('translate');
+                results.tts = isUp('synthesize');
+                results.services = readiness.capabilities || {};
             } catch (error) {
-                console.error('Backend health check failed:', error);
+                console.error('Backend readiness check failed:', error);
             }
 
             return results;
@@ -539,6 +1128,10 @@ class BackgroundService {
         if (this.audioCapture) {
             this.audioCapture.cleanup();
         }
+
+        if (this.transcriptionStream) {
+            this.transcriptionStream.close();
+        }
         
         if (this.ttsAPI) {
             this.ttsAPI.cleanup();
@@ -552,12 +1145,4 @@ const backgroundService = new BackgroundService();
 // Cleanup on extension unload
 chrome.runtime.onSuspend.addListener(() => {
     backgroundService.cleanup();
-
-}
-
-// Initialize
-const backgroundService = new BackgroundService();
-
-chrome.runtime.onSuspend.addListener(() => {
-  backgroundService.cleanup();
 });
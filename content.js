@@ -1,4 +1,4 @@
-import { SUPPORTED_LANGUAGES } from './modules/constants.js';
+import { SUPPORTED_LANGUAGES, WIDGET_CONFIG } from './modules/constants.js';
 
 class MeetTranslationWidget {
     constructor() {
@@ -128,6 +128,18 @@ class MeetTranslationWidget {
                 gap: 4px;
             }
 
+            .speaker-label {
+                border-radius: 4px;
+                padding: 0 6px;
+                font-weight: 600;
+                opacity: 1;
+                background: var(--speaker-color, rgba(255, 255, 255, 0.3));
+            }
+
+            .speaker-label[hidden] {
+                display: none;
+            }
+
             .text-content {
                 background: rgba(255, 255, 255, 0.1);
                 border-radius: 8px;
@@ -143,6 +155,23 @@ class MeetTranslationWidget {
                 font-style: italic;
             }
 
+            .text-content.interim {
+                opacity: 0.75;
+            }
+
+            .transliteration-text {
+                font-size: 13px;
+                font-style: italic;
+                opacity: 0.85;
+                margin-top: 4px;
+                padding: 0 12px;
+                direction: ltr;
+            }
+
+            .transliteration-text[hidden] {
+                display: none;
+            }
+
             .status-indicator {
                 display: flex;
                 align-items: center;
@@ -197,8 +226,10 @@ class MeetTranslationWidget {
                 <div class="transcription-section">
                     <div class="section-label">
                         <span>Original Text</span>
+                        <span class="speaker-label" id="speaker-label" hidden></span>
                     </div>
                     <div class="text-content" id="original-text">Listening for speech...</div>
+                    <div class="transliteration-text" id="transliteration-text" hidden></div>
                 </div>
                 <div class="transcription-section">
                     <div class="section-label">
@@ -270,12 +301,21 @@ class MeetTranslationWidget {
                 case 'TRANSLATION_RESULT':
                     this.updateTranslation(message.data);
                     break;
+                case 'TRANSCRIPTION_INTERIM':
+                    this.updateInterimTranscription(message.data);
+                    break;
+                case 'TRANSLATION_PARTIAL':
+                    this.updatePartialTranslation(message.data);
+                    break;
                 case 'TRANSLATION_ERROR':
                     this.showError(message.error);
                     break;
                 case 'STATUS_UPDATE':
                     this.updateStatus(message.status);
                     break;
+                case 'SERVICE_STATUS':
+                    this.updateServiceStatus(message.status, message.message);
+                    break;
             }
         });
     }
@@ -309,10 +349,13 @@ class MeetTranslationWidget {
 
         // Update text content
         originalText.textContent = data.originalText;
-        originalText.classList.remove('empty');
+        originalText.classList.remove('empty', 'interim');
         
         translatedText.textContent = data.translatedText;
-        translatedText.classList.remove('empty');
+        translatedText.classList.remove('empty', 'interim');
+
+        this.updateSpeaker(data.speaker);
+        this.updateTransliteration(data.transliteration);
 
         // Update language flags based on bidirectional mode
         const sourceFlag = SUPPORTED_LANGUAGES[data.sourceLanguage]?.flag || '🌐';
@@ -337,6 +380,57 @@ class MeetTranslationWidget {
         }
     }
 
+    // Show words as they are spoken, before the segment is finalized and translated
+    updateInterimTranscription(data) {
+        const originalText = this.shadowRoot.querySelector('#original-text');
+
+        originalText.textContent = data.text;
+        originalText.classList.remove('empty');
+        originalText.classList.add('interim');
+
+        // The romanization shown belongs to the previous segment
+        this.updateTransliteration(null);
+    }
+
+    // Show the translation as it streams in, before speech is synthesized
+    updatePartialTranslation(data) {
+        const originalText = this.shadowRoot.querySelector('#original-text');
+        const translatedText = this.shadowRoot.querySelector('#translated-text');
+
+        originalText.textContent = data.originalText;
+        originalText.classList.remove('empty', 'interim');
+
+        translatedText.textContent = data.translatedText;
+        translatedText.classList.remove('empty');
+        translatedText.classList.add('interim');
+
+        this.updateSpeaker(data.speaker);
+        this.updateTransliteration(null);
+    }
+
+    // Show the romanized original under it (when enabled in settings); hidden without one
+    updateTransliteration(transliteration) {
+        const transliterationText = this.shadowRoot.querySelector('#transliteration-text');
+
+        transliterationText.textContent = transliteration || '';
+        transliterationText.hidden = !transliteration;
+    }
+
+    // Show who is speaking ("Speaker 2"); each speaker keeps a color for the whole call
+    updateSpeaker(speaker) {
+        const speakerLabel = this.shadowRoot.querySelector('#speaker-label');
+
+        if (!speaker) {
+            speakerLabel.hidden = true;
+            return;
+        }
+
+        const number = parseInt(speaker.replace(/\D/g, ''), 10) || 1;
+        speakerLabel.textContent = speaker;
+        speakerLabel.style.setProperty('--speaker-color', WIDGET_CONFIG.SPEAKER_COLORS[(number - 1) % WIDGET_CONFIG.SPEAKER_COLORS.length]);
+        speakerLabel.hidden = false;
+    }
+
     showError(errorMessage) {
         const statusText = this.shadowRoot.querySelector('#status-text');
         const statusDot = this.shadowRoot.querySelector('#status-dot');
@@ -345,6 +439,20 @@ class MeetTranslationWidget {
         statusDot.className = 'status-dot error';
     }
 
+    // The backend keeps failing (degraded) or has recovered (ok). Errors are not shown
+    // one by one while degraded.
+    updateServiceStatus(status, message) {
+        if (status === 'degraded') {
+            const statusText = this.shadowRoot.querySelector('#status-text');
+            const statusDot = this.shadowRoot.querySelector('#status-dot');
+
+            statusText.textContent = message ? `Degraded: ${message}` : 'Degraded: retrying...';
+            statusDot.className = 'status-dot warning';
+        } else {
+            this.updateStatus('Active');
+        }
+    }
+
     updateStatus(status) {
         const statusText = this.shadowRoot.querySelector('#status-text');
         const statusDot = this.shadowRoot.querySelector('#status-dot');
@@ -8,14 +8,22 @@ class AudioCapture {
         this.audioBuffer = [];
         this.isCapturing = false;
         this.chunkCallbacks = [];
+        this.frameCallbacks = [];
         this.volume = 1.0;
         this.deviceId = 'default';
+        this.encoding = 'wav';
+        this.recordingDestination = null;
+        this.mediaRecorder = null;
+        this.recorderTimer = null;
     }
 
-    async initialize(deviceId = 'default', volume = 1.0) {
+    // options.encoding: 'wav' or 'opus' for the chunks passed to onAudioChunk.
+    // Opus falls back to WAV where MediaRecorder cannot produce it.
+    async initialize(deviceId = 'default', volume = 1.0, options = {}) {
         try {
             this.deviceId = deviceId;
             this.volume = volume;
+            this.encoding = this.resolveEncoding(options.encoding);
 
             // Request microphone access
             const constraints = {
@@ -56,6 +64,12 @@ class AudioCapture {
             gainNode.connect(this.audioWorkletNode);
             this.audioWorkletNode.connect(this.audioContext.destination);
 
+            // Opus chunks are recorded from the same gain-adjusted signal
+            if (this.encoding === 'opus') {
+                this.recordingDestination = this.audioContext.createMediaStreamDestination();
+                gainNode.connect(this.recordingDestination);
+            }
+
             return true;
         } catch (error) {
             console.error('Error initializing audio capture:', error);
@@ -68,7 +82,22 @@ class AudioCapture {
 
         // Convert audio buffer to array
         const audioData = audioBuffer.getChannelData(0);
+
+        // Forward raw PCM frames to streaming consumers
+        if (this.frameCallbacks.length > 0) {
+            const frame = this.convertToPCM16(audioData);
+            this.frameCallbacks.forEach(callback => {
+                try {
+                    callback(frame);
+                } catch (error) {
+                    console.error('Error in audio frame callback:', error);
+                }
+            });
+        }
         
+        // Opus chunks come from the MediaRecorder instead
+        if (this.encoding === 'opus') return;
+
         // Add to buffer
         this.audioBuffer.push(...audioData);
 
@@ -81,17 +110,83 @@ class AudioCapture {
             this.audioBuffer = this.audioBuffer.slice(chunkSize);
 
             // Convert to WAV format
-            const wavBlob = this.convertToWAV(chunk);
-            
-            // Notify callbacks
-            this.chunkCallbacks.forEach(callback => {
-                try {
-                    callback(wavBlob);
-                } catch (error) {
-                    console.error('Error in audio chunk callback:', error);
-                }
-            });
+            this.emitChunk(this.convertToWAV(chunk));
+        }
+    }
+
+    emitChunk(blob) {
+        this.chunkCallbacks.forEach(callback => {
+            try {
+                callback(blob);
+            } catch (error) {
+                console.error('Error in audio chunk callback:', error);
+            }
+        });
+    }
+
+    resolveEncoding(encoding = 'wav') {
+        if (encoding !== 'opus') return 'wav';
+
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported(AUDIO_CONFIG.OPUS_MIME_TYPE)) {
+            console.warn('Opus recording is not supported, using WAV');
+            return 'wav';
+        }
+        return 'opus';
+    }
+
+    // Record one WebM/Opus file per chunk. Only the first blob of a recording carries the
+    // container header, so each chunk gets its own recorder; the next one starts before
+    // the previous stops so no audio falls between chunks.
+    startRecorder() {
+        const parts = [];
+        const recorder = new MediaRecorder(this.recordingDestination.stream, {
+            mimeType: AUDIO_CONFIG.OPUS_MIME_TYPE,
+            audioBitsPerSecond: AUDIO_CONFIG.OPUS_BITRATE
+        });
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                parts.push(event.data);
+            }
+        };
+        recorder.onstop = () => {
+            if (parts.length > 0) {
+                this.emitChunk(new Blob(parts, { type: AUDIO_CONFIG.OPUS_MIME_TYPE }));
+            }
+        };
+
+        recorder.start();
+        this.mediaRecorder = recorder;
+
+        this.recorderTimer = setTimeout(() => {
+            if (this.isCapturing) {
+                this.startRecorder();
+            }
+            recorder.stop();
+        }, AUDIO_CONFIG.CHUNK_DURATION);
+    }
+
+    stopRecorder() {
+        clearTimeout(this.recorderTimer);
+        this.recorderTimer = null;
+
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+    }
+
+    // Convert float32 samples to little-endian 16-bit PCM
+    convertToPCM16(audioData) {
+        const buffer = new ArrayBuffer(audioData.length * 2);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < audioData.length; i++) {
+            const sample = Math.max(-1, Math.min(1, audioData[i]));
+            view.setInt16(i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
         }
+
+        return buffer;
     }
 
     convertToWAV(audioData) {
@@ -142,16 +237,26 @@ class AudioCapture {
 
         this.isCapturing = true;
         this.audioBuffer = [];
+
+        if (this.encoding === 'opus' && !this.mediaRecorder) {
+            this.startRecorder();
+        }
     }
 
     stopCapture() {
         this.isCapturing = false;
+        this.stopRecorder();
     }
 
     onAudioChunk(callback) {
         this.chunkCallbacks.push(callback);
     }
 
+    // Receive every processed buffer as 16-bit PCM, for streaming transcription
+    onAudioFrame(callback) {
+        this.frameCallbacks.push(callback);
+    }
+
     removeAudioChunkCallback(callback) {
         const index = this.chunkCallbacks.indexOf(callback);
         if (index > -1) {
@@ -181,7 +286,13 @@ class AudioCapture {
     async cleanup() {
         try {
             this.isCapturing = false;
-            
+            this.stopRecorder();
+
+            if (this.recordingDestination) {
+                this.recordingDestination.disconnect();
+                this.recordingDestination = null;
+            }
+
             if (this.audioWorkletNode) {
                 this.audioWorkletNode.disconnect();
                 this.audioWorkletNode = null;
@@ -199,6 +310,7 @@ class AudioCapture {
 
             this.audioBuffer = [];
             this.chunkCallbacks = [];
+            this.frameCallbacks = [];
         } catch (error) {
             console.error('Error cleaning up audio capture:', error);
         }
@@ -210,10 +322,16 @@ class AudioCapture {
             isInitialized: !!this.audioContext,
             deviceId: this.deviceId,
             volume: this.volume,
+            encoding: this.encoding,
             bufferLength: this.audioBuffer.length
         };
     }
 
+    // Upload filename matching a chunk's format
+    static getChunkFilename(blob) {
+        return blob.type.startsWith('audio/webm') ? 'audio.webm' : 'audio.wav';
+    }
+
     // Static method to get available audio devices
     static async getAudioDevices() {
         try {
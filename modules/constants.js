@@ -2,53 +2,101 @@
 export const API_ENDPOINTS = {
   BACKEND_BASE_URL: 'https://your-backend-app.herokuapp.com', // Replace with your deployed backend URL
   TRANSCRIBE: '/api/transcribe',
+  TRANSCRIBE_STREAM: '/api/transcribe/stream',
   TRANSLATE: '/api/translate',
+  TRANSLATE_STREAM: '/api/translate/stream',
+  TRANSLITERATE: '/api/transliterate',
   SYNTHESIZE: '/api/synthesize',
-  HEALTH: '/health'
+  SYNTHESIZE_STREAM: '/api/synthesize/stream',
+  PIPELINE: '/api/pipeline',
+  USAGE: '/api/usage',
+  GLOSSARIES: '/api/glossaries',
+  SESSIONS: '/api/sessions',
+  VOICES: '/api/voices',
+  HEALTH: '/health',
+  HEALTH_READY: '/health/ready'
 };
 
-// Supported Middle Eastern Languages
+// Supported Middle Eastern Languages. Dialects and variants name their base language,
+// whose code the speech model is given (mirrors the codes in backend/utils/languages.js;
+// the backend describes each variety to the translation model).
 export const SUPPORTED_LANGUAGES = {
   'ar': { 
     name: 'Arabic', 
     flag: '🇸🇦', 
     whisperCode: 'ar',
-    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB', // Adam voice for Arabic
     displayName: 'العربية'
   },
+  'ar-EG': {
+    name: 'Egyptian Arabic',
+    flag: '🇪🇬',
+    whisperCode: 'ar',
+    displayName: 'مصري',
+    base: 'ar'
+  },
+  'ar-AE': {
+    name: 'Gulf Arabic',
+    flag: '🇦🇪',
+    whisperCode: 'ar',
+    displayName: 'خليجي',
+    base: 'ar'
+  },
+  'ar-LB': {
+    name: 'Levantine Arabic',
+    flag: '🇱🇧',
+    whisperCode: 'ar',
+    displayName: 'شامي',
+    base: 'ar'
+  },
   'fa': { 
     name: 'Persian', 
     flag: '🇮🇷', 
     whisperCode: 'fa',
-    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB', // Adam voice for Persian
     displayName: 'فارسی'
   },
+  'fa-AF': {
+    name: 'Dari',
+    flag: '🇦🇫',
+    whisperCode: 'fa',
+    displayName: 'دری',
+    base: 'fa'
+  },
   'tr': { 
     name: 'Turkish', 
     flag: '🇹🇷', 
     whisperCode: 'tr',
-    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB', // Adam voice for Turkish
     displayName: 'Türkçe'
   },
   'he': { 
     name: 'Hebrew', 
     flag: '🇮🇱', 
     whisperCode: 'he',
-    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB', // Adam voice for Hebrew
     displayName: 'עברית'
   },
   'ku': { 
     name: 'Kurdish', 
     flag: '🏴', 
     whisperCode: 'ku',
-    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB', // Adam voice for Kurdish
     displayName: 'کوردی'
   },
+  'ckb': {
+    name: 'Sorani Kurdish',
+    flag: '🏴',
+    whisperCode: 'ku',
+    displayName: 'سۆرانی',
+    base: 'ku'
+  },
+  'kmr': {
+    name: 'Kurmanji Kurdish',
+    flag: '🏴',
+    whisperCode: 'ku',
+    displayName: 'Kurmancî',
+    base: 'ku'
+  },
   'en': { 
     name: 'English', 
     flag: '🇬🇧', 
     whisperCode: 'en',
-    elevenLabsVoice: 'pNInz6obpgDQGcFmaJgB', // Adam voice for English
     displayName: 'English'
   }
 };
@@ -59,7 +107,20 @@ export const AUDIO_CONFIG = {
   SAMPLE_RATE: 16000, // 16kHz for Whisper
   CHANNELS: 1, // Mono
   BIT_DEPTH: 16, // 16-bit
-  FORMAT: 'wav'
+  FORMAT: 'wav',
+  // Chunk encodings: 'wav' (uncompressed) or 'opus' (WebM/Opus, roughly a tenth of the size)
+  ENCODINGS: ['wav', 'opus'],
+  OPUS_MIME_TYPE: 'audio/webm;codecs=opus',
+  OPUS_BITRATE: 24000, // bits per second; ample for speech
+  // Transcriptions whose segments are all at least this likely not to be speech are
+  // dropped; Whisper tends to invent text for noise and silence
+  NO_SPEECH_THRESHOLD: 0.6
+};
+
+// Translation Configuration
+export const TRANSLATION_CONFIG = {
+  CONTEXT_LENGTH: 5, // default previous fragments sent as context with each translation
+  MAX_CONTEXT_LENGTH: 10 // matches the backend's TRANSLATION_CONTEXT_MAX_ENTRIES default
 };
 
 // Widget Configuration
@@ -67,7 +128,9 @@ export const WIDGET_CONFIG = {
   DEFAULT_POSITION: { top: '20px', right: '20px' },
   MIN_WIDTH: 300,
   MIN_HEIGHT: 200,
-  Z_INDEX: 9999
+  Z_INDEX: 9999,
+  // Speaker label backgrounds, by speaker number
+  SPEAKER_COLORS: ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#0891b2']
 };
 
 // Retry Configuration
@@ -75,7 +138,12 @@ export const RETRY_CONFIG = {
   MAX_RETRIES: 3,
   INITIAL_DELAY: 1000, // 1 second
   MAX_DELAY: 10000, // 10 seconds
-  BACKOFF_MULTIPLIER: 2
+  BACKOFF_MULTIPLIER: 2,
+  // More errors of one kind than this within the window disable the feature (degraded state)
+  ERROR_RATE_THRESHOLD: 5,
+  ERROR_RATE_WINDOW: 60000, // 1 minute
+  // An audio chunk's result is stale this long after it was recorded; later retries are dropped
+  CHUNK_STALE_AFTER: 5000 // two chunk durations
 };
 
 // Default Settings
@@ -86,6 +154,15 @@ export const DEFAULT_SETTINGS = {
   volume: 0.8,
   bidirectionalMode: false,
   autoDetectLanguage: true,
+  streamingTranscription: false,
+  streamingTranslation: false,
+  pipelineMode: false,
+  speakerLabels: false, // diarize chunks and label who is speaking
+  showTransliteration: false, // romanized original under each segment
+  streamingAudio: false,
+  audioEncoding: 'wav',
+  contextLength: 5,
+  voices: {}, // target language -> { voiceId } or { gender }
   micDevice: 'default'
 };
 
@@ -104,5 +181,14 @@ export const MOCK_RESPONSES = {
     'tr': 'Hello, how are you?',
     'he': 'Hello, how are you?',
     'ku': 'Hello, how are you?'
-  }
+  },
+  // Romanized mock transcriptions; Turkish is written in Latin letters already
+  transliteration: {
+    'ar': 'marhaba, kayf halak?',
+    'fa': 'salam, chetor hastid?',
+    'he': 'shalom, eikh ata?',
+    'ku': 'slaw, çonît?'
+  },
+  // Speakers a mock chunk is attributed to when speaker labels are on
+  speakers: ['speaker_1', 'speaker_2']
 };
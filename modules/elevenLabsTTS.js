@@ -1,13 +1,21 @@
 import { API_ENDPOINTS, SUPPORTED_LANGUAGES } from './constants.js';
+import { storageManager } from './storage.js';
+import { backendError } from './errorHandler.js';
 
 class ElevenLabsTTS {
     constructor() {
         this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.SYNTHESIZE}`;
+        this.streamUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.SYNTHESIZE_STREAM}`;
+        this.voicesUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.VOICES}`;
         this.audioContext = null;
         this.currentAudio = null;
+        // Buffer sources scheduled for the PCM stream being played
+        this.streamSources = null;
     }
 
-    async synthesize(text, language, mockMode = false) {
+    // voice: optional { voiceId } or { gender } preference; the backend picks the
+    // configured voice for the language when omitted. signal (an AbortSignal) cancels the request.
+    async synthesize(text, language, mockMode = false, voice = {}, signal = null) {
         try {
             if (mockMode) {
                 return this.getMockAudio(text, language);
@@ -20,17 +28,20 @@ class ElevenLabsTTS {
             const response = await fetch(this.baseUrl, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...await storageManager.getAuthHeaders()
                 },
                 body: JSON.stringify({
                     text: text,
-                    language: language
-                })
+                    language: language,
+                    voiceId: voice.voiceId,
+                    gender: voice.gender
+                }),
+                signal
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`Backend API error: ${response.status} - ${errorData.error || 'Unknown error'}`);
+                throw await backendError(response);
             }
 
             const audioBuffer = await response.arrayBuffer();
@@ -38,10 +49,115 @@ class ElevenLabsTTS {
 
         } catch (error) {
             console.error('TTS synthesis error:', error);
-            throw new Error(`TTS synthesis failed: ${error.message}`);
+            throw new Error(`TTS synthesis failed: ${error.message}`, { cause: error });
         }
     }
 
+    // Synthesize and play in one step, starting playback as soon as the first
+    // audio arrives. Falls back to buffered playback when the backend cannot stream PCM.
+    async speak(text, language, { mockMode = false, voice = {}, volume = 1.0, signal = null } = {}) {
+        try {
+            if (mockMode) {
+                const audioBuffer = await this.getMockAudio(text, language);
+                return await this.playAudio(audioBuffer, volume);
+            }
+
+            if (!text || text.trim().length === 0) {
+                throw new Error('No text provided for synthesis');
+            }
+
+            const response = await fetch(this.streamUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...await storageManager.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    text: text,
+                    language: language,
+                    voiceId: voice.voiceId,
+                    gender: voice.gender,
+                    format: 'pcm'
+                }),
+                signal
+            });
+
+            if (!response.ok) {
+                throw await backendError(response);
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!contentType.startsWith('audio/pcm')) {
+                return await this.playAudio(await response.arrayBuffer(), volume);
+            }
+
+            const sampleRate = parseInt(response.headers.get('X-Sample-Rate'), 10) || 22050;
+            return await this.playPcmStream(response.body, sampleRate, volume);
+
+        } catch (error) {
+            console.error('TTS streaming error:', error);
+            throw new Error(`TTS synthesis failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    // Schedule 16-bit little-endian mono PCM chunks back to back as they are read
+    async playPcmStream(stream, sampleRate, volume = 1.0) {
+        this.stopAudio();
+        const audioContext = await this.getAudioContext();
+
+        const gainNode = audioContext.createGain();
+        gainNode.gain.value = Math.max(0, Math.min(1, volume));
+        gainNode.connect(audioContext.destination);
+
+        const sources = [];
+        this.streamSources = sources;
+
+        const reader = stream.getReader();
+        let leftover = null; // odd trailing byte carried into the next chunk
+        let startTime = audioContext.currentTime;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            // Stopped or superseded by newer audio
+            if (this.streamSources !== sources) {
+                await reader.cancel();
+                break;
+            }
+
+            let bytes = value;
+            if (leftover) {
+                bytes = new Uint8Array(leftover.length + value.length);
+                bytes.set(leftover);
+                bytes.set(value, leftover.length);
+            }
+
+            const usable = bytes.length - (bytes.length % 2);
+            leftover = usable < bytes.length ? bytes.slice(usable) : null;
+            if (usable === 0) continue;
+
+            const samples = new Int16Array(bytes.slice(0, usable).buffer);
+            const audioBuffer = audioContext.createBuffer(1, samples.length, sampleRate);
+            const channel = audioBuffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) {
+                channel[i] = samples[i] / 0x8000;
+            }
+
+            const source = audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(gainNode);
+
+            // Play immediately if the stream fell behind, otherwise right after the previous chunk
+            startTime = Math.max(startTime, audioContext.currentTime);
+            source.start(startTime);
+            startTime += audioBuffer.duration;
+            sources.push(source);
+        }
+
+        return true;
+    }
+
     getMockAudio(text, language) {
         return new Promise((resolve) => {
             setTimeout(() => {
@@ -86,36 +202,12 @@ class ElevenLabsTTS {
         });
     }
 
-    getVoiceIdForLanguage(language) {
-        // Default voice IDs for different languages
-        const voiceMap = {
-            'ar': 'pNInz6obpgDQGcFmaJgB', // Adam - good for Arabic
-            'fa': 'pNInz6obpgDQGcFmaJgB', // Adam - good for Persian
-            'tr': 'pNInz6obpgDQGcFmaJgB', // Adam - good for Turkish
-            'he': 'pNInz6obpgDQGcFmaJgB', // Adam - good for Hebrew
-            'ku': 'pNInz6obpgDQGcFmaJgB', // Adam - good for Kurdish
-            'en': 'pNInz6obpgDQGcFmaJgB'  // Adam - good for English
-        };
-
-        return voiceMap[language] || voiceMap['en'];
-    }
-
     async playAudio(audioBuffer, volume = 1.0) {
         try {
             // Stop current audio if playing
-            if (this.currentAudio) {
-                this.currentAudio.stop();
-            }
+            this.stopAudio();
 
-            // Create audio context if not exists
-            if (!this.audioContext) {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
-
-            // Resume context if suspended
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
-            }
+            await this.getAudioContext();
 
             // Decode audio buffer
             const audioBufferDecoded = await this.audioContext.decodeAudioData(audioBuffer);
@@ -144,12 +236,30 @@ class ElevenLabsTTS {
         }
     }
 
+    async getAudioContext() {
+        // Create audio context if not exists
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        // Resume context if suspended
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        return this.audioContext;
+    }
+
     stopAudio() {
         try {
             if (this.currentAudio) {
                 this.currentAudio.stop();
                 this.currentAudio = null;
             }
+            if (this.streamSources) {
+                this.streamSources.forEach(source => source.stop());
+                this.streamSources = null;
+            }
         } catch (error) {
             console.error('Error stopping audio:', error);
         }
@@ -163,17 +273,12 @@ class ElevenLabsTTS {
         return this.volume || 1.0;
     }
 
-    // Get available voices for a language
+    // Get available voices for a language, with the backend's default voice per gender:
+    // { voices: [{ id, name, gender }], defaults: { male, female } }
     async getVoicesForLanguage(language) {
         try {
-            if (!this.apiKey) {
-                throw new Error('API key not provided');
-            }
-
-            const response = await fetch('https://api.elevenlabs.io/v1/voices', {
-                headers: {
-                    'xi-api-key': this.apiKey
-                }
+            const response = await fetch(`${this.voicesUrl}?language=${encodeURIComponent(language)}`, {
+                headers: await storageManager.getAuthHeaders()
             });
 
             if (!response.ok) {
@@ -181,11 +286,11 @@ class ElevenLabsTTS {
             }
 
             const data = await response.json();
-            return data.voices || [];
+            return { voices: data.voices || [], defaults: data.defaults || {} };
 
         } catch (error) {
             console.error('Error fetching voices:', error);
-            return [];
+            return { voices: [], defaults: {} };
         }
     }
 
@@ -1,41 +1,134 @@
 import { RETRY_CONFIG } from './constants.js';
 
+// Error answered by the backend. status is the HTTP status; code, details and requestId
+// come from the error body ({ error, code, details, requestId }), and retryAfter is the
+// seconds a rate-limited or unavailable backend asked us to wait.
+class BackendError extends Error {
+    constructor(message, { status, code = null, details = null, requestId = null, retryAfter = null } = {}) {
+        super(`Backend API error: ${status} - ${message || 'Unknown error'}`);
+        this.name = 'BackendError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.requestId = requestId;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Error for a failed backend response (Retry-After header or response body)
+async function backendError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    return new BackendError(errorData.error, {
+        status: response.status,
+        code: errorData.code,
+        details: errorData.details,
+        requestId: errorData.requestId || response.headers.get('X-Request-ID'),
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After')) ?? parseRetryAfter(errorData.retryAfter)
+    });
+}
+
+// The same for the error event of a streamed response
+function backendEventError(event) {
+    return new BackendError(event.error, {
+        status: event.status,
+        code: event.code,
+        details: event.details,
+        requestId: event.requestId,
+        retryAfter: parseRetryAfter(event.retryAfter)
+    });
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Whether an error, or any error it wraps, is a cancelled request (AbortController)
+function isAbortError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current.name === 'AbortError') return true;
+    }
+    return false;
+}
+
+// retryAfter of an error or of any error it wraps (error.cause)
+function getRetryAfter(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current.retryAfter) return current.retryAfter;
+    }
+    return null;
+}
+
+// The BackendError behind an error, e.g. one wrapped as 'Transcription failed: ...'
+function getBackendError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof BackendError) return current;
+    }
+    return null;
+}
+
 class ErrorHandler {
     constructor() {
+        // Timestamps of recent errors by type and context
         this.errorCounts = new Map();
+        this.errorRateThreshold = RETRY_CONFIG.ERROR_RATE_THRESHOLD;
+        this.errorRateWindow = RETRY_CONFIG.ERROR_RATE_WINDOW;
         this.maxRetries = RETRY_CONFIG.MAX_RETRIES;
         this.initialDelay = RETRY_CONFIG.INITIAL_DELAY;
         this.maxDelay = RETRY_CONFIG.MAX_DELAY;
         this.backoffMultiplier = RETRY_CONFIG.BACKOFF_MULTIPLIER;
     }
 
-    // Retry function with exponential backoff
-    async retryWithBackoff(fn, context = 'unknown', maxRetries = this.maxRetries) {
-        let lastError;
-        
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    // Retry function with exponential backoff, following getRetryStrategy for the error's
+    // type: auth and request errors are not retried. A Retry-After from the backend replaces
+    // the backoff delay; when it is longer than maxDelay the result would arrive too late to
+    // be useful, so the error is thrown instead. With a deadline (e.g. when an audio chunk
+    // goes stale), a retry that could not start before it is not made.
+    async retryWithBackoff(fn, context = 'unknown', { maxRetries = this.maxRetries, deadline = null } = {}) {
+        for (let attempt = 0; ; attempt++) {
             try {
                 return await fn();
             } catch (error) {
-                lastError = error;
-                
-                if (attempt === maxRetries) {
-                    console.error(`Max retries exceeded for ${context}:`, error);
+                // Cancelled work is not retried
+                if (isAbortError(error)) {
+                    throw error;
+                }
+
+                const errorType = this.getErrorType(error);
+                const strategy = this.getRetryStrategy(errorType);
+                const retries = Math.min(maxRetries, strategy.maxRetries);
+                if (attempt >= retries) {
+                    if (retries > 0) {
+                        console.error(`Max retries exceeded for ${context}:`, error);
+                    }
+                    throw error;
+                }
+
+                const retryAfter = getRetryAfter(error);
+                if (retryAfter && retryAfter * 1000 > this.maxDelay) {
+                    console.warn(`Not retrying ${context}, backend asked to wait ${retryAfter}s`);
                     throw error;
                 }
                 
-                const delay = this.calculateDelay(attempt);
-                console.warn(`Retry ${attempt + 1}/${maxRetries + 1} for ${context} in ${delay}ms:`, error.message);
+                const delay = retryAfter ? retryAfter * 1000 : this.calculateDelay(attempt, strategy.delay);
+                if (deadline && Date.now() + delay > deadline) {
+                    console.warn(`Not retrying ${context}, the result would be stale`);
+                    throw error;
+                }
+
+                console.warn(`Retry ${attempt + 1}/${retries} for ${context} (${errorType}) in ${delay}ms:`, error.message);
                 
                 await this.sleep(delay);
             }
         }
-        
-        throw lastError;
     }
 
-    calculateDelay(attempt) {
-        const delay = this.initialDelay * Math.pow(this.backoffMultiplier, attempt);
+    calculateDelay(attempt, initialDelay = this.initialDelay) {
+        const delay = initialDelay * Math.pow(this.backoffMultiplier, attempt);
         return Math.min(delay, this.maxDelay);
     }
 
@@ -43,14 +136,15 @@ class ErrorHandler {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Track error frequency
+    // Track error frequency; returns false once the error rate disables the feature
     trackError(errorType, context) {
         const key = `${errorType}-${context}`;
-        const count = this.errorCounts.get(key) || 0;
-        this.errorCounts.set(key, count + 1);
+        const recent = this.getRecentErrors(key);
+        recent.push(Date.now());
+        this.errorCounts.set(key, recent);
         
         // If too many errors, disable the feature temporarily
-        if (count > 5) {
+        if (recent.length > this.errorRateThreshold) {
             console.warn(`Too many errors for ${key}, temporarily disabling`);
             return false;
         }
@@ -58,24 +152,51 @@ class ErrorHandler {
         return true;
     }
 
-    // Reset error count
+    // Errors for a key within the rate window
+    getRecentErrors(key) {
+        const since = Date.now() - this.errorRateWindow;
+        return (this.errorCounts.get(key) || []).filter(timestamp => timestamp > since);
+    }
+
+    // Reset error count, e.g. after a success
     resetErrorCount(errorType, context) {
         const key = `${errorType}-${context}`;
         this.errorCounts.delete(key);
     }
 
-    // Check if feature should be disabled
+    // Check if feature should be disabled: too many recent errors
     isFeatureDisabled(errorType, context) {
         const key = `${errorType}-${context}`;
-        const count = this.errorCounts.get(key) || 0;
-        return count > 5;
+        return this.getRecentErrors(key).length > this.errorRateThreshold;
+    }
+
+    // Error type of an API failure, from the backend's status and code when it answered
+    getErrorType(error) {
+        const backendError = getBackendError(error);
+        if (backendError) {
+            const { status, code } = backendError;
+            if (status === 401 || status === 403) return 'AUTH_ERROR';
+            if (code === 'QUOTA_EXCEEDED' || status === 402) return 'QUOTA_EXCEEDED';
+            if (status === 429) return 'RATE_LIMIT';
+            if (status === 503) return 'SERVICE_UNAVAILABLE';
+            if (status >= 400 && status < 500 && status !== 408) return 'REQUEST_ERROR';
+            return 'UNKNOWN_ERROR';
+        }
+
+        // fetch rejects with a TypeError when the backend cannot be reached
+        if (error instanceof TypeError || error.cause instanceof TypeError ||
+            error.message.includes('network') || error.message.includes('fetch')) {
+            return 'NETWORK_ERROR';
+        }
+        return 'UNKNOWN_ERROR';
     }
 
     // Handle specific error types
     handleApiError(error, apiName) {
         console.error(`${apiName} API error:`, error);
+        const errorType = this.getErrorType(error);
         
-        if (error.message.includes('401') || error.message.includes('Unauthorized')) {
+        if (errorType === 'AUTH_ERROR') {
             return {
                 type: 'AUTH_ERROR',
                 message: 'API key is invalid or expired',
@@ -83,7 +204,15 @@ class ErrorHandler {
             };
         }
         
-        if (error.message.includes('429') || error.message.includes('rate limit')) {
+        if (errorType === 'SERVICE_UNAVAILABLE') {
+            return {
+                type: 'SERVICE_UNAVAILABLE',
+                message: 'Translation service temporarily unavailable',
+                action: 'wait_and_retry'
+            };
+        }
+        
+        if (errorType === 'RATE_LIMIT') {
             return {
                 type: 'RATE_LIMIT',
                 message: 'API rate limit exceeded',
@@ -91,7 +220,23 @@ class ErrorHandler {
             };
         }
         
-        if (error.message.includes('network') || error.message.includes('fetch')) {
+        if (errorType === 'QUOTA_EXCEEDED') {
+            return {
+                type: 'QUOTA_EXCEEDED',
+                message: 'Usage quota exceeded',
+                action: 'wait_for_reset'
+            };
+        }
+        
+        if (errorType === 'REQUEST_ERROR') {
+            return {
+                type: 'REQUEST_ERROR',
+                message: error.message,
+                action: 'check_settings'
+            };
+        }
+        
+        if (errorType === 'NETWORK_ERROR') {
             return {
                 type: 'NETWORK_ERROR',
                 message: 'Network connection failed',
@@ -158,6 +303,9 @@ class ErrorHandler {
             'AUTH_ERROR': 'Please check your API keys in the extension settings',
             'RATE_LIMIT': 'API rate limit exceeded. Please wait a moment and try again',
             'NETWORK_ERROR': 'Network connection failed. Please check your internet connection',
+            'SERVICE_UNAVAILABLE': 'The translation service is temporarily unavailable. It will resume automatically',
+            'QUOTA_EXCEEDED': 'Your usage quota is used up. Translation resumes when it resets',
+            'REQUEST_ERROR': 'The translation service rejected the request. Please check your settings',
             'PERMISSION_ERROR': 'Microphone permission denied. Please allow microphone access',
             'DEVICE_ERROR': 'Microphone device not found. Please check your audio settings',
             'STORAGE_ERROR': 'Failed to save settings. Please try again',
@@ -190,6 +338,7 @@ class ErrorHandler {
     isRecoverableError(error) {
         const recoverableErrors = [
             'RATE_LIMIT',
+            'SERVICE_UNAVAILABLE',
             'NETWORK_ERROR',
             'AUDIO_ERROR'
         ];
@@ -201,8 +350,11 @@ class ErrorHandler {
     getRetryStrategy(errorType) {
         const strategies = {
             'AUTH_ERROR': { maxRetries: 0, delay: 0 }, // Don't retry auth errors
+            'REQUEST_ERROR': { maxRetries: 0, delay: 0 }, // The same request would be rejected again
+            'QUOTA_EXCEEDED': { maxRetries: 0, delay: 0 }, // Quotas reset daily
             'RATE_LIMIT': { maxRetries: 3, delay: 5000 }, // Wait longer for rate limits
             'NETWORK_ERROR': { maxRetries: 5, delay: 1000 }, // Retry network errors more
+            'SERVICE_UNAVAILABLE': { maxRetries: 1, delay: 5000 }, // Providers are down; the backend says when to retry
             'AUDIO_ERROR': { maxRetries: 2, delay: 2000 }, // Limited retries for audio
             'STORAGE_ERROR': { maxRetries: 3, delay: 1000 }, // Standard retry for storage
             'UNKNOWN_ERROR': { maxRetries: 2, delay: 1000 } // Conservative retry for unknown
@@ -212,4 +364,4 @@ class ErrorHandler {
     }
 }
 
-export { ErrorHandler };
+export { ErrorHandler, BackendError, backendError, backendEventError, getBackendError, getRetryAfter, isAbortError };
@@ -0,0 +1,63 @@
+import { API_ENDPOINTS } from './constants.js';
+import { storageManager } from './storage.js';
+import { backendError } from './errorHandler.js';
+
+// Client for the backend /api/glossaries routes.
+// Glossaries are stored per client token and language pair and are applied by the
+// backend to every /api/translate and /api/pipeline request for that pair.
+class GlossaryAPI {
+    constructor() {
+        this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.GLOSSARIES}`;
+    }
+
+    // List the client's glossaries with entry counts
+    async list() {
+        const result = await this.request('');
+        return result.glossaries;
+    }
+
+    // Glossary for a language pair: { sourceLanguage, targetLanguage, entries, version, updatedAt }
+    async get(sourceLanguage, targetLanguage) {
+        return this.request(`/${sourceLanguage}/${targetLanguage}`);
+    }
+
+    // Add a term, or update the target of an existing source term
+    async addEntry(sourceLanguage, targetLanguage, entry) {
+        return this.request(`/${sourceLanguage}/${targetLanguage}/entries`, {
+            method: 'POST',
+            body: JSON.stringify(entry)
+        });
+    }
+
+    async removeEntry(sourceLanguage, targetLanguage, entryId) {
+        return this.request(`/${sourceLanguage}/${targetLanguage}/entries/${encodeURIComponent(entryId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Replace all entries, e.g. when importing a list
+    async replaceEntries(sourceLanguage, targetLanguage, entries) {
+        return this.request(`/${sourceLanguage}/${targetLanguage}`, {
+            method: 'PUT',
+            body: JSON.stringify({ entries })
+        });
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...await storageManager.getAuthHeaders()
+            }
+        });
+
+        if (!response.ok) {
+            throw await backendError(response);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+}
+
+export { GlossaryAPI };
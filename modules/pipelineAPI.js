@@ -0,0 +1,164 @@
+import { API_ENDPOINTS, MOCK_RESPONSES } from './constants.js';
+import { storageManager } from './storage.js';
+import { AudioCapture } from './audioCapture.js';
+import { backendError, backendEventError } from './errorHandler.js';
+
+// Single-request client for the backend /api/pipeline route.
+// The backend streams newline-delimited JSON events: transcription, translation, audio, done | error.
+class PipelineAPI {
+    constructor() {
+        this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.PIPELINE}`;
+        this.transcriptSessionId = null;
+    }
+
+    // Record results in a backend transcript session (null to stop)
+    setTranscriptSession(sessionId) {
+        this.transcriptSessionId = sessionId;
+    }
+
+    // settings: { sourceLanguage, targetLanguage, autoDetectLanguage, bidirectional, synthesize, voice? }
+    // callbacks: { onTranscription, onTranslation } fire as soon as each stage completes
+    // signal (an AbortSignal) cancels the request and the stages still running on the backend
+    async process(audioBlob, settings, mockMode = false, callbacks = {}, signal = null) {
+        try {
+            if (mockMode) {
+                return this.getMockResult(settings, callbacks);
+            }
+
+            const formData = new FormData();
+            formData.append('audio', audioBlob, AudioCapture.getChunkFilename(audioBlob));
+            formData.append('sourceLanguage', settings.sourceLanguage);
+            formData.append('targetLanguage', settings.targetLanguage);
+            formData.append('autoDetectLanguage', String(!!settings.autoDetectLanguage));
+            formData.append('bidirectional', String(!!settings.bidirectional));
+            formData.append('synthesize', String(settings.synthesize !== false));
+            formData.append('diarize', String(!!settings.diarize));
+            if (settings.voice?.voiceId) {
+                formData.append('voiceId', settings.voice.voiceId);
+            }
+            if (settings.voice?.gender) {
+                formData.append('voiceGender', settings.voice.gender);
+            }
+
+            const response = await fetch(this.baseUrl, {
+                method: 'POST',
+                headers: {
+                    ...await storageManager.getAuthHeaders(),
+                    ...(this.transcriptSessionId && { 'X-Session-ID': this.transcriptSessionId })
+                },
+                body: formData,
+                signal
+            });
+
+            if (!response.ok) {
+                throw await backendError(response);
+            }
+
+            const result = { transcription: null, translation: null, audio: null, sessionSegment: null, offset: null };
+
+            await this.readEvents(response, (event) => {
+                switch (event.type) {
+                    case 'transcription':
+                        result.transcription = {
+                            text: event.text,
+                            language: event.language,
+                            confidence: event.confidence ?? null,
+                            duration: event.duration ?? null,
+                            speaker: event.speaker ?? null,
+                            segments: event.segments || [],
+                            words: event.words || []
+                        };
+                        callbacks.onTranscription?.(result.transcription);
+                        break;
+                    case 'translation':
+                        result.translation = {
+                            translatedText: event.translatedText,
+                            sourceLanguage: event.sourceLanguage,
+                            targetLanguage: event.targetLanguage,
+                            confidence: event.confidence
+                        };
+                        callbacks.onTranslation?.(result.translation);
+                        break;
+                    case 'audio':
+                        result.audio = this.base64ToArrayBuffer(event.audio);
+                        break;
+                    case 'done':
+                        result.sessionSegment = event.sessionSegment ?? null;
+                        result.offset = event.offset ?? null;
+                        break;
+                    case 'error': {
+                        const error = backendEventError(event);
+                        error.message += ` (${event.stage})`;
+                        throw error;
+                    }
+                }
+            });
+
+            return result;
+
+        } catch (error) {
+            console.error('Pipeline error:', error);
+            throw new Error(`Pipeline failed: ${error.message}`, { cause: error });
+        }
+    }
+
+    // Read a newline-delimited JSON response body, invoking onEvent per line
+    async readEvents(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => onEvent(JSON.parse(line)));
+
+            if (done) break;
+        }
+
+        if (buffered.trim()) {
+            onEvent(JSON.parse(buffered));
+        }
+    }
+
+    base64ToArrayBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    getMockResult(settings, callbacks) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                const language = settings.sourceLanguage || 'ar';
+                const transcription = {
+                    text: MOCK_RESPONSES.transcription[language] || MOCK_RESPONSES.transcription['ar'],
+                    language,
+                    confidence: 0.95,
+                    speaker: settings.diarize
+                        ? MOCK_RESPONSES.speakers[Math.floor(Math.random() * MOCK_RESPONSES.speakers.length)]
+                        : null
+                };
+                const translation = {
+                    translatedText: MOCK_RESPONSES.translation[language] || 'Hello, how are you?',
+                    sourceLanguage: language,
+                    targetLanguage: settings.targetLanguage || 'en',
+                    confidence: 0.9
+                };
+
+                callbacks.onTranscription?.(transcription);
+                callbacks.onTranslation?.(translation);
+
+                resolve({ transcription, translation, audio: null });
+            }, 1000 + Math.random() * 1000); // 1-2 second delay
+        });
+    }
+}
+
+export { PipelineAPI };
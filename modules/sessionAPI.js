@@ -0,0 +1,69 @@
+import { API_ENDPOINTS } from './constants.js';
+import { storageManager } from './storage.js';
+import { backendError } from './errorHandler.js';
+
+// Client for the backend /api/sessions routes.
+// A transcript session collects the original and translated text of one translation
+// run. Transcription, translation and pipeline requests that carry the session id
+// (see setTranscriptSession on those clients) are recorded in it.
+class SessionAPI {
+    constructor() {
+        this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.SESSIONS}`;
+    }
+
+    // Open a session: { id, sourceLanguage, targetLanguage, createdAt, expiresAt, ... }
+    async create(sourceLanguage, targetLanguage) {
+        return this.request('', {
+            method: 'POST',
+            body: JSON.stringify({ sourceLanguage, targetLanguage })
+        });
+    }
+
+    // Summaries of the client's sessions with segment counts
+    async list() {
+        const result = await this.request('');
+        return result.sessions;
+    }
+
+    // The full transcript: { id, ..., segments: [{ index, startMs, endMs, text, translatedText, ... }] }
+    async get(sessionId) {
+        return this.request(`/${encodeURIComponent(sessionId)}`);
+    }
+
+    async end(sessionId) {
+        return this.request(`/${encodeURIComponent(sessionId)}/end`, { method: 'POST' });
+    }
+
+    async delete(sessionId) {
+        return this.request(`/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    }
+
+    // Transcript file as a Blob; format is 'json', 'srt' or 'vtt'
+    async export(sessionId, format = 'json') {
+        const response = await this.fetch(`/${encodeURIComponent(sessionId)}/export?format=${encodeURIComponent(format)}`);
+        return response.blob();
+    }
+
+    async request(path, options = {}) {
+        const response = await this.fetch(path, options);
+        return response.status === 204 ? null : response.json();
+    }
+
+    async fetch(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...await storageManager.getAuthHeaders()
+            }
+        });
+
+        if (!response.ok) {
+            throw await backendError(response);
+        }
+
+        return response;
+    }
+}
+
+export { SessionAPI };
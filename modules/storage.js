@@ -3,6 +3,8 @@ import { DEFAULT_SETTINGS } from './constants.js';
 class StorageManager {
   constructor() {
     this.storage = chrome.storage.sync;
+    // Client tokens are credentials, so they stay on this device instead of syncing
+    this.localStorage = chrome.storage.local;
   }
 
   // Get all settings with defaults
@@ -55,6 +57,55 @@ class StorageManager {
     }
   }
 
+  // Get the backend client token
+  async getClientToken() {
+    try {
+      const result = await this.localStorage.get(['clientToken']);
+      return result.clientToken || '';
+    } catch (error) {
+      console.error('Error getting client token:', error);
+      return '';
+    }
+  }
+
+  // Save the backend client token
+  async saveClientToken(token) {
+    try {
+      await this.localStorage.set({ clientToken: (token || '').trim() });
+      return true;
+    } catch (error) {
+      console.error('Error saving client token:', error);
+      return false;
+    }
+  }
+
+  // Transcript session of the most recent translation run
+  async getLastSessionId() {
+    try {
+      const result = await this.localStorage.get(['lastSessionId']);
+      return result.lastSessionId || null;
+    } catch (error) {
+      console.error('Error getting last session:', error);
+      return null;
+    }
+  }
+
+  async saveLastSessionId(sessionId) {
+    try {
+      await this.localStorage.set({ lastSessionId: sessionId });
+      return true;
+    } catch (error) {
+      console.error('Error saving last session:', error);
+      return false;
+    }
+  }
+
+  // Headers that authenticate requests to the backend
+  async getAuthHeaders() {
+    const token = await this.getClientToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+  }
+
   // Get specific setting
   async getSetting(key) {
     try {
@@ -81,6 +132,7 @@ class StorageManager {
   async clearAll() {
     try {
       await this.storage.clear();
+      await this.localStorage.clear();
       return true;
     } catch (error) {
       console.error('Error clearing storage:', error);
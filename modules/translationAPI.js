@@ -1,40 +1,60 @@
-import { API_ENDPOINTS, SUPPORTED_LANGUAGES, MOCK_RESPONSES } from './constants.js';
+import { API_ENDPOINTS, SUPPORTED_LANGUAGES, MOCK_RESPONSES, TRANSLATION_CONFIG } from './constants.js';
+import { storageManager } from './storage.js';
+import { backendError, backendEventError } from './errorHandler.js';
 
 class TranslationAPI {
     constructor() {
         this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.TRANSLATE}`;
+        this.streamUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.TRANSLATE_STREAM}`;
         this.conversationHistory = [];
-        this.maxHistoryLength = 10;
+        // Number of previous fragments sent as context with each request
+        this.maxHistoryLength = TRANSLATION_CONFIG.CONTEXT_LENGTH;
+        this.transcriptSessionId = null;
     }
 
-    async translate(text, sourceLanguage, targetLanguage, mockMode = false) {
+    // Record translations in a backend transcript session (null to stop)
+    setTranscriptSession(sessionId) {
+        this.transcriptSessionId = sessionId;
+    }
+
+    // onPartial(translatedTextSoFar) switches to the streaming endpoint and is called
+    // as the translation forms; the resolved result is the same either way.
+    // sessionSegment is the transcript session segment the text was transcribed into,
+    // and signal (an AbortSignal) cancels the request.
+    async translate(text, sourceLanguage, targetLanguage, mockMode = false, onPartial = null, sessionSegment = null, signal = null) {
         try {
             if (mockMode) {
-                return this.getMockTranslation(text, sourceLanguage, targetLanguage);
+                return this.getMockTranslation(text, sourceLanguage, targetLanguage, onPartial);
             }
 
             if (!text || text.trim().length === 0) {
                 return { translatedText: '', confidence: 0 };
             }
 
-            const response = await fetch(this.baseUrl, {
+            const response = await fetch(onPartial ? this.streamUrl : this.baseUrl, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...await storageManager.getAuthHeaders(),
+                    ...(this.transcriptSessionId && { 'X-Session-ID': this.transcriptSessionId })
                 },
                 body: JSON.stringify({
                     text,
                     sourceLanguage,
-                    targetLanguage
-                })
+                    targetLanguage,
+                    context: this.getContext(sourceLanguage, targetLanguage),
+                    ...(this.transcriptSessionId && sessionSegment !== null && { sessionSegment })
+                }),
+                signal
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`Backend API error: ${response.status} - ${errorData.error || 'Unknown error'}`);
+                throw await backendError(response);
             }
 
-            const result = await response.json();
+            const result = onPartial
+                ? await this.readStream(response, onPartial)
+                : await response.json();
             const translatedText = result.translatedText || '';
 
             // Add to conversation history
@@ -44,38 +64,83 @@ class TranslationAPI {
                 translatedText,
                 confidence: result.confidence || this.calculateConfidence(text, translatedText),
                 sourceLanguage: result.sourceLanguage || sourceLanguage,
-                targetLanguage: result.targetLanguage || targetLanguage
+                targetLanguage: result.targetLanguage || targetLanguage,
+                formality: result.formality || null,
+                untranslatableTerms: result.untranslatableTerms || [],
+                // Glossary terms matched but the backend's provider could not apply them
+                glossaryIgnored: result.glossaryIgnored || false,
+                sessionSegment: result.sessionSegment ?? null
             };
 
         } catch (error) {
             console.error('Translation error:', error);
-            throw new Error(`Translation failed: ${error.message}`);
+            throw new Error(`Translation failed: ${error.message}`, { cause: error });
         }
     }
 
-    buildTranslationPrompt(text, sourceLanguage, targetLanguage) {
-        const sourceLangName = SUPPORTED_LANGUAGES[sourceLanguage]?.name || sourceLanguage;
-        const targetLangName = SUPPORTED_LANGUAGES[targetLanguage]?.name || targetLanguage;
-        
-        return `Translate the following ${sourceLangName} text to ${targetLangName}. 
-        
-Preserve the tone, formality level, and cultural context. If the text contains:
-- Formal language, maintain formality
-- Informal/colloquial expressions, keep them natural in the target language
-- Cultural references, provide appropriate equivalents
-- Technical terms, use standard translations
+    // Read the Server-Sent Events of /api/translate/stream, resolving to the final result
+    async readStream(response, onPartial) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let partial = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const event = this.parseEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                if (!event) continue;
 
-Text to translate: "${text}"
+                if (event.type === 'delta') {
+                    partial += event.data.text;
+                    onPartial(partial);
+                } else if (event.type === 'done') {
+                    return event.data;
+                } else if (event.type === 'error') {
+                    throw backendEventError(event.data);
+                }
+            }
+        }
 
-Provide only the translation, no explanations.`;
+        throw new Error('Translation stream ended unexpectedly');
     }
 
-    getMockTranslation(text, sourceLanguage, targetLanguage) {
+    parseEvent(block) {
+        let type = 'message';
+        let data = '';
+
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) {
+                type = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data += line.slice(5).trim();
+            }
+        }
+
+        return data ? { type, data: JSON.parse(data) } : null;
+    }
+
+    getMockTranslation(text, sourceLanguage, targetLanguage, onPartial = null) {
         return new Promise((resolve) => {
-            setTimeout(() => {
+            setTimeout(async () => {
                 const mockTranslation = MOCK_RESPONSES.translation[sourceLanguage] || 
                                       MOCK_RESPONSES.translation['ar'] || 
                                       'Hello, how are you?';
+
+                // Reveal the mock translation word by word
+                if (onPartial) {
+                    const words = mockTranslation.split(' ');
+                    for (let i = 1; i <= words.length; i++) {
+                        onPartial(words.slice(0, i).join(' '));
+                        await new Promise(wait => setTimeout(wait, 150));
+                    }
+                }
                 
                 resolve({
                     translatedText: mockTranslation,
@@ -88,13 +153,13 @@ Provide only the translation, no explanations.`;
     }
 
     addToHistory(originalText, translatedText, sourceLanguage, targetLanguage) {
+        if (!translatedText || this.maxHistoryLength === 0) return;
+
         this.conversationHistory.push({
-            role: 'user',
-            content: `Original (${sourceLanguage}): ${originalText}`
-        });
-        this.conversationHistory.push({
-            role: 'assistant',
-            content: `Translation (${targetLanguage}): ${translatedText}`
+            text: originalText,
+            translation: translatedText,
+            sourceLanguage,
+            targetLanguage
         });
 
         // Keep only recent history
@@ -124,6 +189,14 @@ Provide only the translation, no explanations.`;
         return Math.min(1.0, Math.max(0.1, confidence));
     }
 
+    // Previous fragments sent as context, oldest first. In bidirectional mode only
+    // fragments translated in the same direction are included.
+    getContext(sourceLanguage, targetLanguage) {
+        return this.conversationHistory
+            .filter(entry => entry.sourceLanguage === sourceLanguage && entry.targetLanguage === targetLanguage)
+            .map(({ text, translation }) => ({ text, translation }));
+    }
+
     // Clear conversation history
     clearHistory() {
         this.conversationHistory = [];
@@ -134,9 +207,12 @@ Provide only the translation, no explanations.`;
         return [...this.conversationHistory];
     }
 
-    // Set max history length
+    // Set max history length (0 disables context)
     setMaxHistoryLength(length) {
-        this.maxHistoryLength = Math.max(1, Math.min(50, length));
+        this.maxHistoryLength = Math.max(0, Math.min(TRANSLATION_CONFIG.MAX_CONTEXT_LENGTH, length));
+        this.conversationHistory = this.maxHistoryLength > 0
+            ? this.conversationHistory.slice(-this.maxHistoryLength)
+            : [];
     }
 
     // Detect if text needs translation
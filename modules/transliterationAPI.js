@@ -0,0 +1,52 @@
+import { API_ENDPOINTS, MOCK_RESPONSES } from './constants.js';
+import { storageManager } from './storage.js';
+import { backendError } from './errorHandler.js';
+
+// Client for the backend /api/transliterate route.
+// Romanizes Arabic, Persian, Hebrew and Sorani Kurdish text so listeners can see how the
+// original was pronounced. Text in other languages comes back unchanged.
+class TransliterationAPI {
+    constructor() {
+        this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.TRANSLITERATE}`;
+    }
+
+    // { transliteration, language, method } where method is 'model', 'rules' or 'none';
+    // signal (an AbortSignal) cancels the request
+    async transliterate(text, language = 'auto', mockMode = false, signal = null) {
+        if (mockMode) {
+            return this.getMockTransliteration(text, language);
+        }
+
+        if (!text || text.trim().length === 0) {
+            return { transliteration: '', language, method: 'none' };
+        }
+
+        const response = await fetch(this.baseUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await storageManager.getAuthHeaders()
+            },
+            body: JSON.stringify({ text, language }),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await backendError(response);
+        }
+
+        return response.json();
+    }
+
+    getMockTransliteration(text, language) {
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                const transliteration = MOCK_RESPONSES.transliteration[language] ||
+                                        MOCK_RESPONSES.transliteration['ar'];
+                resolve({ transliteration, language, method: 'model' });
+            }, 300);
+        });
+    }
+}
+
+export { TransliterationAPI };
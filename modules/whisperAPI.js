@@ -1,44 +1,202 @@
-import { API_ENDPOINTS, SUPPORTED_LANGUAGES, MOCK_RESPONSES } from './constants.js';
+import { API_ENDPOINTS, SUPPORTED_LANGUAGES, MOCK_RESPONSES, AUDIO_CONFIG } from './constants.js';
+import { storageManager } from './storage.js';
+import { AudioCapture } from './audioCapture.js';
+import { backendError, backendEventError } from './errorHandler.js';
+
+// Streaming transcription session over the backend WebSocket route.
+// Audio frames sent before the backend is ready are queued.
+class TranscriptionStream {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = options;
+        this.socket = null;
+        this.sessionId = null;
+        this.isReady = false;
+        this.pendingFrames = [];
+        this.ready = null;
+    }
+
+    open() {
+        this.ready = new Promise((resolve, reject) => {
+            this.socket = new WebSocket(this.url);
+            this.socket.binaryType = 'arraybuffer';
+
+            this.socket.onopen = () => {
+                this.socket.send(JSON.stringify({
+                    type: 'start',
+                    language: this.options.language || 'auto',
+                    encoding: this.options.encoding || 'pcm16',
+                    sampleRate: this.options.sampleRate || AUDIO_CONFIG.SAMPLE_RATE,
+                    transcriptSessionId: this.options.transcriptSessionId || undefined
+                }));
+            };
+
+            this.socket.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'ready') {
+                    this.sessionId = message.sessionId;
+                    this.isReady = true;
+                    this.pendingFrames.forEach(frame => this.socket.send(frame));
+                    this.pendingFrames = [];
+                    resolve(this);
+                    return;
+                }
+                this.handleMessage(message);
+            };
+
+            this.socket.onerror = () => {
+                const error = new Error('Transcription stream connection failed');
+                if (!this.isReady) {
+                    reject(error);
+                }
+                this.options.onError?.(error);
+            };
+
+            this.socket.onclose = () => {
+                this.isReady = false;
+                this.options.onClose?.();
+            };
+        });
+
+        return this.ready;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'interim':
+                this.options.onInterim?.({
+                    segmentId: message.segmentId,
+                    text: message.text,
+                    language: message.language
+                });
+                break;
+            case 'final':
+                this.options.onFinal?.({
+                    segmentId: message.segmentId,
+                    text: message.text,
+                    language: message.language,
+                    confidence: message.confidence ?? null,
+                    segments: message.segments || [],
+                    words: message.words || [],
+                    sessionSegment: message.sessionSegment ?? null
+                });
+                break;
+            case 'error':
+                // Errors with a status or code (failed segments, quota) carry them as a BackendError
+                this.options.onError?.(new Error(`Stream error: ${message.error}`,
+                    message.status || message.code ? { cause: backendEventError(message) } : undefined));
+                break;
+        }
+    }
+
+    // Send a frame of audio (ArrayBuffer) to the backend
+    sendAudio(frame) {
+        if (!this.socket || this.socket.readyState > WebSocket.OPEN) return;
+
+        if (this.isReady) {
+            this.socket.send(frame);
+        } else {
+            this.pendingFrames.push(frame);
+        }
+    }
+
+    // Finalize the current segment without closing the stream
+    flush() {
+        if (this.isReady) {
+            this.socket.send(JSON.stringify({ type: 'flush' }));
+        }
+    }
+
+    // Finalize pending audio and close the stream
+    close() {
+        if (!this.socket) return;
+
+        if (this.isReady) {
+            this.socket.send(JSON.stringify({ type: 'stop' }));
+        } else {
+            this.socket.close();
+        }
+        this.pendingFrames = [];
+    }
+}
 
 class WhisperAPI {
     constructor() {
         this.baseUrl = `${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.TRANSCRIBE}`;
+        this.streamUrl = `${API_ENDPOINTS.BACKEND_BASE_URL.replace(/^http/, 'ws')}${API_ENDPOINTS.TRANSCRIBE_STREAM}`;
+        this.transcriptSessionId = null;
     }
 
-    async transcribe(audioBlob, language = 'auto', mockMode = false) {
+    // Record transcriptions in a backend transcript session (null to stop)
+    setTranscriptSession(sessionId) {
+        this.transcriptSessionId = sessionId;
+    }
+
+    // Open a streaming transcription session.
+    // Callbacks: onInterim, onFinal, onError, onClose
+    async createStream(options = {}) {
+        // WebSocket connections cannot carry headers, so the token goes in the query string
+        const token = await storageManager.getClientToken();
+        const url = token ? `${this.streamUrl}?token=${encodeURIComponent(token)}` : this.streamUrl;
+
+        const stream = new TranscriptionStream(url, { transcriptSessionId: this.transcriptSessionId, ...options });
+        stream.open().catch(error => {
+            console.error('Transcription stream error:', error);
+        });
+        return stream;
+    }
+
+    // signal (an AbortSignal) cancels the upload, e.g. when the chunk is superseded.
+    // The result has timed segments (with confidence and noSpeechProb) and words; in a
+    // transcript session their times count from the session start, offset being where
+    // the chunk starts. With diarize, it also names the main speaker.
+    async transcribe(audioBlob, language = 'auto', mockMode = false, signal = null, diarize = false) {
         try {
             if (mockMode) {
-                return this.getMockTranscription(language);
+                return this.getMockTranscription(language, diarize);
             }
 
             const formData = new FormData();
-            formData.append('audio', audioBlob, 'audio.wav');
+            formData.append('audio', audioBlob, AudioCapture.getChunkFilename(audioBlob));
             formData.append('language', language);
+            if (diarize) {
+                formData.append('diarize', 'true');
+            }
 
             const response = await fetch(this.baseUrl, {
                 method: 'POST',
-                body: formData
+                headers: {
+                    ...await storageManager.getAuthHeaders(),
+                    ...(this.transcriptSessionId && { 'X-Session-ID': this.transcriptSessionId })
+                },
+                body: formData,
+                signal
             });
 
             if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`Backend API error: ${response.status} - ${errorData.error || 'Unknown error'}`);
+                throw await backendError(response);
             }
 
             const result = await response.json();
             return {
                 text: result.text,
                 language: result.language || language,
-                confidence: result.confidence || 1.0
+                confidence: result.confidence ?? null,
+                duration: result.duration ?? null,
+                offset: result.offset ?? null,
+                speaker: result.speaker ?? null,
+                segments: result.segments || [],
+                words: result.words || [],
+                sessionSegment: result.sessionSegment ?? null
             };
 
         } catch (error) {
             console.error('Transcription error:', error);
-            throw new Error(`Transcription failed: ${error.message}`);
+            throw new Error(`Transcription failed: ${error.message}`, { cause: error });
         }
     }
 
-    getMockTranscription(language) {
+    getMockTranscription(language, diarize = false) {
         // Simulate API delay
         return new Promise((resolve) => {
             setTimeout(() => {
@@ -46,10 +204,15 @@ class WhisperAPI {
                                 MOCK_RESPONSES.transcription['ar'] || 
                                 'مرحبا، كيف حالك؟';
                 
+                const speaker = diarize
+                    ? MOCK_RESPONSES.speakers[Math.floor(Math.random() * MOCK_RESPONSES.speakers.length)]
+                    : null;
+                
                 resolve({
                     text: mockText,
                     language: language,
-                    confidence: 0.95
+                    confidence: 0.95,
+                    speaker
                 });
             }, 1000 + Math.random() * 2000); // 1-3 second delay
         });
@@ -80,6 +243,11 @@ class WhisperAPI {
             }
         }
         
+        // Kurmanji Kurdish (Latin script) letter ê, which Turkish does not use
+        if (/[êÊ]/.test(text)) {
+            return 'ku';
+        }
+
         // Turkish specific characters
         if (/[çğıöşüÇĞIİÖŞÜ]/.test(text)) {
             return 'tr';
@@ -126,4 +294,4 @@ class WhisperAPI {
     }
 }
 
-export { WhisperAPI };
+export { WhisperAPI, TranscriptionStream };
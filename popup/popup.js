@@ -1,8 +1,16 @@
 import { storageManager } from '../modules/storage.js';
-import { SUPPORTED_LANGUAGES } from '../modules/constants.js';
+import { SUPPORTED_LANGUAGES, API_ENDPOINTS } from '../modules/constants.js';
+import { GlossaryAPI } from '../modules/glossaryAPI.js';
+import { SessionAPI } from '../modules/sessionAPI.js';
+import { ElevenLabsTTS } from '../modules/elevenLabsTTS.js';
 
 class PopupManager {
     constructor() {
+        this.glossaryAPI = new GlossaryAPI();
+        this.sessionAPI = new SessionAPI();
+        this.lastSessionId = null;
+        this.ttsAPI = new ElevenLabsTTS();
+        this.voicePreferences = {};
         this.initializeElements();
         this.loadSettings();
         this.setupEventListeners();
@@ -15,10 +23,21 @@ class PopupManager {
         this.targetLanguageSelect = document.getElementById('target-language');
         this.bidirectionalModeCheckbox = document.getElementById('bidirectional-mode');
         this.autoDetectCheckbox = document.getElementById('auto-detect');
+        this.streamingTranscriptionCheckbox = document.getElementById('streaming-transcription');
+        this.streamingTranslationCheckbox = document.getElementById('streaming-translation');
+        this.pipelineModeCheckbox = document.getElementById('pipeline-mode');
+        this.speakerLabelsCheckbox = document.getElementById('speaker-labels');
+        this.showTransliterationCheckbox = document.getElementById('show-transliteration');
+        this.contextLengthSelect = document.getElementById('context-length');
         this.volumeSlider = document.getElementById('volume-slider');
         this.volumeDisplay = document.getElementById('volume-display');
         this.micDeviceSelect = document.getElementById('mic-device');
+        this.streamingAudioCheckbox = document.getElementById('streaming-audio');
+        this.audioEncodingSelect = document.getElementById('audio-encoding');
+        this.voiceSelect = document.getElementById('voice-select');
+        this.voiceNote = document.getElementById('voice-note');
         this.mockModeCheckbox = document.getElementById('mock-mode');
+        this.clientTokenInput = document.getElementById('client-token');
 
         // Buttons
         this.saveButton = document.getElementById('save-settings');
@@ -29,8 +48,31 @@ class PopupManager {
         this.statusIndicator = document.getElementById('status-indicator');
         this.statusMessages = document.getElementById('status-messages');
         this.backendStatus = document.getElementById('backend-status');
+        this.transcriptionStatus = document.getElementById('transcription-status');
         this.translationStatus = document.getElementById('translation-status');
         this.ttsStatus = document.getElementById('tts-status');
+
+        // Usage elements
+        this.usageAudio = document.getElementById('usage-audio');
+        this.usageTranslation = document.getElementById('usage-translation');
+        this.usageTts = document.getElementById('usage-tts');
+        this.usageReset = document.getElementById('usage-reset');
+
+        // Glossary elements
+        this.glossaryList = document.getElementById('glossary-list');
+        this.glossarySourceInput = document.getElementById('glossary-source');
+        this.glossaryTargetInput = document.getElementById('glossary-target');
+        this.glossaryAddButton = document.getElementById('glossary-add');
+        this.glossaryNote = document.getElementById('glossary-note');
+
+        // Transcript elements
+        this.transcriptExportButtons = [
+            document.getElementById('transcript-srt'),
+            document.getElementById('transcript-vtt'),
+            document.getElementById('transcript-json')
+        ];
+        this.transcriptDeleteButton = document.getElementById('transcript-delete');
+        this.transcriptNote = document.getElementById('transcript-note');
     }
 
     async loadSettings() {
@@ -44,11 +86,26 @@ class PopupManager {
             // Load mode settings
             this.bidirectionalModeCheckbox.checked = settings.bidirectionalMode || false;
             this.autoDetectCheckbox.checked = settings.autoDetectLanguage || true;
+            this.streamingTranscriptionCheckbox.checked = settings.streamingTranscription || false;
+            this.streamingTranslationCheckbox.checked = settings.streamingTranslation || false;
+            this.pipelineModeCheckbox.checked = settings.pipelineMode || false;
+            this.speakerLabelsCheckbox.checked = settings.speakerLabels || false;
+            this.showTransliterationCheckbox.checked = settings.showTransliteration || false;
+            this.contextLengthSelect.value = String(settings.contextLength ?? 5);
             this.mockModeCheckbox.checked = settings.mockMode || true;
 
             // Load audio settings
             this.volumeSlider.value = settings.volume || 0.8;
             this.updateVolumeDisplay();
+            this.streamingAudioCheckbox.checked = settings.streamingAudio || false;
+            this.audioEncodingSelect.value = settings.audioEncoding || 'wav';
+
+            // Load client token
+            this.clientTokenInput.value = await storageManager.getClientToken();
+
+            // Load the voice for the target language
+            this.voicePreferences = settings.voices || {};
+            await this.loadVoices(settings.mockMode);
 
             // Load mic device
             await this.loadMicDevices();
@@ -57,6 +114,17 @@ class PopupManager {
             // Check backend status
             await this.checkBackendStatus();
 
+            // Load today's usage
+            if (!settings.mockMode) {
+                await this.loadUsage();
+            }
+
+            // Load the glossary for the selected language pair
+            await this.loadGlossary(settings.mockMode);
+
+            // Load the transcript of the last session
+            await this.loadTranscript(settings.mockMode);
+
         } catch (error) {
             this.showMessage('Error loading settings: ' + error.message, 'error');
         }
@@ -90,6 +158,28 @@ class PopupManager {
         // Clear data
         this.clearButton.addEventListener('click', () => this.clearData());
 
+        // Glossary editing
+        this.glossaryAddButton.addEventListener('click', () => this.addGlossaryEntry());
+        this.glossaryTargetInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.addGlossaryEntry();
+            }
+        });
+        this.sourceLanguageSelect.addEventListener('change', () => this.loadGlossary(this.mockModeCheckbox.checked));
+        this.targetLanguageSelect.addEventListener('change', () => this.loadGlossary(this.mockModeCheckbox.checked));
+
+        // Transcript export and deletion
+        this.transcriptExportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportTranscript(button.dataset.format));
+        });
+        this.transcriptDeleteButton.addEventListener('click', () => this.deleteTranscript());
+
+        // Voice picker: remember the choice per target language
+        this.targetLanguageSelect.addEventListener('change', () => this.loadVoices(this.mockModeCheckbox.checked));
+        this.voiceSelect.addEventListener('change', () => {
+            this.voicePreferences[this.voiceSelect.dataset.language] = this.parseVoiceOption(this.voiceSelect.value);
+        });
+
         // Volume slider
         this.volumeSlider.addEventListener('input', () => this.updateVolumeDisplay());
 
@@ -118,14 +208,24 @@ class PopupManager {
                 targetLanguage: this.targetLanguageSelect.value,
                 bidirectionalMode: this.bidirectionalModeCheckbox.checked,
                 autoDetectLanguage: this.autoDetectCheckbox.checked,
+                streamingTranscription: this.streamingTranscriptionCheckbox.checked,
+                streamingTranslation: this.streamingTranslationCheckbox.checked,
+                pipelineMode: this.pipelineModeCheckbox.checked,
+                speakerLabels: this.speakerLabelsCheckbox.checked,
+                showTransliteration: this.showTransliterationCheckbox.checked,
+                contextLength: parseInt(this.contextLengthSelect.value, 10),
                 mockMode: this.mockModeCheckbox.checked,
                 volume: parseFloat(this.volumeSlider.value),
-                micDevice: this.micDeviceSelect.value
+                streamingAudio: this.streamingAudioCheckbox.checked,
+                audioEncoding: this.audioEncodingSelect.value,
+                micDevice: this.micDeviceSelect.value,
+                voices: this.voicePreferences
             };
 
             const settingsSaved = await storageManager.saveSettings(settings);
+            const tokenSaved = await storageManager.saveClientToken(this.clientTokenInput.value);
 
-            if (settingsSaved) {
+            if (settingsSaved && tokenSaved) {
                 this.showMessage('Settings saved successfully!', 'success');
                 this.updateStatus();
             } else {
@@ -137,26 +237,255 @@ class PopupManager {
         }
     }
 
+    // Per-service status from the backend's readiness probes.
+    // Resolves to the readiness report, or null when the backend is unreachable.
     async checkBackendStatus() {
+        const services = [
+            [this.transcriptionStatus, 'transcribe'],
+            [this.translationStatus, 'translate'],
+            [this.ttsStatus, 'synthesize']
+        ];
+
         try {
-            const response = await fetch('https://your-backend-app.herokuapp.com/health');
-            if (response.ok) {
-                this.backendStatus.textContent = 'Online';
-                this.backendStatus.className = 'status-value online';
-                this.translationStatus.textContent = 'Ready';
-                this.translationStatus.className = 'status-value online';
-                this.ttsStatus.textContent = 'Ready';
-                this.ttsStatus.className = 'status-value online';
-            } else {
-                throw new Error('Backend not responding');
+            const response = await fetch(`${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.HEALTH_READY}`);
+            // A 503 still carries the per-service results
+            const readiness = await response.json();
+
+            this.setStatusValue(this.backendStatus, 'Online', true);
+            services.forEach(([element, capability]) => {
+                this.showServiceStatus(element, readiness.capabilities?.[capability]);
+            });
+            return readiness;
+        } catch (error) {
+            this.setStatusValue(this.backendStatus, 'Offline', false);
+            services.forEach(([element]) => this.setStatusValue(element, 'Unavailable', false));
+            return null;
+        }
+    }
+
+    showServiceStatus(element, check) {
+        if (!check) {
+            this.setStatusValue(element, 'Unknown', false);
+            return;
+        }
+
+        const quota = check.quota ? `${check.quota.remaining.toLocaleString()} ${check.quota.unit} left` : '';
+
+        if (check.status === 'up') {
+            const latency = check.latencyMs !== null ? ` (${check.latencyMs} ms)` : '';
+            this.setStatusValue(element, `Ready${latency}`, true, [check.provider, quota].filter(Boolean).join(' · '));
+        } else if (check.status === 'quota_exhausted') {
+            this.setStatusValue(element, 'Quota exhausted', false, check.provider);
+        } else {
+            this.setStatusValue(element, 'Unavailable', false, [check.provider, check.error].filter(Boolean).join(': '));
+        }
+    }
+
+    setStatusValue(element, text, online, title = '') {
+        element.textContent = text;
+        element.className = `status-value ${online ? 'online' : 'offline'}`;
+        element.title = title;
+    }
+
+    async loadUsage() {
+        try {
+            const response = await fetch(`${API_ENDPOINTS.BACKEND_BASE_URL}${API_ENDPOINTS.USAGE}`, {
+                headers: await storageManager.getAuthHeaders()
+            });
+            if (!response.ok) {
+                throw new Error(`Usage request failed: ${response.status}`);
             }
+
+            const report = await response.json();
+            const minutes = (report.usage.audioSeconds / 60).toFixed(1);
+
+            this.usageAudio.textContent = this.formatUsage(`${minutes} min`, report.limits.audioSeconds, value => `${(value / 60).toFixed(0)} min`);
+            this.usageTranslation.textContent = this.formatUsage(report.usage.translatedCharacters.toLocaleString(), report.limits.translatedCharacters);
+            this.usageTts.textContent = this.formatUsage(report.usage.ttsCharacters.toLocaleString(), report.limits.ttsCharacters);
+            this.usageReset.textContent = `Resets ${new Date(report.resetsAt).toLocaleString()}`;
         } catch (error) {
-            this.backendStatus.textContent = 'Offline';
-            this.backendStatus.className = 'status-value offline';
-            this.translationStatus.textContent = 'Unavailable';
-            this.translationStatus.className = 'status-value offline';
-            this.ttsStatus.textContent = 'Unavailable';
-            this.ttsStatus.className = 'status-value offline';
+            console.error('Error loading usage:', error);
+            this.usageReset.textContent = 'Usage unavailable';
+        }
+    }
+
+    // "used / limit", or just "used" when there is no limit
+    formatUsage(used, limit, formatLimit = value => value.toLocaleString()) {
+        return limit ? `${used} / ${formatLimit(limit)}` : used;
+    }
+
+    // Voices come from the backend; options are "gender:<gender>" for the server default or a voice id
+    async loadVoices(mockMode) {
+        const language = this.targetLanguageSelect.value;
+        const languageName = SUPPORTED_LANGUAGES[language]?.name || language;
+        const { voices, defaults } = mockMode
+            ? { voices: [], defaults: {} }
+            : await this.ttsAPI.getVoicesForLanguage(language);
+
+        this.voiceSelect.innerHTML = '';
+        this.voiceSelect.dataset.language = language;
+        ['male', 'female'].forEach(gender => {
+            const option = document.createElement('option');
+            option.value = `gender:${gender}`;
+            option.textContent = `Default ${gender} voice`;
+            option.title = defaults[gender] || '';
+            this.voiceSelect.appendChild(option);
+        });
+
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.id;
+            option.textContent = voice.gender ? `${voice.name} (${voice.gender})` : voice.name;
+            this.voiceSelect.appendChild(option);
+        });
+
+        const preference = this.voicePreferences[language] || {};
+        const selected = preference.voiceId || `gender:${preference.gender || 'male'}`;
+        if ([...this.voiceSelect.options].some(option => option.value === selected)) {
+            this.voiceSelect.value = selected;
+        }
+
+        this.voiceNote.textContent = mockMode
+            ? 'Voices are provided by the backend and unavailable in mock mode.'
+            : `Used when speaking ${languageName}`;
+    }
+
+    parseVoiceOption(value) {
+        return value.startsWith('gender:')
+            ? { gender: value.slice('gender:'.length) }
+            : { voiceId: value };
+    }
+
+    // The glossary lives on the backend, so editing needs a connection
+    async loadGlossary(mockMode) {
+        this.glossarySourceInput.disabled = mockMode;
+        this.glossaryTargetInput.disabled = mockMode;
+        this.glossaryAddButton.disabled = mockMode;
+
+        if (mockMode) {
+            this.renderGlossary([]);
+            this.glossaryNote.textContent = 'Glossaries are stored on the backend and unavailable in mock mode.';
+            return;
+        }
+
+        try {
+            const glossary = await this.glossaryAPI.get(this.sourceLanguageSelect.value, this.targetLanguageSelect.value);
+            this.renderGlossary(glossary.entries);
+            this.glossaryNote.textContent = 'Terms are always translated this way for the selected language pair.';
+        } catch (error) {
+            console.error('Error loading glossary:', error);
+            this.renderGlossary([]);
+            this.glossaryNote.textContent = 'Glossary unavailable';
+        }
+    }
+
+    renderGlossary(entries) {
+        this.glossaryList.innerHTML = '';
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${entry.source} → ${entry.target}`;
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕';
+            removeButton.title = 'Remove term';
+            removeButton.addEventListener('click', () => this.removeGlossaryEntry(entry.id));
+
+            item.appendChild(label);
+            item.appendChild(removeButton);
+            this.glossaryList.appendChild(item);
+        });
+    }
+
+    async addGlossaryEntry() {
+        const source = this.glossarySourceInput.value.trim();
+        const target = this.glossaryTargetInput.value.trim();
+        if (!source || !target) {
+            this.showMessage('Enter both a term and its translation', 'error');
+            return;
+        }
+
+        try {
+            const glossary = await this.glossaryAPI.addEntry(
+                this.sourceLanguageSelect.value,
+                this.targetLanguageSelect.value,
+                { source, target }
+            );
+            this.renderGlossary(glossary.entries);
+            this.glossarySourceInput.value = '';
+            this.glossaryTargetInput.value = '';
+        } catch (error) {
+            this.showMessage('Error saving glossary term: ' + error.message, 'error');
+        }
+    }
+
+    async removeGlossaryEntry(entryId) {
+        try {
+            const glossary = await this.glossaryAPI.removeEntry(
+                this.sourceLanguageSelect.value,
+                this.targetLanguageSelect.value,
+                entryId
+            );
+            this.renderGlossary(glossary.entries);
+        } catch (error) {
+            this.showMessage('Error removing glossary term: ' + error.message, 'error');
+        }
+    }
+
+    // Transcripts are recorded by the backend, so there is nothing to export in mock mode
+    async loadTranscript(mockMode) {
+        this.lastSessionId = mockMode ? null : await storageManager.getLastSessionId();
+        let session = null;
+
+        if (this.lastSessionId) {
+            try {
+                session = await this.sessionAPI.get(this.lastSessionId);
+            } catch (error) {
+                console.error('Error loading transcript:', error);
+            }
+        }
+
+        const available = !!session;
+        this.transcriptExportButtons.forEach(button => { button.disabled = !available; });
+        this.transcriptDeleteButton.disabled = !available;
+
+        if (mockMode) {
+            this.transcriptNote.textContent = 'Transcripts are stored on the backend and unavailable in mock mode.';
+        } else if (!available) {
+            this.transcriptNote.textContent = 'No transcript yet. One is recorded each time translation runs.';
+        } else {
+            const started = new Date(session.createdAt).toLocaleString();
+            this.transcriptNote.textContent = `Last session: ${session.segments.length} segments, started ${started}.`;
+        }
+    }
+
+    async exportTranscript(format) {
+        if (!this.lastSessionId) return;
+
+        try {
+            const blob = await this.sessionAPI.export(this.lastSessionId, format);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `transcript-${this.lastSessionId}.${format}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            this.showMessage('Error exporting transcript: ' + error.message, 'error');
+        }
+    }
+
+    async deleteTranscript() {
+        if (!this.lastSessionId || !confirm('Delete the transcript of the last session?')) return;
+
+        try {
+            await this.sessionAPI.delete(this.lastSessionId);
+            await storageManager.saveLastSessionId(null);
+            this.showMessage('Transcript deleted', 'success');
+            await this.loadTranscript(this.mockModeCheckbox.checked);
+        } catch (error) {
+            this.showMessage('Error deleting transcript: ' + error.message, 'error');
         }
     }
 
@@ -171,13 +500,14 @@ class PopupManager {
                 return;
             }
 
-            // Test backend health
-            const response = await fetch('https://your-backend-app.herokuapp.com/health');
-            if (response.ok) {
+            // Probe the backend and each service behind it
+            const readiness = await this.checkBackendStatus();
+            if (!readiness) {
+                this.showMessage('❌ Backend service is offline', 'error');
+            } else if (readiness.status === 'ready') {
                 this.showMessage('✅ Backend service is online and ready', 'success');
-                await this.checkBackendStatus();
             } else {
-                this.showMessage('❌ Backend service is offline', 'error');
+                this.showMessage('⚠️ Backend is online but some services are unavailable', 'error');
             }
 
         } catch (error) {